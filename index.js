@@ -1,159 +1,440 @@
-// Upsert or set a contact's name
-app.post('/contacts/set-name', async (req, res) => {
-  try {
-    const { phone, name } = req.body
-    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    if (!phone || !name) return res.status(400).json({ error: 'phone and name are required' })
-
-    await upsertContact(phone, { name })
-    res.json({ ok: true })
-  } catch (e) {
-    console.error('Set-name error:', e)
-    res.status(500).json({ error: 'Internal server error' })
-  }
-})
-
-// List contacts for dashboard
-app.get('/contacts', async (req, res) => {
-  try {
-    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    const { search = '', limit = 50, page = 1 } = req.query
-    const l = Math.min(Number(limit) || 50, 200)
-
-
-    const p = Math.max(Number(page) || 1, 1)
-    const from = (p - 1) * l
-    const to = from + l - 1
-
-    let query = supabase
-      .from('contacts')
-      .select('*', { count: 'exact' })
-      .order('updated_at', { ascending: false })
-
-    if (search) {
-      query = query.or(`phone.ilike.%${search}%,name.ilike.%${search}%`)
-    }
-
-    const { data, error, count } = await query.range(from, to)
-    if (error) return res.status(500).json({ error: error.message })
-    res.json({ page: p, limit: l, total: count || 0, data })
-  } catch (e) {
-    console.error('Contacts route error:', e)
-    res.status(500).json({ error: 'Internal server error' })
-  }
-})
 const express = require('express')
-const axios = require('axios')
 const cors = require('cors')
 const { createClient } = require('@supabase/supabase-js')
 const dotenv = require('dotenv')
+const metrics = require('./lib/metrics')
+const { captureRawBody, verifyWebhookSignature } = require('./lib/webhookSignature')
+const { createTtlCache } = require('./lib/ttlCache')
+const { createJobQueue } = require('./lib/jobQueue')
+const multer = require('multer')
+const path = require('path')
+const crypto = require('crypto')
+const { createMediaStorage } = require('./lib/mediaStorage')
+const { MEDIA_TYPES, createMediaClient, mediaTypeForMime, describeMessage } = require('./lib/media')
+const { loadTemplateRegistry, validateTemplateInput, buildTemplateMessage } = require('./lib/templates')
+const { loadFlow, evaluate, renderAction, messageInput } = require('./lib/flowEngine')
+const { SERVICE_WINDOW_MS, serviceWindow, withServiceWindow } = require('./lib/serviceWindow')
+const { loadConsentConfig, matchConsentKeyword, SuppressedRecipientError } = require('./lib/consent')
+const { createCampaignSender } = require('./lib/campaigns')
+const { parseApiKeys, createAuth } = require('./lib/auth')
+const { createStore } = require('./lib/store')
+const { buildMessage } = require('./lib/messageBuilder')
+const { createEventBus, streamEvents } = require('./lib/events')
+const { validateSubscription, createWebhookForwarder } = require('./lib/outgoingWebhooks')
+const { HUMAN_STATUSES, CONVERSATION_STATUSES, conversationStatus, isWithHuman, transition, unreadCounters } = require('./lib/conversations')
+const { THREAD_KINDS, OUTBOUND_KINDS, messagePhone, buildThread, replyToId } = require('./lib/thread')
+const { parseRange, computeAnalytics } = require('./lib/analytics')
+const { validateTags, validateAttributes, mergeAttributes, validateCsvColumns, dedupeImportRows, contactsToCsvRows } = require('./lib/contacts')
+const { validateRules, validateSegment, findSegmentContacts } = require('./lib/segments')
+const { parseCsvObjects, toCsv } = require('./lib/csv')
+const { isValidCountryCode, createPhoneNormalizer } = require('./lib/phone')
+const { mergeDuplicateContacts } = require('./lib/contactMerge')
+const { isValidTimeZone } = require('./lib/cron')
+const { SCHEDULE_STATUSES, mergeScheduleInput, normalizeSchedule, createScheduler } = require('./lib/schedules')
+const { loadNumberConfig, createNumberRegistry, numberView } = require('./lib/numbers')
+const { createGraphClient, GraphApiError } = require('./lib/graph')
+const { validateEmoji, incomingReaction } = require('./lib/reactions')
+const { matchFaq, validateFaq } = require('./lib/faq')
 
 // Load env vars from .env.local (fallback to process env if missing)
 dotenv.config({ path: '.env.local' })
 
 // Environment variables
-const WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN
 const WEBHOOK_VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN
-const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID
+// Business phone numbers (lib/numbers.js); without the file, PHONE_NUMBER_ID and
+// WHATSAPP_ACCESS_TOKEN configure a single one
+const NUMBERS_FILE = path.resolve(process.env.NUMBERS_FILE || 'config/numbers.json')
 const PORT = process.env.PORT || 5444
+// Graph API endpoint and version (point GRAPH_API_BASE_URL at a simulator for testing)
+const GRAPH_API_BASE_URL = process.env.GRAPH_API_BASE_URL || 'https://graph.facebook.com'
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || 'v21.0'
 const SUPABASE_URL = process.env.SUPABASE_URL
 const SUPABASE_KEY = process.env.SUPABASE_KEY
+// Persistence backend: supabase | sqlite | memory (default: supabase when configured)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER
+const SQLITE_FILE = process.env.SQLITE_FILE || 'data/whatsapp.db'
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET
+// Media storage: 'local' (MEDIA_DIR, served at /media) or 'supabase' (Storage bucket)
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local'
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || 'media')
+const MEDIA_PUBLIC_BASE_URL = process.env.MEDIA_PUBLIC_BASE_URL || ''
+const SUPABASE_MEDIA_BUCKET = process.env.SUPABASE_MEDIA_BUCKET || 'whatsapp-media'
+const TEMPLATES_FILE = path.resolve(process.env.TEMPLATES_FILE || 'config/templates.json')
+const FLOW_FILE = path.resolve(process.env.FLOW_FILE || 'config/flow.yaml')
+const CONSENT_FILE = path.resolve(process.env.CONSENT_FILE || 'config/consent.json')
+// Blue ticks for incoming messages the bot handles, with a typing indicator while it
+// prepares the reply (TYPING_INDICATOR=false sends only the read receipt)
+const AUTO_MARK_READ = process.env.AUTO_MARK_READ === 'true'
+const TYPING_INDICATOR = process.env.TYPING_INDICATOR !== 'false'
+// Minimum score (0..1) for an FAQ to answer a follow-up question (see lib/faq.js)
+const FAQ_MATCH_THRESHOLD = Number(process.env.FAQ_MATCH_THRESHOLD) || 0.7
+// Dev-only escape hatch for curl testing; never honoured in production
+const WEBHOOK_SIGNATURE_DISABLED = process.env.WEBHOOK_SKIP_SIGNATURE === 'true'
+  && process.env.NODE_ENV !== 'production'
+
+// Dashboard/admin auth: API keys ("key:role[:name]", comma separated) and/or HS256 JWTs
+const API_KEYS = parseApiKeys(process.env.API_KEYS)
+const JWT_SECRET = process.env.JWT_SECRET
+// Dev-only escape hatch, like WEBHOOK_SKIP_SIGNATURE; never honoured in production
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true'
+  && process.env.NODE_ENV !== 'production'
+// Country calling code for numbers entered without one, e.g. 91 (see lib/phone.js)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/^\+/, '') || null
+// IANA time zone for schedules created without one, e.g. Asia/Kolkata
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC'
+// Comma-separated origins allowed to call the API from a browser ('*' for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean)
+
+if (AUTH_DISABLED) {
+  console.warn('WARNING: API authentication is DISABLED (AUTH_DISABLED=true)')
+} else if (API_KEYS.size === 0 && !JWT_SECRET) {
+  console.warn('No API_KEYS or JWT_SECRET set: all dashboard routes will return 401')
+}
+
+if (DEFAULT_COUNTRY_CODE && !isValidCountryCode(DEFAULT_COUNTRY_CODE)) {
+  console.error(`DEFAULT_COUNTRY_CODE "${DEFAULT_COUNTRY_CODE}" is not a country calling code; ignoring it`)
+}
+if (!isValidTimeZone(DEFAULT_TIMEZONE)) {
+  console.error(`DEFAULT_TIMEZONE "${DEFAULT_TIMEZONE}" is not an IANA time zone; schedules default to UTC`)
+}
+
+// Every phone number from a request or webhook goes through this (E.164 digits, no +)
+const phones = createPhoneNormalizer({
+  defaultCountryCode: isValidCountryCode(DEFAULT_COUNTRY_CODE) ? DEFAULT_COUNTRY_CODE : null,
+})
+
+if (WEBHOOK_SIGNATURE_DISABLED) {
+  console.warn('WARNING: webhook signature verification is DISABLED (WEBHOOK_SKIP_SIGNATURE=true)')
+} else if (!WHATSAPP_APP_SECRET) {
+  console.warn('WHATSAPP_APP_SECRET not set: POST /webhook will reject all deliveries')
+}
+
+// Short-term memory of webhook items already processed; the store's unique
+// constraints on message ids are the durable backstop
+const processedWebhookItems = createTtlCache({
+  ttlMs: Number(process.env.WEBHOOK_DEDUPE_TTL_MS) || 60 * 60 * 1000,
+  maxSize: Number(process.env.WEBHOOK_DEDUPE_MAX_ENTRIES) || 10000,
+})
 
 // Initialize Supabase
 const supabase = (SUPABASE_URL && SUPABASE_KEY)
   ? createClient(SUPABASE_URL, SUPABASE_KEY)
   : null
 
-async function logMessageToSupabase(payload) {
-  try {
-    if (!supabase) {
-      console.warn('Supabase not configured: set SUPABASE_URL and SUPABASE_KEY')
-      return { ok: false, error: 'supabase_not_configured' }
+// Messages, contacts, jobs, campaigns and audit log all go through the store
+const store = createStore({ driver: STORAGE_DRIVER, supabase, sqliteFile: SQLITE_FILE })
+console.log(`Storage driver: ${store.driver}`)
+if (!store.durable) console.warn('WARNING: data is kept in memory only and is lost on restart')
+
+const mediaStorage = createMediaStorage({
+  driver: MEDIA_STORAGE,
+  supabase,
+  bucket: SUPABASE_MEDIA_BUCKET,
+  dir: MEDIA_DIR,
+  publicBaseUrl: MEDIA_PUBLIC_BASE_URL,
+})
+
+// Every Graph API call goes through this client: retries, send rate limit, typed errors
+const graph = createGraphClient({
+  baseUrl: GRAPH_API_BASE_URL,
+  apiVersion: GRAPH_API_VERSION,
+  timeoutMs: Number(process.env.GRAPH_TIMEOUT_MS) || 15000,
+  maxRetries: Number(process.env.GRAPH_MAX_RETRIES ?? 3),
+  retryBaseDelayMs: Number(process.env.GRAPH_RETRY_BASE_DELAY_MS) || 500,
+  // Per business number; Meta's default throughput is 80 messages per second
+  ratePerSecond: Number(process.env.GRAPH_SEND_RATE_PER_SECOND) || 80,
+})
+
+// Template registries, one per file; numbers may share one
+const templateRegistries = new Map()
+function templatesFor(file) {
+  if (!templateRegistries.has(file)) {
+    const registry = loadTemplateRegistry(file)
+    if (registry.windowFallback()) {
+      const check = validateTemplateInput(registry, registry.windowFallback())
+      if (!check.ok) console.error(`windowFallback template in ${file} is invalid, out-of-window sends will fail:`, check.errors)
     }
+    templateRegistries.set(file, registry)
+  }
+  return templateRegistries.get(file)
+}
+
+// Bot flow for one number; automated replies are disabled while it is invalid
+function flowFor(number) {
+  const loaded = loadFlow(number.flowFile)
+  if (loaded.ok) return loaded.flow
+  console.error(`Bot flow for ${number.name} disabled, ${number.flowFile} is invalid:`, loaded.errors)
+  return null
+}
+
+// Each number with its own flow, templates and media client
+const numberConfig = loadNumberConfig(NUMBERS_FILE, { flowFile: FLOW_FILE, templatesFile: TEMPLATES_FILE })
+if (!numberConfig.ok) {
+  throw new Error(`Invalid phone number configuration:\n${numberConfig.errors.join('\n')}`)
+}
+if (!numberConfig.numbers.length) {
+  console.warn(`No PHONE_NUMBER_ID or ${NUMBERS_FILE}: sending and contact routes will fail`)
+}
+const numbers = createNumberRegistry(numberConfig.numbers.map(entry => {
+  const number = {
+    ...entry,
+    templates: templatesFor(entry.templatesFile),
+    media: createMediaClient({ graph, accessToken: entry.accessToken, phoneNumberId: entry.id }),
+  }
+  number.flow = flowFor(number)
+  return number
+}))
+console.log(`Phone numbers: ${numbers.list().map(n => `${n.name} (${n.id})`).join(', ') || 'none'}`)
+
+// The number a stored campaign or schedule belongs to (rows from before several
+// numbers were supported have none and use the default)
+function numberFor(phoneNumberId) {
+  const number = phoneNumberId ? numbers.get(phoneNumberId) : numbers.default()
+  if (!number) throw new Error(`Phone number ${phoneNumberId || '(default)'} is not configured`)
+  return number
+}
+// Uploads for /send-media; 100MB is WhatsApp's largest (document) limit
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } })
+// Contact CSV imports
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } })
+
+// Webhook deliveries are persisted and acknowledged right away, then processed here
+const webhookQueue = createJobQueue({
+  store,
+  handler: async (payload) => {
+    const summary = await processWebhookPayload(payload)
+    console.log('Webhook job summary:', summary)
+    // Items that succeeded are deduplicated on retry, so only the failed ones re-run
+    if (summary.failed > 0) throw new Error(`${summary.failed} webhook item(s) failed`)
+  },
+  maxAttempts: Number(process.env.WEBHOOK_JOB_MAX_ATTEMPTS) || 8,
+  baseDelayMs: Number(process.env.WEBHOOK_JOB_BASE_DELAY_MS) || 5000,
+  pollIntervalMs: Number(process.env.WEBHOOK_JOB_POLL_MS) || 2000,
+})
+
+// Handling an incoming message (the bot's reply, consent confirmation, media download)
+// that failed after the message was logged. The log row is the webhook item's claim, so
+// the item itself is done; only this step is retried, then dead-lettered.
+const replyQueue = createJobQueue({
+  store,
+  queue: 'replies',
+  handler: async ({ phone_number_id: phoneNumberId, message }) => {
+    const number = numberFor(phoneNumberId)
+    if (!number) throw new Error(`Unknown business number ${phoneNumberId}`)
+    await handleIncomingMessage(number, message, { retry: true })
+  },
+  maxAttempts: Number(process.env.REPLY_JOB_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.REPLY_JOB_BASE_DELAY_MS) || 5000,
+  pollIntervalMs: Number(process.env.WEBHOOK_JOB_POLL_MS) || 2000,
+})
+const jobQueues = { webhook: webhookQueue, replies: replyQueue }
+
+// Record who did what for every state-changing authenticated request
+function auditRequest(req, res) {
+  if (req.method === 'GET') return
+  res.on('finish', () => {
+    // Bodies are parsed by then, including multer's for uploads
+    const body = { ...(req.body || {}) }
+    if (req.file) body.file = { name: req.file.originalname, size: req.file.size, mimetype: req.file.mimetype }
+    if (body.secret) body.secret = '[redacted]'
+    recordAudit({
+      actor: req.user.id,
+      role: req.user.role,
+      auth_method: req.user.method,
+      method: req.method,
+      path: req.originalUrl,
+      target: body.to || body.phone || req.params?.phone || null,
+      details: body,
+      status_code: res.statusCode,
+      ip: req.ip,
+    })
+  })
+}
+
+async function recordAudit(entry) {
+  try {
+    await store.insertAudit(entry)
+  } catch (error) {
+    console.error('Audit log insert failed:', error, entry)
+  }
+}
+
+// Live updates for the dashboard (GET /events)
+const events = createEventBus({ bufferSize: Number(process.env.EVENT_BUFFER_SIZE) || 1000 })
+
+// Mirrors WhatsApp activity to subscribed URLs (CRM, ticketing) with signed POSTs
+const forwarder = createWebhookForwarder({
+  store,
+  timeoutMs: Number(process.env.OUTGOING_WEBHOOK_TIMEOUT_MS) || 10000,
+  maxAttempts: Number(process.env.OUTGOING_WEBHOOK_MAX_ATTEMPTS) || 8,
+  baseDelayMs: Number(process.env.OUTGOING_WEBHOOK_BASE_DELAY_MS) || 10000,
+  pollIntervalMs: Number(process.env.OUTGOING_WEBHOOK_POLL_MS) || 2000,
+})
+
+// Broadcast campaigns, sent in the background at each campaign's rate
+const campaignSender = createCampaignSender({
+  store,
+  send: sendCampaignMessage,
+  defaultRate: Number(process.env.CAMPAIGN_RATE_PER_SECOND) || 1,
+  pollIntervalMs: Number(process.env.CAMPAIGN_POLL_MS) || 2000,
+  sendLeaseMs: Number(process.env.CAMPAIGN_SEND_LEASE_MS) || 5 * 60 * 1000,
+})
+
+// Scheduled and recurring sends (POST /schedules)
+const scheduler = createScheduler({
+  store,
+  run: runSchedule,
+  pollIntervalMs: Number(process.env.SCHEDULER_POLL_MS) || 15000,
+  misfireGraceMs: Number(process.env.SCHEDULE_MISFIRE_GRACE_MS) || 60 * 60 * 1000,
+})
+
+// number: the business number the message was sent from or to
+async function logMessage(number, payload) {
+  try {
     const normalized = {
       ...payload,
+      phone_number_id: number.id,
       // Normalize a single phone field to simplify querying
       phone: payload.kind === 'incoming' ? (payload.from || null) : (payload.to || null),
     }
-    const { data, error } = await supabase
-      .from('messages')
-      .insert(normalized)
-      .select()
-
-    if (error) {
-      console.error('Supabase insert error:', error)
-      return { ok: false, error }
+    const inserted = await store.insertMessage(normalized)
+    const { data, duplicate } = inserted.duplicate ? await mergeIntoStatusRow(normalized) : inserted
+    if (duplicate) return { ok: false, duplicate: true, error: new Error(`Message ${normalized.message_id} is already logged`) }
+    // Status rows are covered by message.status
+    if (payload.kind !== 'status') {
+      events.publish(payload.kind === 'incoming' ? 'message.incoming' : 'message.outgoing', data,
+        { phone: normalized.phone, phoneNumberId: number.id })
     }
     return { ok: true, data }
   } catch (e) {
-    console.error('Supabase logging failed:', e)
+    console.error('Message logging failed:', e)
     return { ok: false, error: e }
   }
 }
 
-async function upsertContact(phone, update) {
+// A status webhook can arrive before the send path logs the message, leaving a
+// status-only row under its message_id. Our own row then fills that one in (keeping
+// the newer status) instead of being rejected as a duplicate. Returns what
+// store.insertMessage would.
+async function mergeIntoStatusRow(row) {
+  const existing = await store.getMessage(row.message_id)
+  if (existing?.kind !== 'status' || row.kind === 'incoming') return { duplicate: true }
+  const patch = row.kind === 'status'
+    ? { status: row.status, updated_at: new Date().toISOString() }
+    : { ...row, raw: row.raw ?? null, status: existing.status, updated_at: new Date().toISOString() }
+  await store.updateMessage(row.message_id, patch)
+  return { data: await store.getMessage(row.message_id) }
+}
+
+// Only the fields given are written, so e.g. a name set from the dashboard survives
+// later message updates. countMessage: false for updates that aren't a message (status
+// webhooks, name changes), which must not bump total_messages.
+async function upsertContact(number, phone, update, { countMessage = true } = {}) {
   try {
-    if (!supabase) return
+    if (!phone) return
     const now = new Date().toISOString()
-    const payload = {
-      phone,
-      name: update.name || null,
-      last_message_id: update.last_message_id || null,
-      last_body: update.last_body || null,
-      last_type: update.last_type || null,
-      last_kind: update.last_kind || null,
-      last_direction: update.last_direction || null,
-      last_sender_id: update.last_sender_id || null,
-      last_recipient_phone: update.last_recipient_phone || null,
-      last_timestamp: update.last_timestamp || now,
-      updated_at: now,
+    const fields = { last_timestamp: now, updated_at: now }
+    for (const [key, value] of Object.entries(update)) {
+      if (value !== undefined) fields[key] = value
     }
-    const { error } = await supabase
-      .from('contacts')
-      .upsert(payload, { onConflict: 'phone' })
-      .select()
-
-    if (error) {
-      console.error('Supabase contact upsert error:', error)
-    } else {
-      // Increment total_messages separately to avoid overwriting
-      await supabase.rpc('increment_contact_messages', { p_phone: phone })
-        .catch(err => console.warn('RPC increment failed (define function):', err.message))
+    await store.upsertContact(number.id, phone, fields)
+    // Increment total_messages separately to avoid overwriting
+    if (countMessage) {
+      await store.incrementContactMessages(number.id, phone)
+        .catch(err => console.warn('Contact message count increment failed:', err.message))
     }
+    await publishContact(number, phone)
   } catch (e) {
-    console.error('Supabase contact upsert failed:', e)
+    console.error('Contact upsert failed:', e)
   }
 }
 
-// Welcome message template
-const WELCOME_MESSAGE = `Hi! 👋
-
-Thanks for reaching out.
-
-I help businesses grow with:
+// Push the contact's current row to dashboard clients
+async function publishContact(number, phone) {
+  try {
+    const contact = await store.getContact(number.id, phone)
+    if (contact) events.publish('contact.updated', withServiceWindow(contact), { phone, phoneNumberId: number.id })
+  } catch (e) {
+    console.error('Contact event failed:', e)
+  }
+}
 
-🌐 Website Development
-🎨 UI/UX & Website Design
-🚀 SEO & Search Ranking Improvement
-📈 Google Analytics & Tracking Setup
-⚙️ Website Speed Optimization
-💼 E-commerce & Custom Web Solutions
+// STOP/START keywords; opted-out numbers are refused by every send path
+const consentConfig = loadConsentConfig(CONSENT_FILE)
 
-How can I help you today? 🙂`
+const { requireRole } = createAuth({
+  apiKeys: API_KEYS,
+  jwtSecret: JWT_SECRET,
+  disabled: AUTH_DISABLED,
+  onRequest: auditRequest,
+})
 
 const app = express()
-app.use(express.json())
-// Allow your Next.js frontend to consume this API
+// Keep the raw body around so the webhook signature can be checked against Meta's exact bytes
+app.use(express.json({ verify: captureRawBody }))
+// Locally stored media (MEDIA_STORAGE=local). Left unauthenticated so the dashboard can
+// embed it; keys are random UUIDs.
+if (mediaStorage.driver === 'local') {
+  app.use('/media', express.static(MEDIA_DIR))
+}
+// Allow your Next.js frontend (and only the configured origins) to consume this API
 app.use(cors({
-  origin: '*',
-  methods: ['GET','POST'],
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  methods: ['GET','POST','DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID', 'X-Phone-Number-Id'],
 }))
+// req.number: the business number a dashboard request is about (X-Phone-Number-Id,
+// ?phone_number_id= or the default). Multipart routes can't use the body field.
+app.use(numbers.scope)
+
+// ?page=&limit= for list routes (limit capped at 200)
+function pagination(query) {
+  const limit = Math.min(Number(query.limit) || 50, 200)
+  const page = Math.max(Number(query.page) || 1, 1)
+  return { page, limit, offset: (page - 1) * limit }
+}
+
+// Error response for a failed send. Opted-out recipients and Graph API errors (see
+// lib/graph.js) get their own status and code; anything else is a plain 500.
+function sendFailed(res, error, message) {
+  console.error(`${message}:`, error.message, error.details || '')
+  if (error instanceof SuppressedRecipientError) {
+    return res.status(422).json({ error: error.message, code: error.code })
+  }
+  if (error instanceof GraphApiError) {
+    return res.status(error.httpStatus).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+      graph_code: error.graphCode,
+    })
+  }
+  res.status(500).json({ error: message })
+}
+
+// Normalize :phone in every route; invalid numbers get a 400
+app.param('phone', phones.param)
 
 // Routes
 app.get('/', (req, res) => {
   res.send('Whatsapp with Node.js and Webhooks')
 })
 
+// Counters (e.g. rejected webhook signatures)
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  res.json(metrics.snapshot())
+})
+
+// Server-sent events: message.incoming, message.outgoing, message.status, message.reaction and
+// contact.updated as they happen. ?phone= and ?phone_number_id= filter; EventSource clients authenticate
+// with ?access_token= since they can't send headers.
+app.get('/events', requireRole('viewer', { allowQueryToken: true }), phones.list('phone'), streamEvents(events))
+
+// The business numbers this server handles (access tokens are never shown)
+app.get('/numbers', requireRole('viewer'), (req, res) => {
+  res.json({ data: numbers.list().map(numberView) })
+})
+
 // Webhook verification
 app.get('/webhook', (req, res) => {
   const mode = req.query['hub.mode']
@@ -168,7 +449,7 @@ app.get('/webhook', (req, res) => {
 })
 
 // Send custom message endpoint
-app.post('/send-message', async (req, res) => {
+app.post('/send-message', requireRole('agent'), phones.field('to'), async (req, res) => {
   const { to, message } = req.body
 
   if (!to || !message) {
@@ -178,580 +459,2158 @@ app.post('/send-message', async (req, res) => {
   }
 
   try {
-    await sendMessage(to, message)
+    const contact = (await getContact(req.number, to)) || { phone: to }
+    const sent = await sendTextWithinWindow(req.number, to, message, contact)
+    if (!sent.ok) {
+      return res.status(422).json({
+        error: 'Recipient is outside the 24-hour customer service window',
+        code: sent.reason,
+        details: sent.errors,
+        window_expires_at: serviceWindow(contact).window_expires_at,
+      })
+    }
+    const outgoingLog = await logMessage(req.number, {
+      kind: 'outgoing',
+      to,
+      from: req.number.id,
+      type: sent.via,
+      body: sent.body,
+      message_id: sent.result?.messages?.[0]?.id || null,
+    })
+    if (!outgoingLog.ok) console.error('Outgoing message log failed:', outgoingLog.error)
     res.status(200).json({ 
       success: true, 
-      message: 'Message sent successfully' 
+      message: sent.via === 'template'
+        ? 'Outside the 24-hour window: sent as template'
+        : 'Message sent successfully',
+      via: sent.via,
     })
   } catch (error) {
-    console.error('Error sending message:', error.response?.data || error.message)
-    res.status(500).json({ 
-      error: 'Failed to send message', 
-      details: error.response?.data || error.message 
-    })
+    sendFailed(res, error, 'Failed to send message')
   }
 })
 
-// Webhook handler
-app.post('/webhook', async (req, res) => {
-  console.log('Incoming Webhook:', JSON.stringify(req.body, null, 2))
-  
-  try {
-    const { entry } = req.body
-
-    if (!entry || entry.length === 0) {
-      return res.status(400).send('Invalid Request')
-    }
-
-    const changes = entry[0].changes
+// Send an image, document, audio, video or sticker from an upload (multipart field
+// `file`) or a public URL (`url`)
+app.post('/send-media', requireRole('agent'), upload.single('file'), phones.field('to'), async (req, res) => {
+  const { to, url, caption, filename } = req.body
+  const file = req.file
 
-    if (!changes || changes.length === 0) {
-      return res.status(400).send('Invalid Request')
-    }
+  if (!to || (!file && !url)) {
+    return res.status(400).json({ error: 'Phone number (to) and either a file upload or url are required' })
+  }
+  const type = req.body.type || mediaTypeForMime(file?.mimetype)
+  if (!MEDIA_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${MEDIA_TYPES.join(', ')}` })
+  }
 
-    const value = changes[0].value
-    const statuses = value.statuses?.[0]
-    const messages = value.messages?.[0]
-
-    if (statuses) {
-      handleMessageStatus(statuses)
-      
-      // Update existing message status instead of inserting new row
-      const { data: existingMessage } = await supabase
-        .from('messages')
-        .select('id, status')
-        .eq('message_id', statuses.id)
-        .single()
-      
-      if (existingMessage) {
-        // Update the status of existing message
-        const { error: updateError } = await supabase
-          .from('messages')
-          .update({ 
-            status: statuses.status,
-            updated_at: new Date().toISOString()
-          })
-          .eq('message_id', statuses.id)
-        
-        if (updateError) {
-          console.error('Status update failed:', updateError)
-        } else {
-          console.log(`Updated message ${statuses.id} status: ${statuses.status}`)
-        }
-      } else {
-        // No existing message, log as new status entry
-        const statusLog = await logMessageToSupabase({
-          kind: 'status',
-          from: PHONE_NUMBER_ID,
-          message_id: statuses.id,
-          status: statuses.status,
-          to: statuses.recipient_id || null,
-          raw: value
-        })
-        if (!statusLog.ok) console.error('Status log failed:', statusLog.error)
-      }
-      
-      await upsertContact(statuses.recipient_id || statuses.from || messages?.from || null, {
-        last_message_id: statuses.id,
-        last_body: statuses.status,
-        last_type: 'status',
-        last_kind: 'status',
-        last_direction: 'incoming',
-        last_sender_id: PHONE_NUMBER_ID,
-        last_recipient_phone: statuses.recipient_id || null,
-      })
+  try {
+    let stored = null
+    let media
+    if (file) {
+      // Keep our own copy, then hand the file to WhatsApp
+      stored = await mediaStorage.save({ buffer: file.buffer, mimeType: file.mimetype, filename: file.originalname })
+      const mediaId = await req.number.media.uploadMedia({ buffer: file.buffer, mimeType: file.mimetype, filename: file.originalname })
+      media = { id: mediaId }
+    } else {
+      media = { link: url }
     }
 
-    if (messages) {
-      // Prevent processing messages from ourselves (loop prevention)
-      if (messages.from === PHONE_NUMBER_ID) {
-        console.log('Ignoring message from self to prevent loop')
-        return res.status(200).send('Webhook processed - self message ignored')
-      }
+    const result = await sendMedia(req.number, to, type, media, { caption, filename: filename || file?.originalname })
+    const messageId = result?.messages?.[0]?.id || null
+
+    const outgoingLog = await logMessage(req.number, {
+      kind: 'outgoing',
+      to,
+      from: req.number.id,
+      type,
+      body: caption || `[${type}]`,
+      message_id: messageId,
+      media_id: media.id || null,
+      media_mime_type: file?.mimetype || null,
+      media_filename: filename || file?.originalname || null,
+      media_url: stored?.url || url,
+      media_storage_key: stored?.key || null,
+      media_size: file?.size || null,
+      caption: caption || null,
+    })
+    if (!outgoingLog.ok) console.error('Outgoing media log failed:', outgoingLog.error)
 
-      console.log(`Processing incoming message from ${messages.from}`)
-      
-      try {
-        await handleIncomingMessage(messages)
-      } catch (handleError) {
-        console.error('Error handling incoming message:', handleError)
-      }
-      
-      const incomingLog = await logMessageToSupabase({
-        kind: 'incoming',
-        from: messages.from,
-        to: messages.to || null,
-        type: messages.type,
-        body: messages.text?.body || null,
-        interactive: messages.interactive || null,
-        message_id: messages.id,
-        timestamp: messages.timestamp || null,
-        raw: messages
-      })
-      if (!incomingLog.ok) console.error('Incoming log failed:', incomingLog.error)
-      await upsertContact(messages.from, {
-        last_message_id: messages.id,
-        last_body: messages.text?.body || null,
-        last_type: messages.type,
-        last_kind: 'incoming',
-        last_direction: 'incoming',
-        last_sender_id: messages.from,
-        last_recipient_phone: null,
-        last_timestamp: messages.timestamp ? new Date(Number(messages.timestamp) * 1000).toISOString() : undefined,
-      })
-    }
-    
-    res.status(200).send('Webhook processed')
+    res.status(200).json({ success: true, message_id: messageId, media_url: stored?.url || url })
   } catch (error) {
-    console.error('Webhook error:', error)
-    res.status(500).send('Internal server error')
+    sendFailed(res, error, 'Failed to send media')
   }
 })
 
-// Message handlers
-function handleMessageStatus(status) {
-  console.log(`MESSAGE STATUS UPDATE:
-    ID: ${status.id}
-    STATUS: ${status.status}`)
-}
+// Approved templates known to the number's registry
+app.get('/templates', requireRole('viewer'), (req, res) => {
+  res.json({ data: req.number.templates.list() })
+})
 
-async function handleIncomingMessage(message) {
-  console.log('Message type:', message.type)
-  console.log('Message body:', message.text?.body)
-  console.log('Full message:', JSON.stringify(message, null, 2))
+// Send an approved template; parameters may use {{column}} placeholders filled from
+// the recipient's contacts row
+app.post('/send-template', requireRole('agent'), phones.field('to'), async (req, res) => {
+  const { to, ...template } = req.body
+  if (!to) return res.status(400).json({ error: 'Phone number (to) is required' })
 
-  if (message.type === 'text') {
-    await handleTextMessage(message)
-  }
+  const check = validateTemplateInput(req.number.templates, template)
+  if (!check.ok) return res.status(400).json({ error: 'Invalid template', details: check.errors })
+
+  try {
+    const contact = (await getContact(req.number, to)) || { phone: to }
+    const built = buildTemplateMessage(check.template, check.language, template, contact)
+    if (!built.ok) return res.status(400).json({ error: 'Invalid template', details: built.errors })
+
+    const result = await sendTemplate(req.number, to, built.message)
+    const messageId = result?.messages?.[0]?.id || null
+    const templateLog = await logMessage(req.number, {
+      kind: 'outgoing',
+      to,
+      from: req.number.id,
+      type: 'template',
+      body: built.preview,
+      message_id: messageId,
+    })
+    if (!templateLog.ok) console.error('Template log failed:', templateLog.error)
 
-  if (message.type === 'interactive') {
-    await handleInteractiveMessage(message)
+    res.status(200).json({ success: true, message_id: messageId })
+  } catch (error) {
+    sendFailed(res, error, 'Failed to send template')
   }
-}
+})
 
-// Track if contact already received welcome message
-async function hasReceivedWelcome(phone) {
-  if (!supabase) return false
-  const { data } = await supabase
-    .from('contacts')
-    .select('last_kind')
-    .eq('phone', phone)
-    .single()
-  return data?.last_kind === 'reply'
-}
+// Send any free-form message type (text, buttons, list, cta_url, location,
+// location_request, contacts, reaction); see lib/messageBuilder.js for the fields.
+// `reply_to` quotes an earlier message.
+app.post('/messages', requireRole('agent'), phones.field('to'), async (req, res) => {
+  const { to, ...input } = req.body
+  if (!to) return res.status(400).json({ error: 'Phone number (to) is required' })
 
-async function handleTextMessage(message) {
-  console.log('handleTextMessage called for:', message.from)
-  
-  const alreadyWelcomed = await hasReceivedWelcome(message.from)
-  console.log('Already welcomed:', alreadyWelcomed)
-  
-  if (!alreadyWelcomed) {
-    // First message: send welcome
-    console.log('Sending welcome message to:', message.from)
-    try {
-      await replyMessage(message.from, WELCOME_MESSAGE, message.id)
-      console.log('Welcome message sent successfully')
-    } catch (err) {
-      console.error('Failed to send welcome message:', err.response?.data || err.message)
-      throw err
-    }
-    const replyLog = await logMessageToSupabase({
-      kind: 'reply',
-      to: message.from,
-      from: PHONE_NUMBER_ID,
-      type: 'text',
-      body: WELCOME_MESSAGE,
-      reply_to_message_id: message.id
-    })
-    if (!replyLog.ok) console.error('Reply log failed:', replyLog.error)
-    await upsertContact(message.from, {
-      last_message_id: message.id,
-      last_body: WELCOME_MESSAGE,
-      last_type: 'text',
-      last_kind: 'reply',
-      last_direction: 'reply',
-      last_sender_id: PHONE_NUMBER_ID,
-      last_recipient_phone: message.from,
-    })
-  } else {
-    // Follow-up message: send call/website buttons
-    console.log('Sending call/website buttons to:', message.from)
-    try {
-      await sendCallAndWebsiteButtons(message.from)
-      console.log('Buttons sent successfully')
-    } catch (err) {
-      console.error('Failed to send buttons:', err.response?.data || err.message)
-      throw err
+  const built = buildMessage(input)
+  if (!built.ok) return res.status(400).json({ error: 'Invalid message', details: built.errors })
+
+  try {
+    // None of these types are templates, so they all need an open service window
+    const contact = (await getContact(req.number, to)) || { phone: to }
+    const window = serviceWindow(contact)
+    if (!window.window_open) {
+      return res.status(422).json({
+        error: 'Recipient is outside the 24-hour customer service window',
+        code: 'outside_service_window',
+        window_expires_at: window.window_expires_at,
+      })
     }
-    const buttonLog = await logMessageToSupabase({
-      kind: 'reply',
-      to: message.from,
-      from: PHONE_NUMBER_ID,
-      type: 'interactive',
-      body: 'Get in touch',
-      reply_to_message_id: message.id
-    })
-    if (!buttonLog.ok) console.error('Button log failed:', buttonLog.error)
-    await upsertContact(message.from, {
-      last_message_id: message.id,
-      last_body: 'Call/Website buttons sent',
-      last_type: 'interactive',
-      last_kind: 'reply',
-      last_direction: 'reply',
-      last_sender_id: PHONE_NUMBER_ID,
-      last_recipient_phone: message.from,
+
+    const result = await sendBuiltMessage(req.number, to, built.message)
+    const messageId = result?.messages?.[0]?.id || null
+    const outgoingLog = await logMessage(req.number, {
+      kind: 'outgoing',
+      to,
+      from: req.number.id,
+      type: built.message.type,
+      body: built.preview,
+      message_id: messageId,
+      reply_to_message_id: input.reply_to || null,
     })
+    if (!outgoingLog.ok) console.error('Outgoing message log failed:', outgoingLog.error)
+
+    res.status(200).json({ success: true, message_id: messageId })
+  } catch (error) {
+    sendFailed(res, error, 'Failed to send message')
   }
-}
+})
 
-async function handleInteractiveMessage(message) {
-  const { interactive } = message
+// The number's current bot flow definition
+app.get('/flow', requireRole('viewer'), (req, res) => {
+  const { flowFile, flow } = req.number
+  res.json({ file: flowFile, enabled: Boolean(flow), flow })
+})
 
-  if (interactive.type === 'list_reply') {
-    const reply = interactive.list_reply
-    await sendMessage(
-      message.from, 
-      `You selected the option with ID ${reply.id} - Title ${reply.title}`
-    )
-    const listReplyLog = await logMessageToSupabase({
-      kind: 'reply',
-      to: message.from,
-      from: PHONE_NUMBER_ID,
-      type: 'text',
-      body: `You selected the option with ID ${reply.id} - Title ${reply.title}`,
-      interactive_selection: reply
-    })
-    if (!listReplyLog.ok) console.error('List-reply log failed:', listReplyLog.error)
-    await upsertContact(message.from, {
-      last_message_id: message.id,
-      last_body: `You selected the option with ID ${reply.id} - Title ${reply.title}`,
-      last_type: 'text',
-      last_kind: 'reply',
-      last_direction: 'reply',
-      last_sender_id: PHONE_NUMBER_ID,
-      last_recipient_phone: message.from,
+// Re-read the number's flow file; the running flow is kept if the new one is invalid
+app.post('/flow/reload', requireRole('admin'), (req, res) => {
+  const loaded = loadFlow(req.number.flowFile)
+  if (!loaded.ok) return res.status(400).json({ error: 'Invalid flow', details: loaded.errors })
+  req.number.flow = loaded.flow
+  console.log(`Reloaded bot flow for ${req.number.name} from ${req.number.flowFile}`)
+  res.json({ ok: true })
+})
+
+// Move a contact to a flow state (default: start) and resume the bot for them
+app.post('/contacts/flow/reset', requireRole('agent'), phones.field('phone'), async (req, res) => {
+  try {
+    const { phone, state } = req.body
+    const { flow } = req.number
+    if (!phone) return res.status(400).json({ error: 'phone is required' })
+    if (!flow) return res.status(500).json({ error: 'Bot flow not loaded' })
+    if (state && !flow.states[state]) return res.status(400).json({ error: `Unknown flow state: ${state}` })
+
+    await saveFlowState(req.number, phone, {
+      state: state || flow.start,
+      vars: {},
+      conversation: { conversation_status: 'bot', assigned_agent: null, conversation_updated_at: new Date().toISOString() },
     })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Flow reset error:', e)
+    res.status(500).json({ error: 'Internal server error' })
   }
+})
 
-  if (interactive.type === 'button_reply') {
-    const reply = interactive.button_reply
-    await sendMessage(
-      message.from, 
-      `You selected the button with ID ${reply.id} - Title ${reply.title}`
-    )
-    const btnReplyLog = await logMessageToSupabase({
-      kind: 'reply',
-      to: message.from,
-      from: PHONE_NUMBER_ID,
-      type: 'text',
-      body: `You selected the button with ID ${reply.id} - Title ${reply.title}`,
-      interactive_selection: reply
-    })
-    if (!btnReplyLog.ok) console.error('Button-reply log failed:', btnReplyLog.error)
-    await upsertContact(message.from, {
-      last_message_id: message.id,
-      last_body: `You selected the button with ID ${reply.id} - Title ${reply.title}`,
-      last_type: 'text',
-      last_kind: 'reply',
-      last_direction: 'reply',
-      last_sender_id: PHONE_NUMBER_ID,
-      last_recipient_phone: message.from,
-    })
+// Webhook handler
+app.post('/webhook', verifyWebhookSignature({
+  appSecret: WHATSAPP_APP_SECRET,
+  disabled: WEBHOOK_SIGNATURE_DISABLED,
+}), async (req, res) => {
+  console.log('Incoming Webhook:', JSON.stringify(req.body, null, 2))
+
+  const { entry } = req.body || {}
+  if (!Array.isArray(entry) || entry.length === 0) {
+    return res.status(400).send('Invalid Request')
   }
-}
 
-// WhatsApp API helper functions
-async function sendWhatsAppRequest(endpoint, data) {
   try {
-    const response = await axios({
-      url: `https://graph.facebook.com/v21.0/${PHONE_NUMBER_ID}/${endpoint}`,
-      method: 'post',
-      headers: {
-        'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      data: JSON.stringify(data)
-    })
-    return response.data
+    const job = await webhookQueue.enqueue(req.body)
+    if (!job.ok) {
+      // Not persisted: let Meta redeliver rather than lose the payload
+      console.error('Webhook enqueue failed:', job.error)
+      return res.status(500).send('Internal server error')
+    }
+    res.status(200).send('Webhook queued')
   } catch (error) {
-    console.error(`WhatsApp API Error (${endpoint}):`, error.response?.data || error.message)
-    throw error
+    console.error('Webhook error:', error)
+    res.status(500).send('Internal server error')
   }
-}
+})
 
-async function sendMessage(to, body) {
-  return sendWhatsAppRequest('messages', {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'text',
-    text: { body }
-  })
-}
+// Walk every entry -> change -> status/message in a delivery. Each item is handled
+// independently so one failure doesn't drop the rest of the batch. A change is for the
+// business number in its metadata; changes for numbers we don't handle are skipped.
+async function processWebhookPayload(body) {
+  const summary = { statuses: 0, messages: 0, duplicates: 0, skipped: 0, failed: 0 }
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {}
+      const number = numbers.forWebhook(value.metadata?.phone_number_id)
+      if (!number) {
+        const items = (value.statuses || []).length + (value.messages || []).length
+        if (items) console.warn(`Skipping ${items} webhook item(s) for unknown phone_number_id ${value.metadata?.phone_number_id}`)
+        summary.skipped += items
+        continue
+      }
 
-async function replyMessage(to, body, messageId) {
-  return sendWhatsAppRequest('messages', {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'text',
-    text: { body },
-    context: { message_id: messageId }
-  })
-}
+      for (const raw of value.statuses || []) {
+        const status = { ...raw, recipient_id: webhookPhone(raw.recipient_id) }
+        try {
+          const handled = await processStatus(number, status, value)
+          if (handled) summary.statuses++
+          else summary.duplicates++
+        } catch (err) {
+          summary.failed++
+          metrics.increment('webhook_items_failed')
+          console.error(`Failed to process status ${status.id}:`, err)
+          await releaseStatusClaim(status)
+        }
+      }
 
-async function sendList(to) {
-  return sendWhatsAppRequest('messages', {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'interactive',
-    interactive: {
-      type: 'list',
-      header: {
-        type: 'text',
-        text: 'Message Header'
-      },
-      body: {
-        text: 'This is a interactive list message'
-      },
-      footer: {
-        text: 'This is the message footer'
-      },
-      action: {
-        button: 'Tap for the options',
-        sections: [
-          {
-            title: 'First Section',
-            rows: [
-              {
-                id: 'first_option',
-                title: 'First option',
-                description: 'This is the description of the first option'
-              },
-              {
-                id: 'second_option',
-                title: 'Second option',
-                description: 'This is the description of the second option'
-              }
-            ]
-          },
-          {
-            title: 'Second Section',
-            rows: [
-              {
-                id: 'third_option',
-                title: 'Third option'
-              }
-            ]
-          }
-        ]
+      for (const raw of value.messages || []) {
+        const message = { ...raw, from: webhookPhone(raw.from) }
+        try {
+          const result = await processIncomingMessage(number, message)
+          if (result === 'processed') summary.messages++
+          else if (result === 'duplicate') summary.duplicates++
+          else summary.skipped++
+        } catch (err) {
+          summary.failed++
+          metrics.increment('webhook_items_failed')
+          console.error(`Failed to process message ${message.id}:`, err)
+        }
       }
     }
-  })
+  }
+
+  return summary
 }
 
-async function sendReplyButtons(to) {
-  return sendWhatsAppRequest('messages', {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'interactive',
-    interactive: {
-      type: 'button',
-      header: {
-        type: 'text',
-        text: 'Message Header'
-      },
-      body: {
-        text: 'This is a interactive reply buttons message'
-      },
-      footer: {
-        text: 'This is the message footer'
-      },
-      action: {
-        buttons: [
-          {
-            type: 'reply',
-            reply: {
-              id: 'first_button',
-              title: 'First Button'
-            }
-          },
-          {
-            type: 'reply',
-            reply: {
-              id: 'second_button',
-              title: 'Second Button'
-            }
-          }
-        ]
-      }
-    }
-  })
+// WhatsApp sends wa_ids, which are already E.164 digits; normalizing them anyway keeps
+// webhook numbers identical to the ones entered through the API. Ids that don't parse
+// are kept as they are rather than dropping the message.
+function webhookPhone(value) {
+  if (!value) return value
+  const result = phones.normalize(value, { international: true })
+  if (!result.ok) console.warn(`Webhook phone number left as is: ${result.error}`)
+  return result.ok ? result.phone : value
 }
 
-async function sendCallAndWebsiteButtons(to) {
-  return sendWhatsAppRequest('messages', {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'interactive',
-    interactive: {
-      type: 'cta_url',
-      body: {
-        text: 'Thanks for your interest! You can call me or visit my website.'
-      },
-      action: {
-        name: 'cta_url',
-        parameters: {
-          display_text: 'Visit Website',
-          url: 'https://sahilkargutkar.me'
-        }
-      }
-    }
+// Record a status transition once per (message id, status). Returns false for replays.
+async function claimStatus(status) {
+  const key = `status:${status.id}:${status.status}`
+  if (processedWebhookItems.has(key)) return false
+  // A store error propagates: unknown whether it was seen before, so the job retries it
+  const { duplicate } = await store.insertStatusEvent({
+    message_id: status.id,
+    status: status.status,
+    recipient_id: status.recipient_id || null,
+    timestamp: status.timestamp || null,
+    raw: status,
   })
+  processedWebhookItems.add(key)
+  if (duplicate) return false
+  return true
 }
 
-// Broadcast message to all contacts or filtered subset
-app.post('/broadcast', async (req, res) => {
+// Undo claimStatus after a failure so a retry processes the status again
+async function releaseStatusClaim(status) {
+  processedWebhookItems.remove(`status:${status.id}:${status.status}`)
   try {
-    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    
-    const { message, filter = {} } = req.body
-    if (!message) return res.status(400).json({ error: 'message is required' })
-
-    // Get all contacts (or filtered)
-    let query = supabase
-      .from('contacts')
-      .select('phone, name')
-      .order('updated_at', { ascending: false })
+    await store.deleteStatusEvent(status.id, status.status)
+  } catch (error) {
+    console.error('Releasing status claim failed:', error)
+  }
+}
 
-    // Optional filters
-    if (filter.hasName) {
-      query = query.not('name', 'is', null)
-    }
-    if (filter.lastMessageAfter) {
-      query = query.gte('last_timestamp', filter.lastMessageAfter)
-    }
+// Returns false when the status was already processed
+async function processStatus(number, status, value) {
+  if (!await claimStatus(status)) {
+    metrics.increment('webhook_duplicates_ignored')
+    console.log(`Ignoring duplicate status ${status.status} for ${status.id}`)
+    return false
+  }
 
-    const { data: contacts, error } = await query
-    if (error) return res.status(500).json({ error: error.message })
+  handleMessageStatus(status)
+  events.publish('message.status', {
+    message_id: status.id,
+    status: status.status,
+    timestamp: status.timestamp || null,
+    errors: status.errors || null,
+  }, { phone: status.recipient_id || null, phoneNumberId: number.id })
+  await campaignSender.recordStatus(status)
 
-    if (!contacts || contacts.length === 0) {
-      return res.json({ success: true, sent: 0, failed: 0, message: 'No contacts found' })
-    }
+  // Update existing message status instead of inserting new row
+  const existingMessage = await store.getMessage(status.id)
 
-    // Send messages with delay to avoid rate limits
-    const results = []
-    for (const contact of contacts) {
-      try {
-        await sendMessage(contact.phone, message)
-        results.push({ phone: contact.phone, success: true })
-        
-        // Log broadcast message
-        await logMessageToSupabase({
-          kind: 'broadcast',
-          to: contact.phone,
-          from: PHONE_NUMBER_ID,
-          type: 'text',
-          body: message,
-        })
-        
-        // Small delay to avoid rate limits (adjust as needed)
-        await new Promise(resolve => setTimeout(resolve, 1000))
-      } catch (err) {
-        console.error(`Failed to send to ${contact.phone}:`, err.message)
-        results.push({ phone: contact.phone, success: false, error: err.message })
-      }
+  if (existingMessage) {
+    // Update the status of existing message
+    try {
+      await store.updateMessage(status.id, {
+        status: status.status,
+        updated_at: new Date().toISOString()
+      })
+      console.log(`Updated message ${status.id} status: ${status.status}`)
+    } catch (updateError) {
+      console.error('Status update failed:', updateError)
     }
-
-    const sent = results.filter(r => r.success).length
-    const failed = results.filter(r => !r.success).length
-
-    res.json({ 
-      success: true, 
-      sent, 
-      failed, 
-      total: contacts.length,
-      details: results 
+  } else {
+    // No existing message, log as new status entry
+    const statusLog = await logMessage(number, {
+      kind: 'status',
+      from: number.id,
+      message_id: status.id,
+      status: status.status,
+      to: status.recipient_id || null,
+      raw: value
     })
-  } catch (e) {
-    console.error('Broadcast error:', e)
-    res.status(500).json({ error: 'Internal server error' })
+    if (!statusLog.ok) console.error('Status log failed:', statusLog.error)
   }
-})
-
-// Get broadcast-ready contacts count
-app.get('/broadcast/preview', async (req, res) => {
-  try {
-    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    
-    const { filter = {} } = req.query
-    let query = supabase
-      .from('contacts')
-      .select('phone, name, last_timestamp', { count: 'exact' })
 
-    if (filter.hasName === 'true') {
-      query = query.not('name', 'is', null)
-    }
-    if (filter.lastMessageAfter) {
-      query = query.gte('last_timestamp', filter.lastMessageAfter)
-    }
+  await upsertContact(number, status.recipient_id || status.from || null, {
+    last_message_id: status.id,
+    last_body: status.status,
+    last_type: 'status',
+    last_kind: 'status',
+    last_direction: 'incoming',
+    last_sender_id: number.id,
+    last_recipient_phone: status.recipient_id || null,
+  }, { countMessage: false })
+  // Last, so a failure above (and Meta's retry) doesn't forward the status twice
+  await forwarder.dispatch('message.status', { phone_number_id: number.id, status }, { key: `${status.id}:${status.status}` })
+  return true
+}
 
-    const { data, error, count } = await query
-    if (error) return res.status(500).json({ error: error.message })
+// Returns 'processed', 'duplicate' (replayed delivery) or 'skipped' (self message)
+async function processIncomingMessage(number, message) {
+  // Prevent processing messages from ourselves, including our other numbers (loop prevention)
+  if (numbers.isOwnNumber(message.from)) {
+    console.log('Ignoring message from self to prevent loop')
+    return 'skipped'
+  }
 
-    res.json({ 
-      count: count || 0,
-      contacts: data?.slice(0, 10) || [] // Preview first 10
-    })
-  } catch (e) {
-    console.error('Broadcast preview error:', e)
-    res.status(500).json({ error: 'Internal server error' })
+  const cacheKey = `message:${message.id}`
+  if (processedWebhookItems.has(cacheKey)) {
+    metrics.increment('webhook_duplicates_ignored')
+    console.log(`Ignoring duplicate message ${message.id} (cache)`)
+    return 'duplicate'
   }
-})
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server started on port ${PORT}`)
-})
+  // Log first: the unique message_id constraint makes this insert our claim on the
+  // message, so a replayed delivery never re-runs the auto-replies
+  const media = MEDIA_TYPES.includes(message.type) ? message[message.type] : null
+  const incomingLog = await logMessage(number, {
+    kind: 'incoming',
+    from: message.from,
+    to: message.to || null,
+    type: message.type,
+    body: describeMessage(message),
+    interactive: message.interactive || null,
+    message_id: message.id,
+    timestamp: message.timestamp || null,
+    media_id: media?.id || null,
+    media_mime_type: media?.mime_type || null,
+    media_sha256: media?.sha256 || null,
+    media_filename: media?.filename || null,
+    caption: media?.caption || null,
+    location: message.location || null,
+    contacts: message.contacts || null,
+    raw: message
+  })
+  if (incomingLog.duplicate) {
+    processedWebhookItems.add(cacheKey)
+    metrics.increment('webhook_duplicates_ignored')
+    console.log(`Ignoring duplicate message ${message.id} (already stored)`)
+    return 'duplicate'
+  }
+  if (!incomingLog.ok) {
+    // Without the claim a retry could double-reply, so fail the item and retry later
+    throw new Error(`Incoming log failed: ${incomingLog.error?.message || incomingLog.error}`)
+  }
+  processedWebhookItems.add(cacheKey)
+
+  console.log(`Processing incoming message from ${message.from} to ${number.name}`)
+
+  await forwarder.dispatch('message.incoming', { phone_number_id: number.id, from: message.from, message }, { key: message.id })
+  const { button, list } = messageInput(message)
+  if (button || list) {
+    await forwarder.dispatch('interactive.reply', {
+      phone_number_id: number.id,
+      from: message.from,
+      message_id: message.id,
+      kind: button ? 'button' : 'list',
+      id: (button || list).id,
+      title: (button || list).title,
+    }, { key: message.id })
+  }
 
-// List all messages (with basic pagination and filtering)
-app.get('/logs', async (req, res) => {
   try {
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase not configured' })
-    }
+    await trackConversation(number, message)
+  } catch (trackError) {
+    console.error('Conversation tracking failed:', trackError)
+  }
 
-    const { phone, kind, type, limit = 50, page = 1 } = req.query
-    const l = Math.min(Number(limit) || 50, 200)
-    const p = Math.max(Number(page) || 1, 1)
-    const from = (p - 1) * l
-    const to = from + l - 1
+  try {
+    await handleIncomingMessage(number, message)
+  } catch (handleError) {
+    console.error('Error handling incoming message, queueing a retry:', handleError)
+    metrics.increment('message_handling_failed')
+    const job = await replyQueue.enqueue({ phone_number_id: number.id, message })
+    if (!job.ok) console.error(`Queueing a retry for message ${message.id} failed:`, job.error)
+  }
 
-    let query = supabase
-      .from('messages')
-      .select('*', { count: 'exact' })
-      .order('created_at', { ascending: false })
+  await upsertContact(number, message.from, {
+    last_message_id: message.id,
+    last_body: describeMessage(message),
+    last_type: message.type,
+    last_kind: 'incoming',
+    last_direction: 'incoming',
+    last_sender_id: message.from,
+    last_recipient_phone: null,
+    last_timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : undefined,
+    last_inbound_at: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : new Date().toISOString(),
+  })
+  return 'processed'
+}
+
+// Message handlers
+// Count unread messages for the inbox, and hand closed conversations back to the bot
+async function trackConversation(number, message) {
+  const contact = await getContact(number, message.from)
+  if (isWithHuman(contact)) {
+    await store.incrementContactUnread(number.id, message.from)
+  } else if (conversationStatus(contact) === 'closed') {
+    const reopen = transition(contact, 'reopen')
+    await store.updateConversation(number.id, message.from, reopen.patch, reopen.fromStatuses)
+  }
+}
+
+function handleMessageStatus(status) {
+  console.log(`MESSAGE STATUS UPDATE:
+    ID: ${status.id}
+    STATUS: ${status.status}`)
+}
+
+// retry: a queued retry (replyQueue), which doesn't send a second read receipt
+async function handleIncomingMessage(number, message, { retry = false } = {}) {
+  console.log('Message type:', message.type)
+  console.log('Message body:', message.text?.body)
+  console.log('Full message:', JSON.stringify(message, null, 2))
+
+  if (AUTO_MARK_READ && !retry) await autoMarkRead(number, message)
+
+  if (message.type === 'reaction') {
+    await handleReactionMessage(number, message)
+  }
+
+  if (message.type === 'text') {
+    if (await handleConsentMessage(number, message)) return
+    await handleTextMessage(number, message)
+  }
+
+  // 'button' is a quick-reply tap on a template message
+  if (message.type === 'interactive' || message.type === 'button') {
+    await handleInteractiveMessage(number, message)
+  }
+
+  if (MEDIA_TYPES.includes(message.type)) {
+    await handleMediaMessage(number, message)
+  }
+}
+
+// Message types the bot answers (text, button and list replies)
+const BOT_REPLY_TYPES = ['text', 'interactive', 'button']
+
+// Mark an incoming message read unless a human has the conversation (their agent does
+// that from the inbox). A failed receipt never holds up the reply.
+async function autoMarkRead(number, message) {
+  try {
+    const contact = await getContact(number, message.from)
+    if (isWithHuman(contact)) return
+    const typing = TYPING_INDICATOR && Boolean(number.flow) && BOT_REPLY_TYPES.includes(message.type)
+      && contact?.consent_status !== 'opted_out'
+    await markRead(number, message.id, { typing })
+    metrics.increment('messages_marked_read')
+  } catch (err) {
+    metrics.increment('mark_read_failed')
+    console.warn(`Marking ${message.id} read failed:`, err.message)
+  }
+}
+
+// The contact reacted to one of the messages in the chat, or took their reaction back
+async function handleReactionMessage(number, message) {
+  const reaction = incomingReaction(message)
+  if (!reaction) return
+  await saveReaction(number, message.from, {
+    message_id: reaction.message_id,
+    direction: 'inbound',
+    emoji: reaction.emoji,
+    reaction_message_id: message.id,
+  })
+}
+
+// Store (or, without an emoji, remove) a reaction and tell dashboard clients and
+// webhook subscribers
+async function saveReaction(number, phone, reaction) {
+  if (reaction.emoji) await store.upsertReaction(reaction)
+  else await store.deleteReaction(reaction.message_id, reaction.direction)
+  const data = { ...reaction, emoji: reaction.emoji || null }
+  events.publish('message.reaction', data, { phone, phoneNumberId: number.id })
+  await forwarder.dispatch('message.reaction', { phone_number_id: number.id, phone, reaction: data }, {
+    key: reaction.reaction_message_id,
+  })
+}
+
+// Download incoming media while the Graph URL is still valid, store it and link
+// it from the message row
+async function handleMediaMessage(number, message) {
+  const mediaId = message[message.type]?.id
+  if (!mediaId) return
+
+  try {
+    const file = await number.media.downloadMedia(mediaId)
+    const stored = await mediaStorage.save({
+      buffer: file.buffer,
+      mimeType: file.mimeType,
+      filename: message.document?.filename,
+    })
+    metrics.increment('media_downloaded')
+    console.log(`Stored ${message.type} ${mediaId} at ${stored.url}`)
+
+    await store.updateMessage(message.id, {
+      media_url: stored.url,
+      media_storage_key: stored.key,
+      media_size: file.fileSize || file.buffer.length,
+      media_mime_type: file.mimeType,
+      updated_at: new Date().toISOString(),
+    }).catch(error => console.error('Media link update failed:', error))
+  } catch (err) {
+    metrics.increment('media_download_failed')
+    console.error(`Failed to store media ${mediaId}:`, err.message, err.details || '')
+  }
+}
+
+// STOP / START keywords: record the contact's choice and confirm it. Returns true
+// when the message was a consent keyword and needs no further handling.
+async function handleConsentMessage(number, message) {
+  const match = matchConsentKeyword(consentConfig, message.text?.body)
+  if (!match) return false
+
+  const status = match.action === 'opt_out' ? 'opted_out' : 'opted_in'
+  await setConsent(number, message.from, status, 'keyword', message.id)
+  metrics.increment(status === 'opted_out' ? 'contacts_opted_out' : 'contacts_opted_in')
+  console.log(`Contact ${message.from} ${status} via keyword (${match.language})`)
+
+  if (match.reply) {
+    // The confirmation is the one message an opted-out contact still gets
+    const result = await sendMessage(number, message.from, match.reply, { ignoreSuppression: true })
+    await logBotReply(number, message, { type: 'text', body: match.reply, result })
+  }
+  return true
+}
+
+async function handleTextMessage(number, message) {
+  console.log('handleTextMessage called for:', message.from)
+  await runFlow(number, message)
+}
+
+async function handleInteractiveMessage(number, message) {
+  await runFlow(number, message)
+}
+
+// Contact row (for {{contact.*}} placeholders) including its saved flow state
+async function loadFlowContact(number, phone) {
+  return (await getContact(number, phone)) || { phone }
+}
+
+// conversation: optional conversation fields to write along with it (handoff)
+async function saveFlowState(number, phone, { state, vars, conversation }) {
+  const update = {
+    flow_state: state,
+    flow_vars: vars || {},
+    flow_updated_at: new Date().toISOString(),
+    ...conversation,
+  }
+  try {
+    // Upsert: the contact row may not exist yet on a first message
+    await store.upsertContact(number.id, phone, update)
+    if (conversation) await publishContact(number, phone)
+  } catch (error) {
+    console.error('Saving flow state failed:', error)
+  }
+}
+
+// Run one incoming message through the number's flow and send whatever it decides
+async function runFlow(number, message) {
+  const { flow } = number
+  if (!flow) return
+  const contact = await loadFlowContact(number, message.from)
+  if (isWithHuman(contact)) {
+    console.log(`Conversation with ${message.from} is with a human, bot stays quiet`)
+    return
+  }
+  if (contact.consent_status === 'opted_out') {
+    console.log(`Not auto-replying to opted-out contact ${message.from}`)
+    return
+  }
+
+  const result = evaluate(flow, { state: contact.flow_state, vars: contact.flow_vars || {} }, message)
+  console.log(`Flow ${contact.flow_state || '(new)'} -> ${result.state} for ${message.from}, ${result.actions.length} action(s)`)
+
+  const ctx = {
+    contact,
+    message: { id: message.id, type: message.type, text: message.text?.body || '' },
+    reply: result.input?.button || result.input?.list || {},
+    vars: result.vars,
+  }
+  // Once past the start state (welcomed), a text the flow has nothing specific for is
+  // answered from the FAQs when one matches; the flow's catch-all reply is the fallback
+  const pastStart = contact.flow_state && contact.flow_state !== flow.start
+  if (message.type === 'text' && result.catchAll && pastStart) {
+    const answered = await answerFromFaq(number, message, ctx).catch(error => {
+      console.error('FAQ answer failed:', error)
+      return false
+    })
+    if (answered) return
+  }
+
+  let conversation
+  for (const action of result.actions) {
+    const rendered = renderAction(action, ctx)
+    if (rendered.type === 'handoff') conversation = transition(contact, 'handoff').patch
+    await executeFlowAction(number, message, rendered, contact)
+  }
+
+  // Saved only after every action went out, so a failed send is retried (replyQueue) from
+  // the same state
+  await saveFlowState(number, message.from, { state: result.state, vars: result.vars, conversation })
+}
+
+// Send the best matching FAQ answer (placeholders as in flow texts) as a reply to the
+// question. Returns false when none matched; questions with words to match on are then
+// recorded for GET /faqs/unmatched.
+async function answerFromFaq(number, message, ctx) {
+  const text = message.text?.body || ''
+  const { data: faqs } = await store.listFaqs({ phoneNumberId: number.id, active: true })
+  const result = matchFaq(faqs, text, { threshold: FAQ_MATCH_THRESHOLD })
+  if (!result.match) {
+    if (result.words.length) {
+      metrics.increment('faq_unmatched')
+      await store.insertUnmatchedQuestion({
+        phone_number_id: number.id,
+        phone: message.from,
+        message_id: message.id,
+        text,
+        best_faq_id: result.faq?.id || null,
+        best_score: result.faq ? result.score : null,
+      }).catch(error => console.error('Recording unmatched question failed:', error))
+    }
+    return false
+  }
+
+  const { faq, score } = result
+  console.log(`FAQ ${faq.id} answers ${message.from} (score ${score})`)
+  const answer = renderAction({ type: 'text', text: faq.answer }, ctx).text
+  const sent = await replyMessage(number, message.from, answer, message.id)
+  await logBotReply(number, message, { type: 'text', body: answer, result: sent })
+  metrics.increment('faq_answers')
+  await store.updateFaq(faq.id, { match_count: (faq.match_count || 0) + 1, last_matched_at: new Date().toISOString() })
+    .catch(error => console.error('FAQ match count update failed:', error))
+  return true
+}
+
+async function executeFlowAction(number, message, action, contact) {
+  const to = message.from
+  switch (action.type) {
+    case 'text': {
+      const result = action.reply
+        ? await replyMessage(number, to, action.text, message.id)
+        : await sendMessage(number, to, action.text)
+      return logBotReply(number, message, { type: 'text', body: action.text, result })
+    }
+
+    case 'buttons':
+    case 'list':
+    case 'cta_url': {
+      const built = buildMessage(action)
+      if (!built.ok) throw new Error(`Flow ${action.type} action invalid: ${built.errors.join('; ')}`)
+      const result = await sendBuiltMessage(number, to, built.message)
+      return logBotReply(number, message, { type: 'interactive', body: built.preview, result })
+    }
+
+    case 'template': {
+      const check = validateTemplateInput(number.templates, action)
+      if (!check.ok) throw new Error(`Flow template action invalid: ${check.errors.join('; ')}`)
+      const built = buildTemplateMessage(check.template, check.language, action, contact)
+      if (!built.ok) throw new Error(`Flow template action invalid: ${built.errors.join('; ')}`)
+      const result = await sendTemplate(number, to, built.message)
+      return logBotReply(number, message, { type: 'template', body: built.preview, result })
+    }
+
+    case 'handoff':
+      metrics.increment('flow_handoffs')
+      console.log(`Handing ${to} off to a human`)
+      if (action.text) {
+        const result = await sendMessage(number, to, action.text)
+        return logBotReply(number, message, { type: 'text', body: action.text, result })
+      }
+      return
+
+    default:
+      throw new Error(`Unknown flow action type: ${action.type}`)
+  }
+}
+
+// Log an automated reply and reflect it on the contact. result: the Graph send response,
+// whose message id links later statuses and reactions to the row.
+async function logBotReply(number, message, { type, body, result }) {
+  const selection = message.interactive?.button_reply || message.interactive?.list_reply || null
+  const replyLog = await logMessage(number, {
+    kind: 'reply',
+    to: message.from,
+    from: number.id,
+    type,
+    body,
+    message_id: result?.messages?.[0]?.id || null,
+    reply_to_message_id: message.id,
+    interactive_selection: selection
+  })
+  if (!replyLog.ok) console.error('Reply log failed:', replyLog.error)
+  await upsertContact(number, message.from, {
+    last_message_id: message.id,
+    last_body: body,
+    last_type: type,
+    last_kind: 'reply',
+    last_direction: 'reply',
+    last_sender_id: number.id,
+    last_recipient_phone: message.from,
+  })
+}
+
+// WhatsApp API helper functions. `number` is the business number sending.
+// Every outbound message goes through here, so this is where opted-out recipients
+// are refused. Only the opt-out confirmation itself passes ignoreSuppression.
+async function sendWhatsAppRequest(number, endpoint, data, { ignoreSuppression = false } = {}) {
+  if (endpoint === 'messages' && data.to && !ignoreSuppression && await isSuppressed(number, data.to)) {
+    metrics.increment('sends_blocked_suppressed')
+    throw new SuppressedRecipientError(data.to)
+  }
+  try {
+    return await graph.request({
+      accessToken: number.accessToken,
+      method: 'post',
+      path: `${number.id}/${endpoint}`,
+      data,
+      throttle: number.id,
+    })
+  } catch (error) {
+    console.error(`WhatsApp API Error (${endpoint}):`, error.message, error.details || '')
+    throw error
+  }
+}
+
+async function sendMessage(number, to, body, options) {
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'text',
+    text: { body }
+  }, options)
+}
+
+async function replyMessage(number, to, body, messageId) {
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'text',
+    text: { body },
+    context: { message_id: messageId }
+  })
+}
+
+// Blue ticks for an incoming message (and every earlier one in the chat). With typing,
+// the contact also sees "typing…" until our next message or for up to 25 seconds.
+async function markRead(number, messageId, { typing = false } = {}) {
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    status: 'read',
+    message_id: messageId,
+    ...(typing ? { typing_indicator: { type: 'text' } } : {}),
+  })
+}
+
+// React to a message in the chat; an empty emoji removes our reaction
+async function sendReaction(number, to, messageId, emoji) {
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to,
+    type: 'reaction',
+    reaction: { message_id: messageId, emoji },
+  })
+}
+
+async function isSuppressed(number, phone) {
+  // Fail closed: a store error propagates, better to skip a send than message
+  // someone who said STOP
+  const contact = await getContact(number, phone)
+  return contact?.consent_status === 'opted_out'
+}
+
+// status: 'opted_out' | 'opted_in'; source: 'keyword', 'api', ...; messageId: the
+// keyword message, if any
+async function setConsent(number, phone, status, source, messageId) {
+  try {
+    await store.upsertContact(number.id, phone, {
+      consent_status: status,
+      consent_updated_at: new Date().toISOString(),
+      consent_source: source,
+    })
+  } catch (error) {
+    throw new Error(`Updating consent for ${phone} failed: ${error.message}`)
+  }
+  await publishContact(number, phone)
+  await forwarder.dispatch(`consent.${status}`, { phone_number_id: number.id, phone, source }, { key: messageId })
+}
+
+async function getContact(number, phone) {
+  try {
+    return await store.getContact(number.id, phone)
+  } catch (error) {
+    throw new Error(`Loading contact ${phone} failed: ${error.message}`)
+  }
+}
+
+// Free-text send that respects the 24h service window. Outside it the text is converted
+// to the number's windowFallback template, or refused when none is configured.
+// contact: the recipient's row. Without one the contact never wrote to us, so the window
+// is closed.
+async function sendTextWithinWindow(number, to, body, contact) {
+  if (!serviceWindow(contact).window_open) {
+    const fallback = number.templates.windowFallback()
+    if (!fallback) return { ok: false, reason: 'outside_service_window' }
+    const check = validateTemplateInput(number.templates, fallback)
+    if (!check.ok) return { ok: false, reason: 'invalid_fallback_template', errors: check.errors }
+    const built = buildTemplateMessage(check.template, check.language, fallback, { phone: to, ...contact, message: body })
+    if (!built.ok) return { ok: false, reason: 'invalid_fallback_template', errors: built.errors }
+    const result = await sendTemplate(number, to, built.message)
+    return { ok: true, via: 'template', result, body: built.preview }
+  }
+  const result = await sendMessage(number, to, body)
+  return { ok: true, via: 'text', result, body }
+}
+
+// template: the Graph `template` object built by lib/templates.js
+async function sendTemplate(number, to, template) {
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'template',
+    template
+  })
+}
+
+// media: { id } of an uploaded file or { link } to a public URL
+async function sendMedia(number, to, type, media, { caption, filename } = {}) {
+  const object = { ...media }
+  // WhatsApp rejects captions on audio and stickers
+  if (caption && ['image', 'video', 'document'].includes(type)) object.caption = caption
+  if (filename && type === 'document') object.filename = filename
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    to,
+    type,
+    [type]: object
+  })
+}
+
+// message: the Graph object from lib/messageBuilder.js
+async function sendBuiltMessage(number, to, message) {
+  return sendWhatsAppRequest(number, 'messages', {
+    messaging_product: 'whatsapp',
+    to,
+    ...message
+  })
+}
+
+// Broadcast message to all contacts or filtered subset. Creates a campaign that the
+// background sender works through; poll GET /campaigns/:id for progress.
+app.post('/broadcast', requireRole('admin'), createCampaignRoute)
+app.post('/campaigns', requireRole('admin'), createCampaignRoute)
+
+async function createCampaignRoute(req, res) {
+  try {
+    // Free text (`message`), an approved template (`template`), which also reaches
+    // contacts outside the 24h window, or a builder message (`interactive`, see
+    // lib/messageBuilder.js), which skips contacts outside it
+    const { name, message, template, interactive, filter = {}, segment, ratePerSecond } = req.body
+    if (!message && !template && !interactive) {
+      return res.status(400).json({ error: 'message, template or interactive is required' })
+    }
+
+    const contentErrors = checkContent(req.number, { template, interactive })
+    if (contentErrors) return res.status(400).json(contentErrors)
+    if (ratePerSecond !== undefined && !(Number(ratePerSecond) > 0)) {
+      return res.status(400).json({ error: 'ratePerSecond must be a positive number' })
+    }
+
+    const target = await resolveSegment(req.number, segment)
+    if (!target.ok) return res.status(target.status).json(target.body)
+
+    // Get all contacts (or filtered), leaving out anyone who opted out
+    const { data: contacts } = await findContacts({
+      phoneNumberId: req.number.id,
+      hasName: Boolean(filter.hasName),
+      lastMessageAfter: filter.lastMessageAfter,
+      excludeOptedOut: true,
+    }, target.rules)
+
+    if (!contacts || contacts.length === 0) {
+      return res.json({ success: true, total: 0, message: 'No contacts found' })
+    }
+
+    const campaign = await campaignSender.createCampaign({
+      phoneNumberId: req.number.id,
+      name,
+      message,
+      template,
+      interactive,
+      filter: segment === undefined ? filter : { ...filter, segment },
+      ratePerSecond,
+      phones: contacts.map(c => c.phone),
+    })
+
+    res.status(202).json({
+      success: true,
+      campaign_id: campaign.id,
+      total: campaign.total,
+      status: campaign.status,
+    })
+  } catch (e) {
+    console.error('Broadcast error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
+
+// Validates stored-and-sent-later content up front against the sending number's
+// templates: { error, details } or null
+function checkContent(number, { template, interactive }) {
+  if (template) {
+    const check = validateTemplateInput(number.templates, template)
+    if (!check.ok) return { error: 'Invalid template', details: check.errors }
+  }
+  if (interactive) {
+    const built = buildMessage(interactive)
+    if (!built.ok) return { error: 'Invalid message', details: built.errors }
+  }
+  return null
+}
+
+// Send a campaign's or schedule's content to one contact: an approved template, a
+// builder message (needs an open service window) or free text (window fallback).
+// Returns { type, body, result }, or { skipped: reason } when the contact can't get it.
+async function sendContent(number, contact, { message, template, interactive }) {
+  if (contact.consent_status === 'opted_out') return { skipped: 'recipient_suppressed' }
+
+  if (template) {
+    const check = validateTemplateInput(number.templates, template)
+    if (!check.ok) throw new Error(check.errors.join('; '))
+    const built = buildTemplateMessage(check.template, check.language, template, contact)
+    if (!built.ok) return { skipped: built.errors.join('; ') }
+    return { type: 'template', body: built.preview, result: await sendTemplate(number, contact.phone, built.message) }
+  }
+  if (interactive) {
+    const built = buildMessage(interactive)
+    if (!built.ok) throw new Error(built.errors.join('; '))
+    if (!serviceWindow(contact).window_open) return { skipped: 'outside_service_window' }
+    return { type: built.message.type, body: built.preview, result: await sendBuiltMessage(number, contact.phone, built.message) }
+  }
+  const sent = await sendTextWithinWindow(number, contact.phone, message, contact)
+  if (!sent.ok) return { skipped: sent.reason }
+  return { type: sent.via, body: sent.body, result: sent.result }
+}
+
+// Send one campaign message. Runs in the background sender (lib/campaigns.js).
+async function sendCampaignMessage(campaign, recipient) {
+  const number = numberFor(campaign.phone_number_id)
+  const contact = (await getContact(number, recipient.phone)) || { phone: recipient.phone }
+  const sent = await sendContent(number, contact, campaign)
+  if (sent.skipped) return sent
+  const { type, body, result } = sent
+
+  const messageId = result?.messages?.[0]?.id || null
+  // Log broadcast message
+  const broadcastLog = await logMessage(number, {
+    kind: 'broadcast',
+    to: contact.phone,
+    from: number.id,
+    type,
+    body,
+    message_id: messageId,
+    campaign_id: campaign.id,
+  })
+  if (!broadcastLog.ok) console.error('Broadcast log failed:', broadcastLog.error)
+  return { message_id: messageId }
+}
+
+// The number's campaigns, newest first
+app.get('/campaigns', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.listCampaigns({ phoneNumberId: req.number.id, status, limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('Campaigns route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// The number's campaign with this id, or null
+async function findCampaign(number, id) {
+  if (!/^\d+$/.test(id)) return null
+  const campaign = await store.getCampaign(id)
+  return campaign && campaign.phone_number_id === number.id ? campaign : null
+}
+
+// Campaign progress: per-status recipient counts
+app.get('/campaigns/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!await findCampaign(req.number, req.params.id)) return res.status(404).json({ error: 'Campaign not found' })
+    res.json(await campaignSender.progress(req.params.id))
+  } catch (e) {
+    console.error('Campaign route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.get('/campaigns/:id/recipients', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!await findCampaign(req.number, req.params.id)) return res.status(404).json({ error: 'Campaign not found' })
+    const { status } = req.query
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.listRecipients(req.params.id, { status, limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('Campaign recipients route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Pause, resume or cancel a campaign
+for (const action of ['pause', 'resume', 'cancel']) {
+  app.post(`/campaigns/:id/${action}`, requireRole('admin'), async (req, res) => {
+    try {
+      if (!await findCampaign(req.number, req.params.id)) return res.status(404).json({ error: 'Campaign not found' })
+      const campaign = await campaignSender[action](req.params.id)
+      if (!campaign) return res.status(409).json({ error: `Campaign not found or cannot ${action} in its current state` })
+      res.json({ ok: true, status: campaign.status })
+    } catch (e) {
+      console.error(`Campaign ${action} error:`, e)
+      res.status(500).json({ error: 'Internal server error' })
+    }
+  })
+}
+
+// Run one slot of a schedule (lib/schedules.js). A phone gets the message directly;
+// a segment / filter becomes a campaign, sent in the background like a broadcast.
+async function runSchedule(schedule, slot) {
+  const number = numberFor(schedule.phone_number_id)
+  if (schedule.to) {
+    const contact = (await getContact(number, schedule.to)) || { phone: schedule.to }
+    const sent = await sendContent(number, contact, schedule)
+    if (sent.skipped) return sent
+    const messageId = sent.result?.messages?.[0]?.id || null
+    const scheduledLog = await logMessage(number, {
+      kind: 'outgoing',
+      to: schedule.to,
+      from: number.id,
+      type: sent.type,
+      body: sent.body,
+      message_id: messageId,
+    })
+    if (!scheduledLog.ok) console.error('Scheduled message log failed:', scheduledLog.error)
+    return { message_id: messageId }
+  }
+
+  const target = await resolveSegment(number, schedule.segment)
+  if (!target.ok) throw new Error(target.body.error)
+  const filter = schedule.filter || {}
+  const { data: contacts } = await findContacts({
+    phoneNumberId: number.id,
+    hasName: Boolean(filter.hasName),
+    lastMessageAfter: filter.lastMessageAfter,
+    excludeOptedOut: true,
+  }, target.rules)
+  if (!contacts.length) return { skipped: 'no_contacts' }
+
+  const campaign = await campaignSender.createCampaign({
+    phoneNumberId: number.id,
+    name: `${schedule.name || `Schedule ${schedule.id}`} (${new Date(slot).toISOString()})`,
+    message: schedule.message,
+    template: schedule.template,
+    interactive: schedule.interactive,
+    filter: schedule.segment === null ? filter : { ...filter, segment: schedule.segment },
+    phones: contacts.map(c => c.phone),
+  })
+  return { campaign_id: campaign.id, total: campaign.total }
+}
+
+// Shape, segment and content checks shared by create and edit; number is the one the
+// schedule sends from. Returns { ok: true, schedule } or { ok: false, status, body }.
+async function prepareSchedule(number, input) {
+  const normalized = normalizeSchedule(input, {
+    defaultTimeZone: isValidTimeZone(DEFAULT_TIMEZONE) ? DEFAULT_TIMEZONE : 'UTC',
+  })
+  if (!normalized.ok) return { ok: false, status: 400, body: { error: 'Invalid schedule', details: normalized.errors } }
+  const contentErrors = checkContent(number, normalized.schedule)
+  if (contentErrors) return { ok: false, status: 400, body: contentErrors }
+  const target = await resolveSegment(number, normalized.schedule.segment)
+  if (!target.ok) return target
+  return normalized
+}
+
+// The number's schedule with this id, or null
+async function findSchedule(number, id) {
+  if (!/^\d+$/.test(id)) return null
+  const schedule = await store.getSchedule(id)
+  return schedule && schedule.phone_number_id === number.id ? schedule : null
+}
+
+// The number's schedules, newest first; ?status=active|completed|cancelled
+app.get('/schedules', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query
+    if (status && !SCHEDULE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SCHEDULE_STATUSES.join(', ')}` })
+    }
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.listSchedules({ phoneNumberId: req.number.id, status, limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('Schedules route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// A schedule with its most recent runs
+app.get('/schedules/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.number, req.params.id)
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' })
+    const { data: runs } = await store.listScheduleRuns(schedule.id, { limit: 20 })
+    res.json({ ...schedule, runs })
+  } catch (e) {
+    console.error('Schedule route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Every run of a schedule, newest first, with what it sent or why it didn't
+app.get('/schedules/:id/runs', requireRole('viewer'), async (req, res) => {
+  try {
+    const schedule = await findSchedule(req.number, req.params.id)
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' })
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.listScheduleRuns(schedule.id, { limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('Schedule runs route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Schedule a send: `send_at` (one-off) or `cron` (recurring, in `timezone`, optional
+// `end_at`), to a phone (`to`) or to contacts (`segment` and/or `filter`, as for
+// /broadcast), with `message`, `template` or `interactive` content.
+// Times without an offset are read in the schedule's time zone.
+app.post('/schedules', requireRole('admin'), phones.field('to'), async (req, res) => {
+  try {
+    const prepared = await prepareSchedule(req.number, req.body)
+    if (!prepared.ok) return res.status(prepared.status).json(prepared.body)
+    const schedule = await store.insertSchedule({
+      ...prepared.schedule,
+      phone_number_id: req.number.id,
+      status: 'active',
+      created_by: req.user.id,
+    })
+    scheduler.wake()
+    res.status(201).json(schedule)
+  } catch (e) {
+    console.error('Schedule create error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Edit an active schedule. Fields given replace their group (target, content or
+// timing); the next run is worked out again from now.
+app.post('/schedules/:id', requireRole('admin'), phones.field('to'), async (req, res) => {
+  try {
+    const existing = await findSchedule(req.number, req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' })
+    if (existing.status !== 'active') return res.status(409).json({ error: `Schedule is ${existing.status}` })
+
+    const prepared = await prepareSchedule(req.number, mergeScheduleInput(existing, req.body))
+    if (!prepared.ok) return res.status(prepared.status).json(prepared.body)
+    const schedule = await store.updateSchedule(existing.id, {
+      ...prepared.schedule,
+      updated_at: new Date().toISOString(),
+    }, ['active'])
+    if (!schedule) return res.status(409).json({ error: 'Schedule is no longer active' })
+    scheduler.wake()
+    res.json(schedule)
+  } catch (e) {
+    console.error('Schedule update error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Stop a schedule; a run already in progress finishes
+app.post('/schedules/:id/cancel', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await findSchedule(req.number, req.params.id)) return res.status(404).json({ error: 'Schedule not found' })
+    const schedule = await store.updateSchedule(req.params.id, {
+      status: 'cancelled',
+      next_run_at: null,
+      updated_at: new Date().toISOString(),
+    }, ['active'])
+    if (!schedule) return res.status(409).json({ error: 'Schedule is not active' })
+    res.json({ ok: true, status: schedule.status })
+  } catch (e) {
+    console.error('Schedule cancel error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get broadcast-ready contacts count
+app.get('/broadcast/preview', requireRole('viewer'), async (req, res) => {
+  try {
+    const { filter = {}, segment } = req.query
+    const base = {
+      phoneNumberId: req.number.id,
+      hasName: filter.hasName === 'true',
+      lastMessageAfter: filter.lastMessageAfter,
+    }
+    const target = await resolveSegment(req.number, segment)
+    if (!target.ok) return res.status(target.status).json(target.body)
+
+    const { data, total: count } = await findContacts({ ...base, excludeOptedOut: true }, target.rules, { limit: 10 })
+
+    // Matching contacts left out because they opted out
+    const { total: suppressed } = await findContacts(
+      { ...base, consentStatus: 'opted_out' }, target.rules, { countOnly: true })
+
+    // Contacts that can still receive free text
+    const windowCutoff = new Date(Date.now() - SERVICE_WINDOW_MS).toISOString()
+    const { total: inWindow } = await findContacts(
+      { ...base, excludeOptedOut: true, inboundSince: windowCutoff }, target.rules, { countOnly: true })
+
+    res.json({ 
+      count: count || 0,
+      in_window: inWindow || 0,
+      out_of_window: (count || 0) - (inWindow || 0),
+      suppressed: suppressed || 0,
+      contacts: data.map(c => withServiceWindow(c)) // Preview first 10
+    })
+  } catch (e) {
+    console.error('Broadcast preview error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Upsert or set a contact's name
+app.post('/contacts/set-name', requireRole('agent'), phones.field('phone'), async (req, res) => {
+  try {
+    const { phone, name } = req.body
+    if (!phone || !name) return res.status(400).json({ error: 'phone and name are required' })
+
+    await upsertContact(req.number, phone, { name }, { countMessage: false })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Set-name error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// The number's saved segment with this id, or null
+async function findSegment(number, id) {
+  if (!/^\d+$/.test(String(id))) return null
+  const segment = await store.getSegment(id)
+  return segment && segment.phone_number_id === number.id ? segment : null
+}
+
+// One of the number's saved segments by id, or inline segment rules (request bodies only).
+// Returns { ok: true, rules } (rules null when no segment was given) or
+// { ok: false, status, body } for the error response.
+async function resolveSegment(number, ref) {
+  if (ref === undefined || ref === null || ref === '') return { ok: true, rules: null }
+  if (typeof ref === 'object') {
+    const errors = validateRules(ref)
+    if (errors.length) return { ok: false, status: 400, body: { error: 'Invalid segment', details: errors } }
+    return { ok: true, rules: ref }
+  }
+  const segment = await findSegment(number, ref)
+  if (!segment) return { ok: false, status: 404, body: { error: 'Segment not found' } }
+  return { ok: true, rules: segment.rules, segment }
+}
+
+// store.findContacts, narrowed to segment rules when there are any
+function findContacts(filter, rules, options = {}) {
+  return rules ? findSegmentContacts(store, rules, filter, options) : store.findContacts(filter, options)
+}
+
+// List the number's contacts for dashboard; ?segment= takes a saved segment id
+app.get('/contacts', requireRole('viewer'), async (req, res) => {
+  try {
+    const { search = '', segment } = req.query
+    const { page, limit, offset } = pagination(req.query)
+    const target = await resolveSegment(req.number, segment)
+    if (!target.ok) return res.status(target.status).json(target.body)
+    const { data, total } = await findContacts({ phoneNumberId: req.number.id, search }, target.rules, { limit, offset })
+    const now = Date.now()
+    res.json({ page, limit, total, data: data.map(c => withServiceWindow(c, now)) })
+  } catch (e) {
+    console.error('Contacts route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// CSV of all contacts, or of a segment (?segment=) or search (?search=) when given.
+// Columns: phone, name, tags, status columns, then one per custom attribute.
+app.get('/contacts/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const { search = '', segment } = req.query
+    const target = await resolveSegment(req.number, segment)
+    if (!target.ok) return res.status(target.status).json(target.body)
+    const { data: contacts } = await findSegmentContacts(store, target.rules, { phoneNumberId: req.number.id, search })
+    const { columns, rows } = contactsToCsvRows(contacts)
+    const filename = target.segment ? `segment-${target.segment.id}.csv` : 'contacts.csv'
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    })
+    res.send(toCsv(columns, rows))
+  } catch (e) {
+    console.error('Contacts export error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Import contacts from a CSV upload (multipart field `file`) into the number picked with
+// X-Phone-Number-Id or ?phone_number_id= (default number otherwise). Columns: phone (required),
+// name, tags (separated by ";") and one column per custom attribute. Phone numbers are
+// validated and deduplicated; rows for existing contacts merge into them (tags are
+// added, attributes overwritten). ?tags=a,b adds tags to every imported contact.
+app.post('/contacts/import', requireRole('admin'), csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'A CSV upload (multipart field "file") is required' })
+    const extraTags = validateTags(String(req.query.tags || '').split(',').filter(t => t.trim()))
+    if (!extraTags.ok) return res.status(400).json({ error: 'Invalid tags', details: extraTags.errors })
+
+    const { columns, rows } = parseCsvObjects(req.file.buffer.toString('utf8'))
+    const columnErrors = validateCsvColumns(columns)
+    if (columnErrors.length) return res.status(400).json({ error: 'Invalid CSV', details: columnErrors })
+
+    const { contacts, invalid, duplicates } = dedupeImportRows(rows, phones.normalize)
+    let created = 0
+    let updated = 0
+    for (const contact of contacts) {
+      const existing = await getContact(req.number, contact.phone)
+      const tags = [...new Set([...(existing?.tags || []), ...contact.tags, ...extraTags.tags])]
+      const attributes = { ...(existing?.attributes || {}), ...contact.attributes }
+      const check = validateAttributes(attributes)
+      const tagCheck = validateTags(tags)
+      if (!check.ok || !tagCheck.ok) {
+        invalid.push({ line: null, phone: contact.phone, error: [...(check.errors || []), ...(tagCheck.errors || [])].join('; ') })
+        continue
+      }
+      const fields = { tags, attributes, updated_at: new Date().toISOString() }
+      if (contact.name) fields.name = contact.name
+      await store.upsertContact(req.number.id, contact.phone, fields)
+      await publishContact(req.number, contact.phone)
+      if (existing) updated++
+      else created++
+    }
+    res.json({ rows: rows.length, created, updated, duplicates, invalid })
+  } catch (e) {
+    console.error('Contacts import error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update a contact's name, tags (replaces the list) and custom attributes (merged;
+// null removes one)
+app.post('/contacts/:phone', requireRole('agent'), async (req, res) => {
+  try {
+    const { phone } = req.params
+    const { name, tags, attributes } = req.body
+    const contact = await getContact(req.number, phone)
+    if (!contact) return res.status(404).json({ error: 'Contact not found' })
+
+    const fields = {}
+    const errors = []
+    if (name !== undefined) {
+      if (name !== null && typeof name !== 'string') errors.push('name must be a string or null')
+      else fields.name = name
+    }
+    if (tags !== undefined) {
+      const check = validateTags(tags)
+      if (check.ok) fields.tags = check.tags
+      else errors.push(...check.errors)
+    }
+    if (attributes !== undefined) {
+      const check = validateAttributes(attributes)
+      if (check.ok) {
+        fields.attributes = mergeAttributes(contact.attributes, attributes)
+        const merged = validateAttributes(fields.attributes)
+        if (!merged.ok) errors.push(...merged.errors)
+      } else {
+        errors.push(...check.errors)
+      }
+    }
+    if (errors.length) return res.status(400).json({ error: 'Invalid contact', details: errors })
+    if (!Object.keys(fields).length) return res.status(400).json({ error: 'Nothing to update (name, tags, attributes)' })
+
+    const updated = await store.upsertContact(req.number.id, phone, { ...fields, updated_at: new Date().toISOString() })
+    await publishContact(req.number, phone)
+    res.json(withServiceWindow(updated))
+  } catch (e) {
+    console.error('Contact update error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add and/or remove tags: { add: [...], remove: [...] }
+app.post('/contacts/:phone/tags', requireRole('agent'), async (req, res) => {
+  try {
+    const { phone } = req.params
+    const { add = [], remove = [] } = req.body
+    const toAdd = validateTags(add)
+    const toRemove = validateTags(remove)
+    const errors = [...(toAdd.errors || []), ...(toRemove.errors || [])]
+    if (errors.length) return res.status(400).json({ error: 'Invalid tags', details: errors })
+
+    const contact = await getContact(req.number, phone)
+    if (!contact) return res.status(404).json({ error: 'Contact not found' })
+    const tags = [...new Set([...(contact.tags || []), ...toAdd.tags])].filter(t => !toRemove.tags.includes(t))
+    const check = validateTags(tags)
+    if (!check.ok) return res.status(400).json({ error: 'Invalid tags', details: check.errors })
+
+    await store.upsertContact(req.number.id, phone, { tags, updated_at: new Date().toISOString() })
+    await publishContact(req.number, phone)
+    res.json({ phone, tags })
+  } catch (e) {
+    console.error('Contact tags error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// The number's saved segments (see lib/segments.js for the rules format)
+app.get('/segments', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ data: await store.listSegments({ phoneNumberId: req.number.id }) })
+  } catch (e) {
+    console.error('Segments route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// A segment with its current number of matching contacts (of the requested number)
+app.get('/segments/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const target = await resolveSegment(req.number, req.params.id)
+    if (!target.ok) return res.status(target.status).json(target.body)
+    const { total } = await findSegmentContacts(store, target.rules, { phoneNumberId: req.number.id })
+    res.json({ ...target.segment, count: total })
+  } catch (e) {
+    console.error('Segment route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.post('/segments', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateSegment(req.body)
+    if (errors.length) return res.status(400).json({ error: 'Invalid segment', details: errors })
+    const { name, description = null, rules } = req.body
+    const { data, duplicate } = await store.insertSegment({ phone_number_id: req.number.id, name: name.trim(), description, rules })
+    if (duplicate) return res.status(409).json({ error: `A segment named "${name.trim()}" already exists` })
+    res.status(201).json(data)
+  } catch (e) {
+    console.error('Segment create error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.post('/segments/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateSegment(req.body, { partial: true })
+    if (errors.length) return res.status(400).json({ error: 'Invalid segment', details: errors })
+    if (!await findSegment(req.number, req.params.id)) return res.status(404).json({ error: 'Segment not found' })
+    const patch = { updated_at: new Date().toISOString() }
+    if (req.body.name !== undefined) patch.name = req.body.name.trim()
+    for (const key of ['description', 'rules']) {
+      if (req.body[key] !== undefined) patch[key] = req.body[key]
+    }
+    const { data, duplicate } = await store.updateSegment(req.params.id, patch)
+    if (duplicate) return res.status(409).json({ error: `A segment named "${patch.name}" already exists` })
+    if (!data) return res.status(404).json({ error: 'Segment not found' })
+    res.json(data)
+  } catch (e) {
+    console.error('Segment update error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.delete('/segments/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await findSegment(req.number, req.params.id)) return res.status(404).json({ error: 'Segment not found' })
+    await store.deleteSegment(req.params.id)
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Segment delete error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// FAQ auto-responder (lib/faq.js) for the requested number. ?active=true|false filters.
+app.get('/faqs', requireRole('viewer'), async (req, res) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true'
+    const { data, total } = await store.listFaqs({ phoneNumberId: req.number.id, active, limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('FAQs route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Which FAQ would answer ?text= (and how confidently), without sending anything
+app.get('/faqs/match', requireRole('viewer'), async (req, res) => {
+  try {
+    const { text } = req.query
+    if (!text) return res.status(400).json({ error: 'text is required' })
+    const { data: faqs } = await store.listFaqs({ phoneNumberId: req.number.id, active: true })
+    const { match, faq, score, words } = matchFaq(faqs, String(text), { threshold: FAQ_MATCH_THRESHOLD })
+    res.json({ match, score, threshold: FAQ_MATCH_THRESHOLD, words, faq })
+  } catch (e) {
+    console.error('FAQ match route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Follow-up questions no FAQ answered, newest first
+app.get('/faqs/unmatched', requireRole('viewer'), async (req, res) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.listUnmatchedQuestions({ phoneNumberId: req.number.id, limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('Unmatched questions route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Dismiss an unmatched question (e.g. once an FAQ covers it)
+app.delete('/faqs/unmatched/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = /^\d+$/.test(req.params.id) && await store.deleteUnmatchedQuestion(req.number.id, req.params.id)
+    if (!deleted) return res.status(404).json({ error: 'Unmatched question not found' })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Unmatched question delete error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// The number's FAQ with this id, or null
+async function findFaq(number, id) {
+  if (!/^\d+$/.test(id)) return null
+  const faq = await store.getFaq(id)
+  return faq && faq.phone_number_id === number.id ? faq : null
+}
+
+app.get('/faqs/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const faq = await findFaq(req.number, req.params.id)
+    if (!faq) return res.status(404).json({ error: 'FAQ not found' })
+    res.json(faq)
+  } catch (e) {
+    console.error('FAQ route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// { question, answer, keywords: [...], active }
+app.post('/faqs', requireRole('admin'), async (req, res) => {
+  try {
+    const check = validateFaq(req.body)
+    if (!check.ok) return res.status(400).json({ error: 'Invalid FAQ', details: check.errors })
+    const faq = await store.insertFaq({ ...check.faq, phone_number_id: req.number.id })
+    res.status(201).json(faq)
+  } catch (e) {
+    console.error('FAQ create error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.post('/faqs/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const check = validateFaq(req.body, { partial: true })
+    if (!check.ok) return res.status(400).json({ error: 'Invalid FAQ', details: check.errors })
+    if (!await findFaq(req.number, req.params.id)) return res.status(404).json({ error: 'FAQ not found' })
+    const faq = await store.updateFaq(req.params.id, { ...check.faq, updated_at: new Date().toISOString() })
+    res.json(faq)
+  } catch (e) {
+    console.error('FAQ update error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.delete('/faqs/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await findFaq(req.number, req.params.id)) return res.status(404).json({ error: 'FAQ not found' })
+    await store.deleteFaq(req.params.id)
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('FAQ delete error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// One contact's conversation, oldest first. Page 1 holds the most recent messages.
+// Outbound messages carry their final delivery status, replies the message they answer,
+// and every message its current reactions.
+app.get('/contacts/:phone/thread', requireRole('viewer'), async (req, res) => {
+  try {
+    const { phone } = req.params
+    const { page, limit, offset } = pagination(req.query)
+    const [contact, { data, total }] = await Promise.all([
+      getContact(req.number, phone),
+      store.listMessages({ phoneNumberId: req.number.id, phone, kind: THREAD_KINDS, limit, offset }),
+    ])
+    if (!contact && !total) return res.status(404).json({ error: 'Contact not found' })
+
+    const messages = data.reverse()
+    const messageIds = messages.map(m => m.message_id).filter(Boolean)
+    const replyTargets = new Map(messages.filter(m => m.message_id).map(m => [m.message_id, m]))
+    const missing = [...new Set(messages.map(replyToId).filter(id => id && !replyTargets.has(id)))]
+    const [events, targets, reactions] = await Promise.all([
+      store.listStatusEvents(messageIds),
+      Promise.all(missing.map(id => store.getMessage(id))),
+      store.listReactions(messageIds),
+    ])
+    targets.filter(Boolean).forEach(m => replyTargets.set(m.message_id, m))
+
+    res.json({
+      phone,
+      contact: contact ? withServiceWindow(contact) : null,
+      page,
+      limit,
+      total,
+      data: buildThread(messages, events, replyTargets, reactions),
+    })
+  } catch (e) {
+    console.error('Thread route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Messaging stats for ?from=&to= (UTC dates, inclusive; default the last 30 days)
+app.get('/analytics', requireRole('viewer'), async (req, res) => {
+  try {
+    const range = parseRange(req.query)
+    if (!range.ok) return res.status(400).json({ error: 'Invalid date range', details: range.errors })
+
+    const messages = await store.listMessagesBetween(range.since, range.until, req.number.id)
+    const outboundIds = messages
+      .filter(m => OUTBOUND_KINDS.includes(m.kind) && m.message_id)
+      .map(m => m.message_id)
+    const campaignIds = [...new Set(messages.filter(m => m.kind === 'broadcast' && m.campaign_id != null).map(m => m.campaign_id))]
+    const [events, campaigns] = await Promise.all([
+      store.listStatusEvents(outboundIds),
+      Promise.all(campaignIds.map(id => store.getCampaign(id))),
+    ])
+
+    res.json(computeAnalytics({
+      range,
+      messages,
+      events,
+      campaigns: new Map(campaigns.filter(Boolean).map(c => [c.id, c])),
+    }))
+  } catch (e) {
+    console.error('Analytics route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Shared inbox. ?status= takes a comma-separated list (default: pending_human,assigned);
+// ?agent=me lists the caller's own conversations
+app.get('/conversations', requireRole('viewer'), async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : HUMAN_STATUSES
+    const invalid = statuses.filter(s => !CONVERSATION_STATUSES.includes(s))
+    if (invalid.length) return res.status(400).json({ error: `Unknown conversation status: ${invalid.join(', ')}` })
+    const agent = req.query.agent === 'me' ? req.user.id : req.query.agent
+
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.findContacts(
+      { phoneNumberId: req.number.id, conversationStatus: statuses, assignedAgent: agent },
+      { limit, offset, order: 'conversation_updated_at' })
+    const now = Date.now()
+    res.json({ page, limit, total, data: data.map(c => withServiceWindow(c, now)) })
+  } catch (e) {
+    console.error('Conversations route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Unread inbound messages per agent (pending conversations count as unassigned)
+app.get('/conversations/unread', requireRole('viewer'), async (req, res) => {
+  try {
+    const { data } = await store.findContacts({ phoneNumberId: req.number.id, conversationStatus: HUMAN_STATUSES })
+    const counters = unreadCounters(data)
+    res.json({ ...counters, me: counters.agents[req.user.id] || { conversations: 0, unread: 0 } })
+  } catch (e) {
+    console.error('Unread counters error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Claim (assign to yourself; admins may pass `agent`), close, or return a conversation
+// to the bot. Only the assigned agent or an admin may act on an assigned conversation.
+for (const action of ['claim', 'close', 'release']) {
+  app.post(`/conversations/:phone/${action}`, requireRole('agent'), async (req, res) => {
+    try {
+      const isAdmin = req.user.role === 'admin'
+      if (req.body?.agent && (action !== 'claim' || !isAdmin)) {
+        return res.status(403).json({ error: 'Only admins can assign a conversation to another agent' })
+      }
+      const contact = await getContact(req.number, req.params.phone)
+      if (!contact) return res.status(404).json({ error: 'Conversation not found' })
+
+      const change = transition(contact, action, { agent: req.body?.agent || req.user.id, override: isAdmin })
+      if (!change.ok) return res.status(409).json({ error: change.error })
+      const updated = await store.updateConversation(req.number.id, contact.phone, change.patch, change.fromStatuses)
+      if (!updated) return res.status(409).json({ error: 'Conversation was changed by someone else, reload and retry' })
+      await publishContact(req.number, contact.phone)
+      res.json({ ok: true, status: updated.conversation_status, assigned_agent: updated.assigned_agent })
+    } catch (e) {
+      console.error(`Conversation ${action} error:`, e)
+      res.status(500).json({ error: 'Internal server error' })
+    }
+  })
+}
+
+// Mark a conversation's messages as read: clears the unread count and sends the contact
+// blue ticks for their latest message (which covers the earlier ones)
+app.post('/conversations/:phone/read', requireRole('agent'), async (req, res) => {
+  try {
+    const contact = await getContact(req.number, req.params.phone)
+    if (!contact) return res.status(404).json({ error: 'Conversation not found' })
+    const { data: [latest] } = await store.listMessages({
+      phoneNumberId: req.number.id, phone: contact.phone, kind: 'incoming', limit: 1,
+    })
+    if (latest?.message_id) await markRead(req.number, latest.message_id)
+    await store.upsertContact(req.number.id, contact.phone, { unread_count: 0 })
+    await publishContact(req.number, contact.phone)
+    res.json({ ok: true, message_id: latest?.message_id || null })
+  } catch (e) {
+    sendFailed(res, e, 'Failed to mark conversation read')
+  }
+})
+
+// Reply as the assigned agent (admins may reply to any conversation). Free text obeys
+// the 24h window like /send-message.
+app.post('/conversations/:phone/reply', requireRole('agent'), async (req, res) => {
+  const { message } = req.body
+  if (!message) return res.status(400).json({ error: 'message is required' })
 
-    if (phone) {
-      // Use normalized phone field primarily; fallback to from/to for older rows
-      query = query.or(`phone.eq.${phone},from.eq.${phone},to.eq.${phone}`)
+  try {
+    const contact = await getContact(req.number, req.params.phone)
+    if (!contact) return res.status(404).json({ error: 'Conversation not found' })
+    const assignedToCaller = conversationStatus(contact) === 'assigned' && contact.assigned_agent === req.user.id
+    if (!assignedToCaller && req.user.role !== 'admin') {
+      return res.status(409).json({ error: 'Claim the conversation before replying' })
     }
-    if (kind) {
-      query = query.eq('kind', kind)
+
+    const sent = await sendTextWithinWindow(req.number, contact.phone, message, contact)
+    if (!sent.ok) {
+      return res.status(422).json({
+        error: 'Recipient is outside the 24-hour customer service window',
+        code: sent.reason,
+        details: sent.errors,
+        window_expires_at: serviceWindow(contact).window_expires_at,
+      })
     }
-    if (type) {
-      query = query.eq('type', type)
+
+    const messageId = sent.result?.messages?.[0]?.id || null
+    const agentLog = await logMessage(req.number, {
+      kind: 'outgoing',
+      to: contact.phone,
+      from: req.number.id,
+      type: sent.via,
+      body: sent.body,
+      message_id: messageId,
+      agent: req.user.id,
+    })
+    if (!agentLog.ok) console.error('Agent reply log failed:', agentLog.error)
+    await upsertContact(req.number, contact.phone, {
+      unread_count: 0,
+      last_message_id: messageId,
+      last_body: sent.body,
+      last_type: sent.via,
+      last_kind: 'outgoing',
+      last_direction: 'outgoing',
+      last_sender_id: req.number.id,
+      last_recipient_phone: contact.phone,
+    })
+
+    res.json({ success: true, message_id: messageId, via: sent.via })
+  } catch (error) {
+    sendFailed(res, error, 'Failed to send agent reply')
+  }
+})
+
+// React to a message in one of the number's chats ({ emoji }), or remove our reaction
+app.post('/messages/:messageId/reaction', requireRole('agent'), async (req, res) => {
+  const check = validateEmoji(req.body?.emoji)
+  if (!check.ok) return res.status(400).json({ error: 'Invalid reaction', details: check.errors })
+  await reactToMessage(req, res, check.emoji)
+})
+
+app.delete('/messages/:messageId/reaction', requireRole('agent'), async (req, res) => {
+  await reactToMessage(req, res, '')
+})
+
+async function reactToMessage(req, res, emoji) {
+  try {
+    const target = await store.getMessage(req.params.messageId)
+    if (!target || target.phone_number_id !== req.number.id) return res.status(404).json({ error: 'Message not found' })
+    const phone = messagePhone(target)
+    if (!phone) return res.status(400).json({ error: 'Message has no contact to react in' })
+
+    const result = await sendReaction(req.number, phone, target.message_id, emoji)
+    const reactionId = result?.messages?.[0]?.id || null
+    const reaction = {
+      message_id: target.message_id,
+      direction: 'outbound',
+      emoji: emoji || null,
+      reaction_message_id: reactionId,
+      agent: req.user.id,
     }
+    await saveReaction(req.number, phone, reaction)
+    const reactionLog = await logMessage(req.number, {
+      kind: 'outgoing',
+      to: phone,
+      from: req.number.id,
+      type: 'reaction',
+      body: describeMessage({ type: 'reaction', reaction: { emoji } }),
+      message_id: reactionId,
+      agent: req.user.id,
+    })
+    if (!reactionLog.ok) console.error('Reaction log failed:', reactionLog.error)
+    res.json({ success: true, ...reaction })
+  } catch (error) {
+    sendFailed(res, error, 'Failed to send reaction')
+  }
+}
+
+// Suppression list: the number's contacts who opted out
+app.get('/suppressions', requireRole('viewer'), async (req, res) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.findContacts(
+      { phoneNumberId: req.number.id, consentStatus: 'opted_out' }, { limit, offset, order: 'consent_updated_at' })
+    res.json({
+      page,
+      limit,
+      total,
+      data: data.map(({ phone, name, consent_status, consent_updated_at, consent_source }) =>
+        ({ phone, name, consent_status, consent_updated_at, consent_source })),
+    })
+  } catch (e) {
+    console.error('Suppressions route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add a number to the suppression list
+app.post('/suppressions', requireRole('agent'), phones.field('phone'), async (req, res) => {
+  try {
+    const { phone, source = 'api' } = req.body
+    if (!phone) return res.status(400).json({ error: 'phone is required' })
+    await setConsent(req.number, phone, 'opted_out', source)
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Add suppression error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Remove a number from the suppression list (the contact opted back in)
+app.delete('/suppressions/:phone', requireRole('admin'), async (req, res) => {
+  try {
+    await setConsent(req.number, req.params.phone, 'opted_in', req.query.source || 'api')
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Remove suppression error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Audit trail of dashboard actions
+app.get('/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    const { actor, target } = req.query
+    const { page, limit, offset } = pagination(req.query)
+    const { data, total } = await store.listAudit({ actor, target, limit, offset })
+    res.json({ page, limit, total, data })
+  } catch (e) {
+    console.error('Audit log route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Outgoing webhook subscriptions. Secrets are only shown when a subscription is created.
+function subscriptionView({ secret, ...subscription }) {
+  return { ...subscription, secret_preview: `${secret.slice(0, 4)}…` }
+}
+
+app.get('/subscriptions', requireRole('admin'), async (req, res) => {
+  try {
+    const data = await store.listSubscriptions()
+    res.json({ data: data.map(subscriptionView) })
+  } catch (e) {
+    console.error('Subscriptions route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// { url, events: [type, ...] or ['*'], secret (generated when omitted), description }
+app.post('/subscriptions', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateSubscription(req.body)
+    if (errors.length) return res.status(400).json({ error: 'Invalid subscription', details: errors })
+    const { url, events = ['*'], description = null } = req.body
+    const secret = req.body.secret || crypto.randomBytes(24).toString('hex')
+    const subscription = await store.insertSubscription({ url, events, secret, description, active: true })
+    res.status(201).json({ ...subscriptionView(subscription), secret })
+  } catch (e) {
+    console.error('Create subscription error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
 
-    const { data, error, count } = await query.range(from, to)
-    if (error) {
-      return res.status(500).json({ error: error.message })
+// Change url, events, secret, description or active
+app.post('/subscriptions/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateSubscription(req.body, { partial: true })
+    if (errors.length) return res.status(400).json({ error: 'Invalid subscription', details: errors })
+    const patch = { updated_at: new Date().toISOString() }
+    for (const key of ['url', 'events', 'secret', 'description', 'active']) {
+      if (req.body[key] !== undefined) patch[key] = req.body[key]
     }
+    const subscription = /^\d+$/.test(req.params.id) && await store.updateSubscription(req.params.id, patch)
+    if (!subscription) return res.status(404).json({ error: 'Subscription not found' })
+    res.json(subscriptionView(subscription))
+  } catch (e) {
+    console.error('Update subscription error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.delete('/subscriptions/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = /^\d+$/.test(req.params.id) && await store.deleteSubscription(req.params.id)
+    if (!deleted) return res.status(404).json({ error: 'Subscription not found' })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Delete subscription error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Outgoing webhook delivery log; replay re-sends with the current subscription settings
+app.get('/admin/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const { status, limit, page } = req.query
+    res.json(await forwarder.deliveries({ status, limit, page }))
+  } catch (e) {
+    console.error('Deliveries route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Replay every dead delivery
+app.post('/admin/deliveries/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const replayed = await forwarder.replay({ status: 'dead' })
+    res.json({ ok: true, replayed: replayed.length })
+  } catch (e) {
+    console.error('Replay deliveries error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.post('/admin/deliveries/:id/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const replayed = /^\d+$/.test(req.params.id) ? await forwarder.replay({ id: req.params.id }) : []
+    if (replayed.length === 0) return res.status(404).json({ error: 'Delivery not found or currently sending' })
+    res.json({ ok: true, replayed: replayed.length })
+  } catch (e) {
+    console.error('Replay delivery error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Job queue admin: inspect and replay failed jobs. ?queue=webhook (incoming webhook
+// deliveries, the default) or replies (failed handling of an incoming message).
+function jobQueue(req, res) {
+  const queue = jobQueues[req.query.queue || 'webhook']
+  if (!queue) res.status(400).json({ error: `queue must be one of: ${Object.keys(jobQueues).join(', ')}` })
+  return queue
+}
+
+app.get('/admin/jobs', requireRole('admin'), async (req, res) => {
+  try {
+    const queue = jobQueue(req, res)
+    if (!queue) return
+    const { status, limit, page } = req.query
+    res.json(await queue.list({ status, limit, page }))
+  } catch (e) {
+    console.error('Jobs route error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Replay every dead-lettered job
+app.post('/admin/jobs/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const queue = jobQueue(req, res)
+    if (!queue) return
+    const replayed = await queue.replay({ status: 'dead' })
+    res.json({ ok: true, replayed: replayed.length })
+  } catch (e) {
+    console.error('Replay jobs error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+app.post('/admin/jobs/:id/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const queue = jobQueue(req, res)
+    if (!queue) return
+    const replayed = /^\d+$/.test(req.params.id) ? await queue.replay({ id: req.params.id }) : []
+    if (replayed.length === 0) return res.status(404).json({ error: 'Job not found or currently processing' })
+    res.json({ ok: true, replayed: replayed.length })
+  } catch (e) {
+    console.error('Replay job error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Merge the number's contacts whose numbers normalize to the same E.164 number (left
+// over from before normalization), moving their messages to the merged contact.
+// Reports what would change unless the body has { "apply": true }.
+app.post('/admin/contacts/merge-duplicates', requireRole('admin'), async (req, res) => {
+  try {
+    const apply = req.body?.apply === true
+    const report = await mergeDuplicateContacts({ store, phoneNumberId: req.number.id, normalize: phones.normalize, apply })
+    for (const { phone } of apply ? report.merged : []) await publishContact(req.number, phone)
+    res.json({ applied: apply, ...report })
+  } catch (e) {
+    console.error('Merge duplicate contacts error:', e)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
 
-    res.json({ page: p, limit: l, total: count || 0, data })
+// List the number's messages (with basic pagination and filtering)
+app.get('/logs', requireRole('viewer'), phones.field('phone', 'query'), async (req, res) => {
+  try {
+    const { phone, kind, type } = req.query
+    const { page, limit, offset } = pagination(req.query)
+    // Matches the normalized phone field, or from/to for older rows
+    const { data, total } = await store.listMessages({ phoneNumberId: req.number.id, phone, kind, type, limit, offset })
+    res.json({ page, limit, total, data })
   } catch (e) {
     console.error('Logs route error:', e)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Note: No dashboard route. This backend only serves data via JSON.
\ No newline at end of file
+// Note: No dashboard route. This backend only serves data via JSON.
+
+// Background workers: webhook jobs, campaigns, outgoing webhooks and schedules
+function startWorkers() {
+  webhookQueue.start()
+  replyQueue.start()
+  campaignSender.start()
+  forwarder.start()
+  scheduler.start()
+}
+
+function stopWorkers() {
+  webhookQueue.stop()
+  replyQueue.stop()
+  campaignSender.stop()
+  forwarder.stop()
+  scheduler.stop()
+}
+
+// Start server when run directly; tests require the app and start it themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server started on port ${PORT}`)
+    startWorkers()
+  })
+}
+
+module.exports = { app, startWorkers, stopWorkers }
@@ -0,0 +1,138 @@
+const { direction, messagePhone, deliveryStatus, groupEvents } = require('./thread')
+const { messageInput } = require('./flowEngine')
+
+const MAX_RANGE_DAYS = 366
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const isDate = s => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`))
+
+// ?from=&to= as inclusive UTC dates (YYYY-MM-DD); defaults to the last 30 days.
+// Returns { ok, from, to, since, until } with since/until as ISO bounds [since, until).
+function parseRange({ from, to } = {}, today = new Date()) {
+  const errors = []
+  if (from !== undefined && !isDate(from)) errors.push('from must be a date (YYYY-MM-DD)')
+  if (to !== undefined && !isDate(to)) errors.push('to must be a date (YYYY-MM-DD)')
+  if (errors.length) return { ok: false, errors }
+
+  const end = to || today.toISOString().slice(0, 10)
+  const start = from || new Date(Date.parse(`${end}T00:00:00Z`) - 29 * DAY_MS).toISOString().slice(0, 10)
+  const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS + 1
+  if (days < 1) return { ok: false, errors: ['from must not be after to'] }
+  if (days > MAX_RANGE_DAYS) return { ok: false, errors: [`range must be at most ${MAX_RANGE_DAYS} days`] }
+  return {
+    ok: true,
+    from: start,
+    to: end,
+    since: `${start}T00:00:00.000Z`,
+    until: new Date(Date.parse(`${end}T00:00:00Z`) + DAY_MS).toISOString(),
+  }
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null)
+
+function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Delivery counts over outbound messages that have a WhatsApp message id.
+// delivery_rate is delivered (or read) / tracked; read_rate is read / delivered.
+function deliveryCounts(messages, eventsByMessage) {
+  const counts = { tracked: 0, sent: 0, delivered: 0, read: 0, failed: 0 }
+  for (const m of messages) {
+    if (!m.message_id) continue
+    counts.tracked++
+    const { status } = deliveryStatus(eventsByMessage.get(m.message_id), m.status)
+    if (status === 'sent') counts.sent++
+    if (status === 'delivered' || status === 'read') counts.delivered++
+    if (status === 'read') counts.read++
+    if (status === 'failed') counts.failed++
+  }
+  return { ...counts, delivery_rate: rate(counts.delivered, counts.tracked), read_rate: rate(counts.read, counts.delivered) }
+}
+
+// Seconds from an inbound message to our next message to that contact (automated
+// replies included; broadcasts are not answers). Later inbound messages before the
+// answer belong to the same wait.
+function firstResponseTimes(messages) {
+  const waitingSince = new Map()
+  const samples = []
+  for (const m of messages) {
+    const phone = messagePhone(m)
+    if (direction(m) === 'inbound') {
+      if (!waitingSince.has(phone)) waitingSince.set(phone, m.created_at)
+    } else if (direction(m) === 'outbound' && m.kind !== 'broadcast' && waitingSince.has(phone)) {
+      samples.push((Date.parse(m.created_at) - Date.parse(waitingSince.get(phone))) / 1000)
+      waitingSince.delete(phone)
+    }
+  }
+  return samples
+}
+
+// Button and list picks from inbound messages, most used first
+function selectionCounts(messages) {
+  const counts = new Map()
+  for (const m of messages) {
+    if (direction(m) !== 'inbound') continue
+    const { button, list } = messageInput({ type: m.type, interactive: m.interactive, button: m.raw?.button })
+    const picked = button || list
+    if (!picked) continue
+    const kind = button ? 'button' : 'list'
+    const key = `${kind}:${picked.id}`
+    if (!counts.has(key)) counts.set(key, { kind, id: picked.id, title: picked.title, count: 0 })
+    counts.get(key).count++
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count)
+}
+
+// messages: rows created in [range.since, range.until), oldest first; events: status
+// events for their message ids; campaigns: campaign rows by id, for broadcast names.
+function computeAnalytics({ range, messages, events, campaigns = new Map() }) {
+  const eventsByMessage = groupEvents(events)
+  const inbound = messages.filter(m => direction(m) === 'inbound')
+  const outbound = messages.filter(m => direction(m) === 'outbound')
+
+  const volume = new Map()
+  for (let t = Date.parse(range.since); t < Date.parse(range.until); t += DAY_MS) {
+    const date = new Date(t).toISOString().slice(0, 10)
+    volume.set(date, { date, inbound: 0, outbound: 0 })
+  }
+  const byKind = {}
+  for (const m of [...inbound, ...outbound]) {
+    byKind[m.kind] = (byKind[m.kind] || 0) + 1
+    const day = volume.get(new Date(m.created_at).toISOString().slice(0, 10))
+    if (day) day[direction(m)]++
+  }
+
+  const responseTimes = firstResponseTimes(messages)
+
+  const broadcasts = new Map()
+  for (const m of outbound) {
+    if (m.kind !== 'broadcast' || m.campaign_id == null) continue
+    if (!broadcasts.has(m.campaign_id)) broadcasts.set(m.campaign_id, [])
+    broadcasts.get(m.campaign_id).push(m)
+  }
+
+  return {
+    range: { from: range.from, to: range.to },
+    totals: { inbound: inbound.length, outbound: outbound.length, by_kind: byKind },
+    volume: [...volume.values()],
+    delivery: deliveryCounts(outbound, eventsByMessage),
+    first_response: { samples: responseTimes.length, median_seconds: median(responseTimes) },
+    selections: selectionCounts(inbound),
+    broadcasts: [...broadcasts].map(([campaignId, rows]) => {
+      const campaign = campaigns.get(campaignId)
+      return {
+        campaign_id: campaignId,
+        name: campaign?.name || null,
+        status: campaign?.status || null,
+        messages: rows.length,
+        ...deliveryCounts(rows, eventsByMessage),
+      }
+    }),
+  }
+}
+
+module.exports = { parseRange, computeAnalytics }
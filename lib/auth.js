@@ -0,0 +1,72 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+
+// Ordered from least to most privileged; a role can do everything the ones before it can
+const ROLES = ['viewer', 'agent', 'admin']
+
+// API_KEYS="key:role[:name],key:role[:name]". The name identifies the caller in logs and
+// the audit log; unnamed keys get a short hash of the key, never part of the key itself.
+function parseApiKeys(value = '') {
+  const keys = new Map()
+  for (const item of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, role, name] = item.split(':')
+    if (!key || !ROLES.includes(role)) {
+      console.warn(`Ignoring API key entry with unknown role: ${role}`)
+      continue
+    }
+    const id = name || `key-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 8)}`
+    keys.set(key, { id, role })
+  }
+  return keys
+}
+
+// Accepts `X-API-Key: <key>` or `Authorization: Bearer <jwt>` (HS256, claims: sub, role).
+// Routes opened with allowQueryToken also take ?access_token=<key or jwt>, for clients
+// that can't set headers (EventSource).
+function createAuth({ apiKeys = new Map(), jwtSecret, disabled = false, onRequest }) {
+  function identify(req, { allowQueryToken = false } = {}) {
+    const queryToken = allowQueryToken && typeof req.query?.access_token === 'string' ? req.query.access_token : null
+    const apiKey = req.get('x-api-key') || (queryToken && apiKeys.has(queryToken) ? queryToken : null)
+    if (apiKey) {
+      const user = apiKeys.get(apiKey)
+      return user ? { ...user, method: 'api_key' } : null
+    }
+    const header = req.get('authorization') || ''
+    let [scheme, token] = header.split(' ')
+    if (!token && queryToken) [scheme, token] = ['bearer', queryToken]
+    if (scheme?.toLowerCase() === 'bearer' && token && jwtSecret) {
+      try {
+        const claims = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] })
+        if (!ROLES.includes(claims.role)) return null
+        return { id: claims.sub || claims.email || 'jwt', role: claims.role, method: 'jwt' }
+      } catch (err) {
+        return null
+      }
+    }
+    return null
+  }
+
+  function requireRole(role, { allowQueryToken = false } = {}) {
+    const minimum = ROLES.indexOf(role)
+    if (minimum === -1) throw new Error(`Unknown role: ${role}`)
+
+    return (req, res, next) => {
+      if (disabled) {
+        req.user = { id: 'anonymous', role: 'admin', method: 'disabled' }
+      } else {
+        const user = identify(req, { allowQueryToken })
+        if (!user) return res.status(401).json({ error: 'Authentication required' })
+        if (ROLES.indexOf(user.role) < minimum) {
+          return res.status(403).json({ error: `Requires ${role} role` })
+        }
+        req.user = user
+      }
+      if (onRequest) onRequest(req, res)
+      next()
+    }
+  }
+
+  return { requireRole, identify }
+}
+
+module.exports = { ROLES, parseApiKeys, createAuth }
@@ -0,0 +1,241 @@
+const { GraphRateLimitError } = require('./graph')
+
+// Persisted broadcast campaigns (see supabase/campaigns.sql). A background sender drains
+// each running campaign's queued recipients at the campaign's messages-per-second rate,
+// backs off on Graph throttling errors and picks up where it left off after a restart.
+// A recipient is claimed ('sending') before the send and marked 'sent' after it, so a
+// crash in between leaves a row we can't tell about; once its claim is older than
+// sendLeaseMs it is marked 'interrupted' rather than sent again.
+const RECIPIENT_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'skipped', 'cancelled', 'interrupted']
+// Webhook statuses only move a recipient forward
+const STATUS_PROGRESSION = {
+  sent: ['sending', 'queued'],
+  delivered: ['sending', 'queued', 'sent'],
+  read: ['sending', 'queued', 'sent', 'delivered'],
+  failed: ['sending', 'queued', 'sent', 'delivered'],
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// send(campaign, recipient) -> { message_id } on success, { skipped: reason } when the
+// recipient must not get this message; throws on failure
+function createCampaignSender({
+  store,
+  send,
+  pollIntervalMs = 2000,
+  defaultRate = 1,
+  maxAttempts = 5,
+  baseBackoffMs = 30 * 1000,
+  maxBackoffMs = 15 * 60 * 1000,
+  // Longer than any send takes (Graph timeouts and retries included), so a claim this
+  // old belongs to a sender that stopped, not one still sending (another instance)
+  sendLeaseMs = 5 * 60 * 1000,
+}) {
+  let timer = null
+  let stopped = true
+  let pausedUntil = 0
+
+  async function createCampaign({ phoneNumberId, name, message, template, interactive, filter, ratePerSecond, phones }) {
+    const now = new Date().toISOString()
+    const campaign = await store.insertCampaign({
+      phone_number_id: phoneNumberId,
+      name: name || `Broadcast ${now}`,
+      status: 'running',
+      message: message || null,
+      template: template || null,
+      interactive: interactive || null,
+      filter: filter || {},
+      rate_per_second: Number(ratePerSecond) || defaultRate,
+      total: phones.length,
+      started_at: now,
+    })
+
+    try {
+      for (let i = 0; i < phones.length; i += 500) {
+        await store.insertRecipients(phones.slice(i, i + 500).map(phone => ({
+          campaign_id: campaign.id,
+          phone,
+          status: 'queued',
+          next_attempt_at: now,
+        })))
+      }
+    } catch (err) {
+      await store.updateCampaign(campaign.id, { status: 'failed', updated_at: new Date().toISOString() })
+      throw err
+    }
+
+    schedule(0)
+    return campaign
+  }
+
+  async function updateRecipient(id, update) {
+    try {
+      await store.updateRecipient(id, { ...update, updated_at: new Date().toISOString() })
+    } catch (error) {
+      console.error(`Campaign recipient ${id} update failed:`, error)
+    }
+  }
+
+  // Rows 'sending' past the lease were claimed by a process that stopped before recording
+  // the outcome. The message may already have gone out, so they are left for review.
+  async function recoverInterrupted() {
+    try {
+      const claimedBefore = new Date(Date.now() - sendLeaseMs).toISOString()
+      await store.interruptSendingRecipients(claimedBefore, 'restarted mid-send: the message may or may not have been sent')
+    } catch (error) {
+      console.error('Campaign recovery failed:', error)
+    }
+  }
+
+  async function finishIfDone(campaign) {
+    if (await store.countRecipients(campaign.id, ['queued', 'sending']) > 0) return
+    const now = new Date().toISOString()
+    await store.updateCampaign(campaign.id, { status: 'completed', completed_at: now, updated_at: now }, ['running'])
+    console.log(`Campaign ${campaign.id} completed`)
+  }
+
+  async function runCampaign(campaign) {
+    const rate = Math.max(Number(campaign.rate_per_second) || defaultRate, 0.01)
+    const delay = 1000 / rate
+    const batch = await store.dueRecipients(campaign.id, new Date().toISOString(),
+      Math.max(Math.ceil(rate * pollIntervalMs / 1000), 1))
+    if (!batch.length) return finishIfDone(campaign)
+
+    for (const recipient of batch) {
+      // Pause/cancel take effect between sends
+      if (stopped || Date.now() < pausedUntil) return
+      if ((await store.getCampaign(campaign.id))?.status !== 'running') return
+      if (!await store.claimRecipient(recipient.id)) continue
+
+      const attempts = (recipient.attempts || 0) + 1
+      try {
+        const result = await send(campaign, recipient)
+        if (result?.skipped) {
+          await updateRecipient(recipient.id, { status: 'skipped', error: result.skipped, attempts })
+        } else {
+          await updateRecipient(recipient.id, {
+            status: 'sent',
+            message_id: result?.message_id || null,
+            sent_at: new Date().toISOString(),
+            error: null,
+            attempts,
+          })
+        }
+      } catch (err) {
+        const details = err.details || err.message
+        // The client already retried briefly; still throttled means back off for longer
+        if (err instanceof GraphRateLimitError && attempts < maxAttempts) {
+          // Throttled: requeue and hold every campaign back for a while
+          const backoff = Math.min(baseBackoffMs * 2 ** (attempts - 1), maxBackoffMs)
+          pausedUntil = Date.now() + backoff
+          await updateRecipient(recipient.id, {
+            status: 'queued',
+            attempts,
+            error: details,
+            next_attempt_at: new Date(pausedUntil).toISOString(),
+          })
+          console.warn(`Graph rate limit hit, campaigns backing off for ${backoff}ms`)
+          return
+        }
+        await updateRecipient(recipient.id, { status: 'failed', error: details, attempts })
+      }
+      await sleep(delay)
+    }
+  }
+
+  async function tick() {
+    if (stopped) return
+    try {
+      await recoverInterrupted()
+      if (Date.now() >= pausedUntil) {
+        const { data: campaigns } = await store.listCampaigns({ status: 'running' })
+        // Oldest first
+        for (const campaign of campaigns.reverse()) {
+          await runCampaign(campaign)
+        }
+      }
+    } catch (err) {
+      console.error('Campaign sender tick failed:', err)
+    } finally {
+      schedule(pollIntervalMs)
+    }
+  }
+
+  let ticking = false
+  function schedule(delay) {
+    if (stopped) return
+    clearTimeout(timer)
+    timer = setTimeout(async () => {
+      if (ticking) return
+      ticking = true
+      try { await tick() } finally { ticking = false }
+    }, delay)
+  }
+
+  async function start() {
+    stopped = false
+    schedule(0)
+  }
+
+  function stop() {
+    stopped = true
+    clearTimeout(timer)
+  }
+
+  // Only legal transitions: running <-> paused, running/paused -> cancelled
+  async function setStatus(id, status, from) {
+    return store.updateCampaign(id, { status, updated_at: new Date().toISOString() }, from)
+  }
+
+  async function pause(id) {
+    return setStatus(id, 'paused', ['running'])
+  }
+
+  async function resume(id) {
+    const campaign = await setStatus(id, 'running', ['paused'])
+    if (campaign) schedule(0)
+    return campaign
+  }
+
+  async function cancel(id) {
+    const campaign = await setStatus(id, 'cancelled', ['running', 'paused'])
+    if (campaign) await store.cancelQueuedRecipients(id)
+    return campaign
+  }
+
+  async function progress(id) {
+    const campaign = await store.getCampaign(id)
+    if (!campaign) return null
+
+    const counts = {}
+    await Promise.all(RECIPIENT_STATUSES.map(async status => {
+      counts[status] = await store.countRecipients(id, [status])
+    }))
+    const done = campaign.total - counts.queued - counts.sending
+    return {
+      ...campaign,
+      counts,
+      percent: campaign.total ? Math.round((done / campaign.total) * 100) : 100,
+    }
+  }
+
+  // Correlate a webhook status with the recipient that message was sent to
+  async function recordStatus(status) {
+    const allowedFrom = STATUS_PROGRESSION[status.status]
+    if (!allowedFrom) return
+    const now = new Date().toISOString()
+    const update = { status: status.status, updated_at: now }
+    if (status.status === 'delivered') update.delivered_at = now
+    if (status.status === 'read') update.read_at = now
+    if (status.status === 'failed') update.error = status.errors?.[0]?.title || 'failed'
+    try {
+      await store.updateRecipientsByMessageId(status.id, update, allowedFrom)
+    } catch (error) {
+      console.error(`Campaign status update for ${status.id} failed:`, error)
+    }
+  }
+
+  return { createCampaign, start, stop, pause, resume, cancel, progress, recordStatus }
+}
+
+module.exports = { createCampaignSender, RECIPIENT_STATUSES }
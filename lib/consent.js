@@ -0,0 +1,49 @@
+const fs = require('fs')
+
+// Opt-out / opt-in keywords (config/consent.json), grouped by language so the
+// confirmation goes back in the language the contact used
+function loadConsentConfig(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    console.warn(`Consent keywords not loaded from ${file}:`, err.message)
+    return { optOut: { keywords: {}, replies: {} }, optIn: { keywords: {}, replies: {} } }
+  }
+}
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s.!¡?¿]+$/u, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Only a message that is exactly a keyword counts, so "don't stop" doesn't unsubscribe.
+// Returns { action: 'opt_out' | 'opt_in', language, reply } or null
+function matchConsentKeyword(config, text) {
+  const input = normalize(text)
+  if (!input) return null
+  for (const [action, section] of [['opt_out', config.optOut], ['opt_in', config.optIn]]) {
+    for (const [language, keywords] of Object.entries(section?.keywords || {})) {
+      if (keywords.some(k => normalize(k) === input)) {
+        const replies = section.replies || {}
+        return { action, language, reply: replies[language] || replies.en || null }
+      }
+    }
+  }
+  return null
+}
+
+// Thrown by the send helpers when the recipient has opted out
+class SuppressedRecipientError extends Error {
+  constructor(phone) {
+    super(`Recipient ${phone} has opted out`)
+    this.name = 'SuppressedRecipientError'
+    this.code = 'recipient_suppressed'
+    this.phone = phone
+  }
+}
+
+module.exports = { loadConsentConfig, matchConsentKeyword, SuppressedRecipientError }
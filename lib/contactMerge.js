@@ -0,0 +1,92 @@
+const { findSegmentContacts } = require('./segments')
+
+// Before numbers were normalized (lib/phone.js) the same person could end up as
+// several contacts: "919876543210" from webhooks, "+91 98765-43210" typed into a route.
+// This groups contacts by normalized number and folds each group into one contact
+// under the normalized number, moving their messages along.
+
+const LAST_MESSAGE_FIELDS = [
+  'last_message_id', 'last_body', 'last_type', 'last_kind', 'last_direction',
+  'last_sender_id', 'last_recipient_phone', 'last_timestamp',
+]
+const HUMAN_PRIORITY = { assigned: 2, pending_human: 1 }
+
+const latest = (rows, key) => rows
+  .filter(r => r[key])
+  .sort((a, b) => String(b[key]).localeCompare(String(a[key])))[0] || null
+
+// The merged contacts row for `phone` (fields only; no id)
+function mergeContacts(phone, contacts) {
+  const newestFirst = [...contacts].sort((a, b) =>
+    String(b.last_timestamp || b.updated_at || '').localeCompare(String(a.last_timestamp || a.updated_at || '')))
+  const newest = newestFirst[0]
+  const phones = contacts.map(c => c.phone)
+
+  const merged = {}
+  for (const field of LAST_MESSAGE_FIELDS) merged[field] = newest[field] ?? null
+  if (phones.includes(merged.last_recipient_phone)) merged.last_recipient_phone = phone
+
+  merged.name = newestFirst.find(c => c.name)?.name || null
+  merged.total_messages = contacts.reduce((sum, c) => sum + (c.total_messages || 0), 0)
+  merged.last_inbound_at = latest(contacts, 'last_inbound_at')?.last_inbound_at || null
+
+  const consent = latest(contacts.filter(c => c.consent_status), 'consent_updated_at') ||
+    contacts.find(c => c.consent_status)
+  merged.consent_status = consent?.consent_status || null
+  merged.consent_updated_at = consent?.consent_updated_at || null
+  merged.consent_source = consent?.consent_source || null
+
+  const flow = latest(contacts, 'flow_updated_at') || newest
+  merged.flow_state = flow.flow_state ?? null
+  merged.flow_vars = flow.flow_vars || {}
+  merged.flow_updated_at = flow.flow_updated_at || null
+
+  // A conversation an agent is working on beats one the bot has
+  const conversation = [...contacts].sort((a, b) =>
+    (HUMAN_PRIORITY[b.conversation_status] || 0) - (HUMAN_PRIORITY[a.conversation_status] || 0) ||
+    String(b.conversation_updated_at || '').localeCompare(String(a.conversation_updated_at || '')))[0]
+  merged.conversation_status = conversation.conversation_status || 'bot'
+  merged.assigned_agent = conversation.assigned_agent || null
+  merged.assigned_at = conversation.assigned_at || null
+  merged.conversation_updated_at = conversation.conversation_updated_at || null
+  merged.unread_count = contacts.reduce((sum, c) => sum + (c.unread_count || 0), 0)
+
+  merged.tags = [...new Set(contacts.flatMap(c => c.tags || []))]
+  merged.attributes = Object.assign({}, ...[...newestFirst].reverse().map(c => c.attributes || {}))
+  merged.updated_at = new Date().toISOString()
+  return merged
+}
+
+// Merges one business number's contacts (phoneNumberId).
+// normalize: phone -> { ok, phone } | { ok, error }. With apply false nothing is
+// written and the report says what would change.
+// Returns { contacts, merged: [{ phone, from: [phones] }], invalid: [{ phone, error }] }
+async function mergeDuplicateContacts({ store, phoneNumberId, normalize, apply = false }) {
+  const { data: contacts } = await findSegmentContacts(store, null, { phoneNumberId })
+  const groups = new Map()
+  const invalid = []
+  for (const contact of contacts) {
+    const result = normalize(contact.phone)
+    if (!result.ok) {
+      invalid.push({ phone: contact.phone, error: result.error })
+      continue
+    }
+    if (!groups.has(result.phone)) groups.set(result.phone, [])
+    groups.get(result.phone).push(contact)
+  }
+
+  const merged = []
+  for (const [phone, group] of groups) {
+    const others = group.map(c => c.phone).filter(p => p !== phone)
+    if (!others.length) continue
+    merged.push({ phone, from: others })
+    if (!apply) continue
+
+    await store.upsertContact(phoneNumberId, phone, mergeContacts(phone, group))
+    await store.reassignMessages(phoneNumberId, others, phone)
+    for (const other of others) await store.deleteContact(phoneNumberId, other)
+  }
+  return { contacts: contacts.length, merged, invalid }
+}
+
+module.exports = { mergeContacts, mergeDuplicateContacts }
@@ -0,0 +1,153 @@
+// Contact tags and custom attributes, and the CSV import/export format.
+//   tags        lowercase labels, e.g. ["vip", "newsletter"]
+//   attributes  flat key -> string | number | boolean, e.g. { plan: "pro", seats: 5 }
+const MAX_TAGS = 50
+const MAX_TAG_LENGTH = 50
+const MAX_ATTRIBUTES = 50
+const MAX_ATTRIBUTE_LENGTH = 500
+const ATTRIBUTE_KEY = /^[A-Za-z_][A-Za-z0-9_]{0,49}$/
+
+// CSV layout: phone, name, tags (separated by ";") and one column per attribute.
+// Export adds read-only columns, which import ignores so an export can be re-imported;
+// attributes can't use these names.
+const EXPORT_COLUMNS = ['phone', 'name', 'tags', 'consent_status', 'conversation_status', 'last_timestamp', 'last_inbound_at']
+const TAG_SEPARATOR = ';'
+
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase()
+}
+
+// Returns { ok, tags } with the tags normalized and deduplicated, or { ok: false, errors }
+function validateTags(input) {
+  if (!Array.isArray(input)) return { ok: false, errors: ['tags must be an array of strings'] }
+  const errors = []
+  const tags = []
+  for (const raw of input) {
+    if (typeof raw !== 'string' || !normalizeTag(raw)) {
+      errors.push('tags must be non-empty strings')
+      continue
+    }
+    const tag = normalizeTag(raw)
+    if (tag.length > MAX_TAG_LENGTH) errors.push(`tag "${tag.slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters`)
+    else if (!tags.includes(tag)) tags.push(tag)
+  }
+  if (tags.length > MAX_TAGS) errors.push(`at most ${MAX_TAGS} tags per contact`)
+  return errors.length ? { ok: false, errors } : { ok: true, tags }
+}
+
+// Validates an attributes patch; a null value removes that attribute
+function validateAttributes(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, errors: ['attributes must be an object'] }
+  }
+  const errors = []
+  if (Object.keys(input).length > MAX_ATTRIBUTES) errors.push(`at most ${MAX_ATTRIBUTES} attributes per contact`)
+  for (const [key, value] of Object.entries(input)) {
+    if (!ATTRIBUTE_KEY.test(key)) errors.push(`attribute name "${key}" must be letters, digits and _ (max 50)`)
+    else if (EXPORT_COLUMNS.includes(key)) errors.push(`attribute name "${key}" is reserved`)
+    else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push(`attribute ${key} must be a string, number, boolean or null`)
+    } else if (typeof value === 'string' && value.length > MAX_ATTRIBUTE_LENGTH) {
+      errors.push(`attribute ${key} is longer than ${MAX_ATTRIBUTE_LENGTH} characters`)
+    }
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, attributes: input }
+}
+
+function mergeAttributes(current, patch) {
+  const merged = { ...(current || {}) }
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete merged[key]
+    else merged[key] = value
+  }
+  return merged
+}
+
+// Values that look like numbers or booleans are stored as such
+function parseAttributeValue(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value) && value.length < 16) return Number(value)
+  if (value === 'true' || value === 'false') return value === 'true'
+  return value
+}
+
+// One CSV row -> { ok, phone, name, tags, attributes } or { ok: false, error }.
+// normalize: the phone normalizer (lib/phone.js)
+function contactFromCsv(row, normalize) {
+  const phone = normalize(row.phone)
+  if (!phone.ok) return { ok: false, error: phone.error }
+
+  const tagCheck = validateTags((row.tags || '').split(TAG_SEPARATOR).filter(t => t.trim()))
+  if (!tagCheck.ok) return { ok: false, error: tagCheck.errors.join('; ') }
+
+  const attributes = {}
+  for (const [column, value] of Object.entries(row)) {
+    if (EXPORT_COLUMNS.includes(column) || value === '') continue
+    attributes[column] = parseAttributeValue(value)
+  }
+  const attributeCheck = validateAttributes(attributes)
+  if (!attributeCheck.ok) return { ok: false, error: attributeCheck.errors.join('; ') }
+
+  return { ok: true, phone: phone.phone, name: row.name || null, tags: tagCheck.tags, attributes }
+}
+
+// Header problems that would fail every row
+function validateCsvColumns(columns) {
+  const errors = []
+  if (!columns.includes('phone')) errors.push('a phone column is required')
+  const attributeColumns = columns.filter(c => !EXPORT_COLUMNS.includes(c))
+  for (const column of attributeColumns) {
+    if (!ATTRIBUTE_KEY.test(column)) errors.push(`column "${column}" is not a valid attribute name (letters, digits and _)`)
+  }
+  if (attributeColumns.length > MAX_ATTRIBUTES) errors.push(`at most ${MAX_ATTRIBUTES} attribute columns`)
+  const repeated = columns.filter((c, i) => columns.indexOf(c) !== i)
+  if (repeated.length) errors.push(`duplicate column(s): ${[...new Set(repeated)].join(', ')}`)
+  return errors
+}
+
+// Parse CSV rows into one entry per phone number. Rows repeating a number (after
+// normalization) are merged into the first: later names and attributes win, tags add up.
+// Returns { contacts, invalid: [{ line, phone, error }], duplicates }
+function dedupeImportRows(rows, normalize) {
+  const byPhone = new Map()
+  const invalid = []
+  let duplicates = 0
+  rows.forEach((row, i) => {
+    const parsed = contactFromCsv(row, normalize)
+    // Line numbers as a spreadsheet shows them, after the header row
+    if (!parsed.ok) return invalid.push({ line: i + 2, phone: row.phone || null, error: parsed.error })
+    const existing = byPhone.get(parsed.phone)
+    if (!existing) return byPhone.set(parsed.phone, parsed)
+    duplicates++
+    existing.name = parsed.name || existing.name
+    existing.tags = [...new Set([...existing.tags, ...parsed.tags])]
+    existing.attributes = { ...existing.attributes, ...parsed.attributes }
+  })
+  return { contacts: [...byPhone.values()], invalid, duplicates }
+}
+
+// Rows for toCsv(); attribute columns are the union over all contacts
+function contactsToCsvRows(contacts) {
+  const attributeKeys = new Set()
+  for (const c of contacts) Object.keys(c.attributes || {}).forEach(k => attributeKeys.add(k))
+  const columns = [...EXPORT_COLUMNS, ...[...attributeKeys].filter(k => !EXPORT_COLUMNS.includes(k)).sort()]
+  const rows = contacts.map(c => ({
+    ...c.attributes,
+    phone: c.phone,
+    name: c.name,
+    tags: (c.tags || []).join(TAG_SEPARATOR),
+    consent_status: c.consent_status,
+    conversation_status: c.conversation_status,
+    last_timestamp: c.last_timestamp,
+    last_inbound_at: c.last_inbound_at,
+  }))
+  return { columns, rows }
+}
+
+module.exports = {
+  validateTags,
+  validateAttributes,
+  mergeAttributes,
+  validateCsvColumns,
+  dedupeImportRows,
+  contactsToCsvRows,
+}
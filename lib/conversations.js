@@ -0,0 +1,77 @@
+// Shared inbox. Each contact has one conversation, tracked on its contacts row:
+//   bot            the flow answers automatically
+//   pending_human  handed off, waiting for an agent to claim it
+//   assigned       owned by `assigned_agent`; the bot stays quiet
+//   closed         done; the contact's next message goes back to the bot
+const CONVERSATION_STATUSES = ['bot', 'pending_human', 'assigned', 'closed']
+const HUMAN_STATUSES = ['pending_human', 'assigned']
+
+function conversationStatus(contact) {
+  return contact?.conversation_status || 'bot'
+}
+
+function isWithHuman(contact) {
+  return HUMAN_STATUSES.includes(conversationStatus(contact))
+}
+
+// Which statuses each action may start from
+const TRANSITIONS = {
+  handoff: ['bot', 'closed'],
+  claim: ['bot', 'pending_human', 'assigned', 'closed'],
+  close: ['pending_human', 'assigned'],
+  release: ['pending_human', 'assigned', 'closed'],
+  reopen: ['closed'],
+}
+
+// Work out the contacts update for an action. `agent` is who is acting; `override`
+// (admins) may act on a conversation assigned to someone else.
+// Returns { ok: true, patch, fromStatuses } or { ok: false, error }.
+function transition(contact, action, { agent, override = false } = {}) {
+  const from = conversationStatus(contact)
+  if (!TRANSITIONS[action].includes(from)) {
+    return { ok: false, error: `Cannot ${action} a conversation that is ${from}` }
+  }
+  const owner = contact?.assigned_agent
+  if (from === 'assigned' && owner !== agent && !override && action !== 'handoff') {
+    return { ok: false, error: `Conversation is assigned to ${owner}` }
+  }
+
+  const now = new Date().toISOString()
+  const base = { conversation_updated_at: now }
+  switch (action) {
+    case 'handoff':
+      return { ok: true, fromStatuses: [from], patch: { ...base, conversation_status: 'pending_human', assigned_agent: null } }
+    case 'claim':
+      return { ok: true, fromStatuses: [from], patch: { ...base, conversation_status: 'assigned', assigned_agent: agent, assigned_at: now } }
+    case 'close':
+      return { ok: true, fromStatuses: [from], patch: { ...base, conversation_status: 'closed', assigned_agent: null, unread_count: 0 } }
+    case 'release':
+    case 'reopen':
+      return { ok: true, fromStatuses: [from], patch: { ...base, conversation_status: 'bot', assigned_agent: null, unread_count: 0 } }
+  }
+}
+
+// Unread inbound messages per agent, from conversations that are with a human.
+// Pending conversations are counted under `unassigned`.
+function unreadCounters(contacts) {
+  const empty = () => ({ conversations: 0, unread: 0 })
+  const counters = { unassigned: empty(), agents: {} }
+  for (const c of contacts) {
+    if (!isWithHuman(c)) continue
+    const bucket = c.assigned_agent
+      ? (counters.agents[c.assigned_agent] ||= empty())
+      : counters.unassigned
+    bucket.conversations++
+    bucket.unread += c.unread_count || 0
+  }
+  return counters
+}
+
+module.exports = {
+  CONVERSATION_STATUSES,
+  HUMAN_STATUSES,
+  conversationStatus,
+  isWithHuman,
+  transition,
+  unreadCounters,
+}
@@ -0,0 +1,148 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week") evaluated
+// in an IANA time zone, for recurring schedules. Fields take *, lists, ranges and
+// steps (*/15, 1-5, mon-fri, jan,jul). As in classic cron, when both day-of-month and
+// day-of-week are restricted a day matching either one counts.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+]
+// Far enough for any valid expression (Feb 29 on a given weekday recurs within 28 years)
+const MAX_SEARCH_DAYS = 366 * 28
+
+function parseValue(token, field) {
+  const index = field.names ? field.names.indexOf(token.toLowerCase()) : -1
+  if (index !== -1) return index + field.offset
+  return /^\d+$/.test(token) ? Number(token) : NaN
+}
+
+function parseField(text, field) {
+  const values = new Set()
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step "${stepText}" in ${field.name}`)
+    let from
+    let to
+    if (range === '*') {
+      from = field.min
+      to = field.max
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(t => parseValue(t, field))
+    } else {
+      from = parseValue(range, field)
+      // "5/15" means 5, 20, 35, ...
+      to = stepText === undefined ? from : field.max
+    }
+    if (Number.isNaN(from) || Number.isNaN(to) || from < field.min || to > field.max || from > to) {
+      throw new Error(`invalid ${field.name} "${part}" (${field.min}-${field.max})`)
+    }
+    for (let v = from; v <= to; v += step) values.add(v)
+  }
+  return values
+}
+
+// Returns { ok: true, cron } or { ok: false, error }
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/)
+  if (parts.length !== 5) return { ok: false, error: 'cron must have 5 fields: minute hour day-of-month month day-of-week' }
+  try {
+    const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]))
+    // 7 is Sunday too
+    if (weekdays.delete(7)) weekdays.add(0)
+    return {
+      ok: true,
+      cron: {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        weekdays,
+        // Like cron, a field starting with * (*/2 too) doesn't count as a restriction
+        // when the other day field has one: 0 9 */1 * 1 is every Monday
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+      },
+    }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+const formatters = new Map()
+// Wall-clock parts of an instant in a time zone
+function zonedParts(ms, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }))
+  }
+  const parts = {}
+  for (const { type, value } of formatters.get(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value)
+  }
+  return parts
+}
+
+// The instant a wall-clock time happens in a time zone, or null when it doesn't exist
+// (skipped by a DST change). Repeated times (clocks going back) give the first.
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute)
+  const offsetAt = ms => {
+    const p = zonedParts(ms, timeZone)
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000
+  }
+  const candidates = [wall - offsetAt(wall - 12 * 3600 * 1000), wall - offsetAt(wall + 12 * 3600 * 1000)]
+    .sort((a, b) => a - b)
+  for (const ms of candidates) {
+    const p = zonedParts(ms, timeZone)
+    if (p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute) return ms
+  }
+  return null
+}
+
+function dayMatches(cron, year, month, day) {
+  if (!cron.months.has(month)) return false
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  const dom = cron.days.has(day)
+  const dow = cron.weekdays.has(weekday)
+  if (cron.anyDay && cron.anyWeekday) return true
+  if (cron.anyDay) return dow
+  if (cron.anyWeekday) return dom
+  return dom || dow
+}
+
+// First time after `afterMs` (epoch ms) the expression fires in timeZone, or null
+function nextCronTime(cron, afterMs, timeZone = 'UTC') {
+  const start = zonedParts(afterMs, timeZone)
+  let date = Date.UTC(start.year, start.month - 1, start.day)
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, date += 24 * 3600 * 1000) {
+    const d = new Date(date)
+    const year = d.getUTCFullYear()
+    const month = d.getUTCMonth() + 1
+    const day = d.getUTCDate()
+    if (!dayMatches(cron, year, month, day)) continue
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const ms = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone)
+        if (ms !== null && ms > afterMs) return ms
+      }
+    }
+  }
+  return null
+}
+
+module.exports = { parseCron, nextCronTime, isValidTimeZone, zonedTimeToUtc }
@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line endings
+
+// Returns an array of rows (arrays of strings); blank lines are dropped
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = 0
+  // A UTF-8 BOM (Excel adds one) would otherwise end up in the first header
+  if (text.charCodeAt(0) === 0xfeff) i = 1
+
+  for (; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      if (row.some(f => f !== '')) rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  row.push(field)
+  if (row.some(f => f !== '')) rows.push(row)
+  return rows
+}
+
+// Rows as objects keyed by the (trimmed) header row
+function parseCsvObjects(text) {
+  const [header = [], ...rows] = parseCsv(text)
+  const columns = header.map(h => h.trim())
+  return { columns, rows: rows.map(r => Object.fromEntries(columns.map((c, i) => [c, (r[i] ?? '').trim()]))) }
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return ''
+  let s = String(value)
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvField).join(',')]
+  for (const row of rows) lines.push(columns.map(c => csvField(row[c])).join(','))
+  return lines.join('\r\n') + '\r\n'
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv }
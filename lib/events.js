@@ -0,0 +1,100 @@
+// In-process event bus behind GET /events (server-sent events). Recent events are kept
+// in a ring buffer so a reconnecting client can resume from its Last-Event-ID.
+// Types: message.incoming, message.outgoing, message.status, message.reaction, contact.updated
+
+function createEventBus({ bufferSize = 1000 } = {}) {
+  // Ids are "<epoch>-<seq>"; a different epoch means the id came from an earlier process
+  const epoch = Date.now().toString(36)
+  let seq = 0
+  const buffer = []
+  const listeners = new Set()
+
+  // phone: who the event is about, phoneNumberId: which of our numbers; both are used
+  // for per-client filtering
+  function publish(type, data, { phone = null, phoneNumberId = null } = {}) {
+    const event = {
+      id: `${epoch}-${++seq}`,
+      seq,
+      type,
+      phone,
+      phone_number_id: phoneNumberId,
+      data,
+      at: new Date().toISOString(),
+    }
+    buffer.push(event)
+    if (buffer.length > bufferSize) buffer.shift()
+    for (const listener of listeners) {
+      try {
+        listener(event)
+      } catch (err) {
+        console.error('Event listener failed:', err)
+      }
+    }
+    return event
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  }
+
+  // Events after lastId, or null when they can't all be replayed (unknown id, or
+  // older than the buffer) and the client should refetch instead
+  function since(lastId) {
+    const [idEpoch, idSeq] = String(lastId).split('-')
+    const n = Number(idSeq)
+    if (idEpoch !== epoch || !Number.isInteger(n) || n > seq) return null
+    const oldest = buffer.length ? buffer[0].seq : seq + 1
+    if (n < oldest - 1) return null
+    return buffer.filter(e => e.seq > n)
+  }
+
+  return { publish, subscribe, since, size: () => listeners.size }
+}
+
+function writeEvent(res, event) {
+  const payload = { phone: event.phone, phone_number_id: event.phone_number_id, at: event.at, data: event.data }
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`)
+}
+
+// Express handler for the stream. ?phone=a,b limits it to those contacts (normalized
+// beforehand, see phones.list) and ?phone_number_id= to one of our numbers; resume with
+// the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=.
+// When the gap can't be replayed a `stream.reset` event tells the client to refetch.
+function streamEvents(bus, { heartbeatMs = 25000 } = {}) {
+  return (req, res) => {
+    const phones = req.query.phone ? new Set(String(req.query.phone).split(',')) : null
+    const numberId = req.query.phone_number_id ? String(req.query.phone_number_id) : null
+    const wanted = event => (!phones || phones.has(event.phone)) &&
+      (!numberId || event.phone_number_id === numberId)
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx and friends from buffering the stream
+      'X-Accel-Buffering': 'no',
+    })
+    res.flushHeaders()
+    res.write('retry: 5000\n\n')
+
+    const lastId = req.get('last-event-id') || req.query.lastEventId
+    if (lastId) {
+      const missed = bus.since(lastId)
+      if (missed) missed.filter(wanted).forEach(e => writeEvent(res, e))
+      else res.write(`event: stream.reset\ndata: ${JSON.stringify({ lastEventId: lastId })}\n\n`)
+    }
+
+    const unsubscribe = bus.subscribe(event => {
+      if (wanted(event)) writeEvent(res, event)
+    })
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs)
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      unsubscribe()
+    })
+  }
+}
+
+module.exports = { createEventBus, streamEvents }
@@ -0,0 +1,164 @@
+// FAQ auto-responder: questions, keywords and answers the bot can reply with when a text
+// would otherwise only get the flow's catch-all reply (see runFlow in index.js).
+//
+// Matching is token based and forgiving of typos and word forms: texts are lowercased,
+// stripped of accents, punctuation and filler words, and words are reduced to a rough
+// stem ("prices", "pricing" -> "pric"). Two words match when they or their stems are
+// equal or, for words of 4+ letters, close in edit distance. An FAQ scores
+//   - 1 when one of its keywords (all of a keyword's words) appears in the text
+//     (slightly less for near misses), or
+//   - how well its question and the text cover each other's words (F1 of both ways).
+// The best FAQ answers when its score reaches the threshold.
+
+const MAX_ANSWER_LENGTH = 4096 // WhatsApp text body limit
+const MAX_KEYWORDS = 50
+const WORD_SIMILARITY = 0.8
+
+const STOPWORDS = new Set(`
+  a about also am an and any are as at be been but by can could did do does dont for from
+  get got had has have hello here hey hi how i if im in is it its just know let like me
+  much many my need no of ok okay on or our please should so some tell than thank thanks
+  that the their then there these they this those to too u ur us very want was we were
+  what whats when where which who why will with would yes you your yours
+`.trim().split(/\s+/))
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+// Two passes, so "rankings" and "ranking" both become "rank"
+function stem(word) {
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = ['ing', 'ed', 'es', 'e', 's'].find(s => word.endsWith(s) && word.length - s.length >= 3)
+    if (!suffix) break
+    word = word.slice(0, -suffix.length)
+  }
+  return word
+}
+
+// The words of a text as { word, stem }, without filler words unless keepStopwords
+function tokenize(text, { keepStopwords = false } = {}) {
+  return normalizeText(text).split(' ')
+    .filter(w => w && (keepStopwords || !STOPWORDS.has(w)))
+    .map(word => ({ word, stem: stem(word) }))
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = row
+  }
+  return prev[b.length]
+}
+
+// 0..1, comparing both the words and their stems; short words (SEO, app) only
+// match exactly
+function wordSimilarity(a, b) {
+  if (a.stem === b.stem || a.word === b.word) return 1
+  const similarity = (x, y) => (Math.min(x.length, y.length) < 4 ? 0 : 1 - editDistance(x, y) / Math.max(x.length, y.length))
+  const score = Math.max(similarity(a.word, b.word), similarity(a.stem, b.stem))
+  return score >= WORD_SIMILARITY ? score : 0
+}
+
+// How well the words of `from` are found in `within` (0..1)
+function coverage(from, within) {
+  if (!from.length || !within.length) return 0
+  const total = from.reduce((sum, word) => sum + Math.max(0, ...within.map(w => wordSimilarity(word, w))), 0)
+  return total / from.length
+}
+
+// Keywords are matched against every word of the text, filler words included, so
+// "how much" works as a keyword
+function keywordScore(keywords, allWords) {
+  let best = 0
+  for (const keyword of keywords) {
+    const keywordWords = tokenize(keyword, { keepStopwords: true })
+    if (!keywordWords.length) continue
+    const scores = keywordWords.map(k => Math.max(0, ...allWords.map(w => wordSimilarity(k, w))))
+    if (scores.every(s => s > 0)) best = Math.max(best, scores.reduce((a, b) => a + b, 0) / scores.length)
+  }
+  return best
+}
+
+function questionScore(question, words) {
+  const questionWords = tokenize(question)
+  const recall = coverage(questionWords, words)
+  const precision = coverage(words, questionWords)
+  return recall + precision ? (2 * recall * precision) / (recall + precision) : 0
+}
+
+function scoreFaq(faq, words, allWords) {
+  return Math.max(keywordScore(faq.keywords || [], allWords), questionScore(faq.question, words))
+}
+
+// The FAQ that best answers `text`: { match, faq, score, words }. match is false when
+// no FAQ reaches the threshold; faq and score are then the closest miss (if any).
+// words: the text's meaningful words; none means there was nothing to answer.
+// faqs: active entries in priority order (earlier wins ties).
+function matchFaq(faqs, text, { threshold }) {
+  const words = tokenize(text)
+  const allWords = tokenize(text, { keepStopwords: true })
+  let best = null
+  let bestScore = 0
+  for (const faq of faqs) {
+    const score = scoreFaq(faq, words, allWords)
+    if (score > bestScore) {
+      best = faq
+      bestScore = score
+    }
+  }
+  const score = Math.round(bestScore * 1000) / 1000
+  return { match: Boolean(best) && score >= threshold, faq: best, score, words: words.map(w => w.word) }
+}
+
+function normalizeKeywords(keywords) {
+  return [...new Set(keywords.map(k => normalizeText(k)).filter(Boolean))]
+}
+
+// input: { question, answer, keywords, active }; partial for updates.
+// Returns { ok: true, faq } (normalized fields) or { ok: false, errors }.
+function validateFaq(input = {}, { partial = false } = {}) {
+  const errors = []
+  const faq = {}
+  for (const field of ['question', 'answer']) {
+    if (partial && input[field] === undefined) continue
+    if (typeof input[field] !== 'string' || !input[field].trim()) errors.push(`${field} is required`)
+    else faq[field] = input[field].trim()
+  }
+  if (faq.answer && faq.answer.length > MAX_ANSWER_LENGTH) {
+    errors.push(`answer must be at most ${MAX_ANSWER_LENGTH} characters`)
+  }
+  if (input.keywords !== undefined) {
+    if (!Array.isArray(input.keywords) || input.keywords.some(k => typeof k !== 'string')) {
+      errors.push('keywords must be an array of strings')
+    } else if (input.keywords.length > MAX_KEYWORDS) {
+      errors.push(`at most ${MAX_KEYWORDS} keywords`)
+    } else {
+      faq.keywords = normalizeKeywords(input.keywords)
+    }
+  } else if (!partial) {
+    faq.keywords = []
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') errors.push('active must be true or false')
+    else faq.active = input.active
+  } else if (!partial) {
+    faq.active = true
+  }
+  if (faq.question !== undefined && !tokenize(faq.question).length && !(faq.keywords || []).length) {
+    errors.push('question needs words to match on (or give keywords)')
+  }
+  return errors.length ? { ok: false, errors } : { ok: true, faq }
+}
+
+module.exports = { matchFaq, validateFaq }
@@ -0,0 +1,160 @@
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+
+// Declarative bot flow (config/flow.yaml). A contact is always in one state; each
+// incoming message is matched against that state's `on` transitions, then the global
+// `triggers`, then the state's (or flow's) `fallback`. A matching transition runs its
+// own actions, moves to `goto` (if any) and runs the target state's entry `actions`.
+const ACTION_TYPES = ['text', 'buttons', 'list', 'cta_url', 'template', 'handoff']
+const MATCH_KEYS = ['any', 'type', 'keyword', 'regex', 'intent', 'button', 'list']
+
+function loadFlow(file) {
+  let flow
+  try {
+    const source = fs.readFileSync(file, 'utf8')
+    flow = ['.yaml', '.yml'].includes(path.extname(file)) ? YAML.parse(source) : JSON.parse(source)
+  } catch (err) {
+    return { ok: false, errors: [`Cannot read flow ${file}: ${err.message}`] }
+  }
+  const errors = validateFlow(flow)
+  return errors.length ? { ok: false, errors } : { ok: true, flow }
+}
+
+function validateFlow(flow) {
+  const errors = []
+  if (!flow || typeof flow !== 'object') return ['flow must be an object']
+  const states = flow.states || {}
+  if (!flow.start || !states[flow.start]) errors.push(`start state "${flow.start}" is not defined`)
+
+  const checkActions = (actions, where) => {
+    for (const action of actions || []) {
+      if (!ACTION_TYPES.includes(action.type)) errors.push(`${where}: unknown action type "${action.type}"`)
+    }
+  }
+  const checkTransition = (t, where) => {
+    if (!MATCH_KEYS.some(k => t[k] !== undefined)) errors.push(`${where}: transition has no match condition`)
+    if (t.goto && !states[t.goto]) errors.push(`${where}: goto "${t.goto}" is not defined`)
+    if (t.intent && !flow.intents?.[t.intent]) errors.push(`${where}: intent "${t.intent}" is not defined`)
+    if (t.regex) {
+      try { new RegExp(t.regex) } catch (e) { errors.push(`${where}: invalid regex: ${e.message}`) }
+    }
+    checkActions(t.actions, where)
+  }
+  const checkFallback = (f, where) => {
+    if (!f) return
+    if (f.goto && !states[f.goto]) errors.push(`${where}: goto "${f.goto}" is not defined`)
+    checkActions(f.actions, where)
+  }
+
+  for (const [name, state] of Object.entries(states)) {
+    checkActions(state.actions, `state ${name}`)
+    ;(state.on || []).forEach((t, i) => checkTransition(t, `state ${name} on[${i}]`))
+    checkFallback(state.fallback, `state ${name} fallback`)
+  }
+  ;(flow.triggers || []).forEach((t, i) => checkTransition(t, `triggers[${i}]`))
+  checkFallback(flow.fallback, 'fallback')
+  return errors
+}
+
+// What the engine can match on, pulled out of a webhook message
+function messageInput(message) {
+  const interactive = message.interactive || {}
+  let button = interactive.button_reply || null
+  // Quick-reply buttons on templates arrive as type 'button'
+  if (!button && message.type === 'button') {
+    button = { id: message.button?.payload, title: message.button?.text }
+  }
+  return {
+    type: message.type,
+    text: message.text?.body || '',
+    button,
+    list: interactive.list_reply || null,
+  }
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function matchesKeyword(text, keywords) {
+  return [].concat(keywords).some(k => new RegExp(`(^|\\W)${escapeRegex(String(k))}($|\\W)`, 'i').test(text))
+}
+
+// Returns null for no match, or the regex captures to merge into the contact's vars
+function matchTransition(flow, t, input) {
+  const captures = {}
+  if (t.type && t.type !== input.type) return null
+  if (t.keyword !== undefined && !matchesKeyword(input.text, t.keyword)) return null
+  if (t.regex !== undefined) {
+    const m = new RegExp(t.regex, 'i').exec(input.text)
+    if (!m) return null
+    Object.assign(captures, m.groups)
+  }
+  if (t.intent !== undefined) {
+    const intent = flow.intents[t.intent]
+    const hit = matchesKeyword(input.text, intent.keywords || [])
+      || (intent.patterns || []).some(p => new RegExp(p, 'i').test(input.text))
+    if (!hit) return null
+  }
+  if (t.button !== undefined && !(input.button && (t.button === '*' || t.button === input.button.id))) return null
+  if (t.list !== undefined && !(input.list && (t.list === '*' || t.list === input.list.id))) return null
+  return captures
+}
+
+// Decide what to do with one incoming message. Pure: the caller sends the actions and
+// persists the returned state/vars. catchAll: the message only met a catch-all transition
+// or a fallback (nothing in the flow was written for its content).
+function evaluate(flow, { state, vars = {} } = {}, message) {
+  const current = flow.states[state] ? state : flow.start
+  const input = messageInput(message)
+  const candidates = [...(flow.states[current].on || []), ...(flow.triggers || [])]
+
+  let chosen = null
+  let captures = {}
+  for (const t of candidates) {
+    const m = matchTransition(flow, t, input)
+    if (m) {
+      chosen = t
+      captures = m
+      break
+    }
+  }
+  const matched = Boolean(chosen)
+  if (!chosen) chosen = flow.states[current].fallback || flow.fallback
+  if (!chosen) return { matched: false, catchAll: true, state: current, vars, actions: [] }
+
+  const next = chosen.goto || current
+  const actions = [...(chosen.actions || [])]
+  if (chosen.goto) actions.push(...(flow.states[chosen.goto].actions || []))
+  return { matched, catchAll: !matched || isCatchAll(chosen), state: next, vars: { ...vars, ...captures }, actions, input }
+}
+
+// A transition that takes any message (of a type) rather than specific content
+function isCatchAll(t) {
+  return ['keyword', 'regex', 'intent', 'button', 'list'].every(key => t[key] === undefined)
+}
+
+function lookup(obj, dotted) {
+  return dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj)
+}
+
+// {{contact.name|there}}, {{reply.title}}, {{vars.order_id}}, {{message.text}}
+function renderString(str, ctx) {
+  return str.replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (m, key, fallback) => {
+    const v = lookup(ctx, key)
+    if (v !== undefined && v !== null && v !== '') return String(v)
+    return fallback !== undefined ? fallback.trim() : ''
+  })
+}
+
+function renderAction(value, ctx) {
+  if (typeof value === 'string') return renderString(value, ctx)
+  if (Array.isArray(value)) return value.map(v => renderAction(v, ctx))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, k === 'type' ? v : renderAction(v, ctx)]))
+  }
+  return value
+}
+
+module.exports = { ACTION_TYPES, loadFlow, validateFlow, evaluate, renderAction, messageInput }
@@ -0,0 +1,214 @@
+const axios = require('axios')
+
+// Client for every call to the WhatsApp Cloud (Graph) API. Transient failures and
+// throttling are retried with jittered backoff, sends to each business number share
+// a token bucket, and failures surface as the typed errors below instead of raw
+// axios errors.
+//
+// Graph error codes: https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+const RATE_LIMIT_CODES = [4, 80007, 130429, 131056]
+// Temporary errors on Meta's side
+const TRANSIENT_CODES = [1, 2, 131000, 131016, 133004]
+// Expired, revoked or under-privileged access token
+const AUTH_CODES = [0, 10, 190]
+// Message undeliverable, recipient not in the test allow-list, sending to ourselves
+const RECIPIENT_CODES = [131026, 131030, 131021]
+// Free-form message outside the 24h customer service window
+const RE_ENGAGEMENT_CODE = 131047
+
+// A failed Graph call. code is ours ('rate_limited', ...), graphCode is Meta's;
+// httpStatus is what an API route should answer with; details is Meta's explanation.
+class GraphApiError extends Error {
+  constructor(message, { code = 'graph_error', httpStatus = 502, retryable = false, graph = {}, status = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'GraphApiError'
+    this.code = code
+    this.httpStatus = httpStatus
+    this.retryable = retryable
+    this.status = status
+    this.graphCode = graph.code ?? null
+    this.graphSubcode = graph.error_subcode ?? null
+    this.fbtraceId = graph.fbtrace_id ?? null
+    this.details = [graph.message, graph.error_data?.details].filter(Boolean).join(': ') || null
+  }
+}
+
+class GraphRateLimitError extends GraphApiError {
+  constructor(options) {
+    super('WhatsApp is throttling requests, try again later', { ...options, code: 'rate_limited', httpStatus: 429, retryable: true })
+    this.name = 'GraphRateLimitError'
+  }
+}
+
+class GraphUnavailableError extends GraphApiError {
+  constructor(options) {
+    super('WhatsApp API is temporarily unavailable', { ...options, code: 'graph_unavailable', httpStatus: 503, retryable: true })
+    this.name = 'GraphUnavailableError'
+  }
+}
+
+class GraphAuthError extends GraphApiError {
+  constructor(options) {
+    super('WhatsApp rejected the access token for this number', { ...options, code: 'graph_auth_failed', httpStatus: 502 })
+    this.name = 'GraphAuthError'
+  }
+}
+
+class GraphReEngagementError extends GraphApiError {
+  constructor(options) {
+    super('Recipient is outside the 24-hour customer service window', { ...options, code: 'outside_service_window', httpStatus: 422 })
+    this.name = 'GraphReEngagementError'
+  }
+}
+
+class GraphRecipientError extends GraphApiError {
+  constructor(options) {
+    super('WhatsApp could not deliver to this recipient', { ...options, code: 'recipient_unavailable', httpStatus: 422 })
+    this.name = 'GraphRecipientError'
+  }
+}
+
+// Anything else Meta refused: bad parameters, template mismatches, unsupported media
+class GraphRequestError extends GraphApiError {
+  constructor(options) {
+    super('WhatsApp rejected the request', { ...options, code: 'invalid_request', httpStatus: 400 })
+    this.name = 'GraphRequestError'
+  }
+}
+
+// The Graph error object of a failed response; arraybuffer responses (media
+// downloads) come back as a Buffer
+function graphErrorBody(data) {
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    try {
+      data = JSON.parse(Buffer.from(data).toString('utf8'))
+    } catch {
+      return {}
+    }
+  }
+  return data?.error || {}
+}
+
+// axios error -> typed error
+function toGraphError(error) {
+  if (error instanceof GraphApiError) return error
+  const response = error.response
+  if (!response) {
+    // Network error or timeout: no answer from Meta at all
+    const unavailable = new GraphUnavailableError({ graph: { message: error.message }, cause: error })
+    unavailable.noResponse = true
+    return unavailable
+  }
+  const graph = graphErrorBody(response.data)
+  const options = { graph, status: response.status, cause: error }
+  const code = graph.code
+
+  if (RATE_LIMIT_CODES.includes(code) || response.status === 429) return new GraphRateLimitError(options)
+  if (code === RE_ENGAGEMENT_CODE) return new GraphReEngagementError(options)
+  if (AUTH_CODES.includes(code) || (code >= 200 && code <= 299) || response.status === 401) return new GraphAuthError(options)
+  if (RECIPIENT_CODES.includes(code)) return new GraphRecipientError(options)
+  if (TRANSIENT_CODES.includes(code) || response.status >= 500) return new GraphUnavailableError(options)
+  if (response.status >= 400 && response.status < 500) return new GraphRequestError(options)
+  return new GraphApiError('WhatsApp API request failed', options)
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Allows ratePerSecond calls on average with bursts of up to `burst`. take() resolves
+// when the caller may go; waiters are served in order.
+function createTokenBucket({ ratePerSecond, burst = ratePerSecond }) {
+  let tokens = burst
+  let last = Date.now()
+  let queue = Promise.resolve()
+
+  function refill() {
+    const now = Date.now()
+    tokens = Math.min(burst, tokens + (now - last) * ratePerSecond / 1000)
+    last = now
+  }
+
+  function take() {
+    const turn = queue.then(async () => {
+      refill()
+      if (tokens < 1) {
+        await sleep((1 - tokens) * 1000 / ratePerSecond)
+        refill()
+      }
+      tokens -= 1
+    })
+    queue = turn
+    return turn
+  }
+
+  return { take }
+}
+
+// maxRetries: extra attempts for retryable errors, waiting a random time up to
+// retryBaseDelayMs * 2^attempt (capped at retryMaxDelayMs) in between.
+// ratePerSecond / burst: the token bucket for message sends, one per business number.
+function createGraphClient({
+  baseUrl = 'https://graph.facebook.com',
+  apiVersion = 'v21.0',
+  timeoutMs = 15000,
+  maxRetries = 3,
+  retryBaseDelayMs = 500,
+  retryMaxDelayMs = 10000,
+  ratePerSecond = 80,
+  burst = ratePerSecond,
+}) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/${apiVersion}`
+  const buckets = new Map()
+
+  function bucketFor(key) {
+    if (!buckets.has(key)) buckets.set(key, createTokenBucket({ ratePerSecond, burst }))
+    return buckets.get(key)
+  }
+
+  function retryDelay(attempt) {
+    return Math.random() * Math.min(retryBaseDelayMs * 2 ** attempt, retryMaxDelayMs)
+  }
+
+  // path is relative to the versioned root (e.g. "<phone_number_id>/messages"); url
+  // is an absolute one instead (media download links). throttle: the key of the
+  // token bucket to take from, for sends.
+  async function request({ accessToken, method = 'get', path, url, data, headers = {}, responseType, throttle }) {
+    for (let attempt = 0; ; attempt++) {
+      if (throttle) await bucketFor(throttle).take()
+      try {
+        const response = await axios({
+          url: url || `${root}/${path}`,
+          method,
+          headers: { Authorization: `Bearer ${accessToken}`, ...headers },
+          data,
+          responseType,
+          timeout: timeoutMs,
+        })
+        return response.data
+      } catch (err) {
+        const error = toGraphError(err)
+        // A POST that got no answer may have gone through; resending could duplicate it
+        const safeToRetry = error.retryable && !(error.noResponse && method.toLowerCase() !== 'get')
+        if (!safeToRetry || !(attempt < maxRetries)) throw error
+        const delay = retryDelay(attempt)
+        console.warn(`Graph API ${error.code} (${error.graphCode ?? error.status ?? 'no response'}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`)
+        await sleep(delay)
+      }
+    }
+  }
+
+  return { request, root }
+}
+
+module.exports = {
+  RATE_LIMIT_CODES,
+  createGraphClient,
+  createTokenBucket,
+  toGraphError,
+  GraphApiError,
+  GraphRateLimitError,
+  GraphUnavailableError,
+  GraphAuthError,
+  GraphReEngagementError,
+  GraphRecipientError,
+  GraphRequestError,
+}
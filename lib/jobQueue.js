@@ -0,0 +1,169 @@
+// Job queue persisted through the store (webhook_jobs table, see supabase/webhook_jobs.sql).
+// Jobs move pending -> processing -> done, or back to pending with exponential
+// backoff on failure until maxAttempts, after which they are parked as 'dead'.
+// Several queues share the table, told apart by `queue`.
+function createJobQueue({
+  store,
+  queue = 'webhook',
+  handler,
+  pollIntervalMs = 2000,
+  batchSize = 10,
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 60 * 60 * 1000,
+  lockTimeoutMs = 5 * 60 * 1000,
+}) {
+  let timer = null
+  let draining = false
+  let stopped = true
+
+  function backoffDelay(attempts) {
+    return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs)
+  }
+
+  async function enqueue(payload) {
+    try {
+      const job = await store.insertJob({
+        queue,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        run_at: new Date().toISOString(),
+      })
+      schedule(0)
+      return { ok: true, id: job.id }
+    } catch (error) {
+      return { ok: false, error }
+    }
+  }
+
+  // Put jobs whose worker died mid-run back in the queue
+  async function releaseStaleLocks() {
+    const cutoff = new Date(Date.now() - lockTimeoutMs).toISOString()
+    try {
+      await store.releaseStaleJobs(cutoff, queue)
+    } catch (error) {
+      console.error('Job queue: releasing stale locks failed:', error)
+    }
+  }
+
+  // Conditional update so two workers never run the same job
+  async function claim(job) {
+    try {
+      return await store.claimJob(job.id)
+    } catch (error) {
+      console.error(`Job queue: claiming job ${job.id} failed:`, error)
+      return null
+    }
+  }
+
+  async function complete(job) {
+    try {
+      await store.updateJob(job.id, { status: 'done', locked_at: null, last_error: null, updated_at: new Date().toISOString() })
+    } catch (error) {
+      console.error(`Job queue: completing job ${job.id} failed:`, error)
+    }
+  }
+
+  async function fail(job, err) {
+    const attempts = (job.attempts || 0) + 1
+    const limit = job.max_attempts || maxAttempts
+    const dead = attempts >= limit
+    const update = {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      locked_at: null,
+      last_error: String(err?.message || err).slice(0, 2000),
+      updated_at: new Date().toISOString(),
+    }
+    if (!dead) update.run_at = new Date(Date.now() + backoffDelay(attempts)).toISOString()
+
+    try {
+      await store.updateJob(job.id, update)
+    } catch (error) {
+      console.error(`Job queue: recording failure of job ${job.id} failed:`, error)
+    }
+    if (dead) console.error(`Job ${job.id} moved to dead-letter after ${attempts} attempts:`, update.last_error)
+    else console.warn(`Job ${job.id} failed (attempt ${attempts}/${limit}), retrying at ${update.run_at}`)
+  }
+
+  async function runOnce() {
+    await releaseStaleLocks()
+    let jobs
+    try {
+      jobs = await store.dueJobs(new Date().toISOString(), batchSize, queue)
+    } catch (error) {
+      console.error('Job queue: fetching jobs failed:', error)
+      return 0
+    }
+
+    for (const job of jobs) {
+      const claimed = await claim(job)
+      if (!claimed) continue
+      try {
+        await handler(claimed.payload, claimed)
+        await complete(claimed)
+      } catch (err) {
+        await fail(claimed, err)
+      }
+    }
+    return jobs.length
+  }
+
+  async function drain() {
+    if (draining || stopped) return
+    draining = true
+    try {
+      // Keep going while full batches come back, then fall back to polling
+      while (!stopped && await runOnce() === batchSize) { /* next batch */ }
+    } catch (err) {
+      console.error('Job queue: drain failed:', err)
+    } finally {
+      draining = false
+      schedule(pollIntervalMs)
+    }
+  }
+
+  function schedule(delay) {
+    if (stopped || draining) return
+    clearTimeout(timer)
+    timer = setTimeout(drain, delay)
+  }
+
+  function start() {
+    stopped = false
+    schedule(0)
+  }
+
+  function stop() {
+    stopped = true
+    clearTimeout(timer)
+  }
+
+  async function list({ status, limit = 50, page = 1 } = {}) {
+    const l = Math.min(Number(limit) || 50, 200)
+    const p = Math.max(Number(page) || 1, 1)
+    const { data, total } = await store.listJobs({ queue, status, limit: l, offset: (p - 1) * l })
+    return { page: p, limit: l, total, data }
+  }
+
+  // Reset failed/dead jobs so the worker picks them up again
+  async function replay({ id, status = 'dead' } = {}) {
+    const at = new Date().toISOString()
+    const replayed = await store.replayJobs({ queue, id, status }, {
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      locked_at: null,
+      run_at: at,
+      updated_at: at,
+    })
+    schedule(0)
+    return replayed
+  }
+
+  return { enqueue, start, stop, drain, list, replay, backoffDelay }
+}
+
+module.exports = { createJobQueue }
@@ -0,0 +1,72 @@
+// Message types that carry a downloadable media object under message[type]
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker']
+
+// Graph API helpers for the media endpoints, through the shared client (lib/graph.js).
+// Incoming media is referenced by id: GET /{media_id} returns a short-lived URL that
+// must be fetched with the same token.
+function createMediaClient({ graph, accessToken, phoneNumberId }) {
+  async function getMediaInfo(mediaId) {
+    return graph.request({ accessToken, path: mediaId }) // { url, mime_type, sha256, file_size, id }
+  }
+
+  async function downloadMedia(mediaId) {
+    const info = await getMediaInfo(mediaId)
+    const data = await graph.request({ accessToken, url: info.url, responseType: 'arraybuffer' })
+    return {
+      buffer: Buffer.from(data),
+      mimeType: info.mime_type,
+      sha256: info.sha256,
+      fileSize: info.file_size,
+    }
+  }
+
+  // Returns the media id to reference in an outgoing message
+  async function uploadMedia({ buffer, mimeType, filename }) {
+    const form = new FormData()
+    form.append('messaging_product', 'whatsapp')
+    form.append('type', mimeType)
+    form.append('file', new Blob([buffer], { type: mimeType }), filename || 'upload')
+    const data = await graph.request({ accessToken, method: 'post', path: `${phoneNumberId}/media`, data: form })
+    return data.id
+  }
+
+  return { getMediaInfo, downloadMedia, uploadMedia }
+}
+
+function mediaTypeForMime(mimeType = '') {
+  if (mimeType === 'image/webp') return 'sticker'
+  if (mimeType.startsWith('image/')) return 'image'
+  if (mimeType.startsWith('video/')) return 'video'
+  if (mimeType.startsWith('audio/')) return 'audio'
+  return 'document'
+}
+
+// Human-readable body for any incoming message type, so the logs and the contact's
+// last_body stay useful for non-text messages
+function describeMessage(message) {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body || null
+    case 'image':
+    case 'video':
+    case 'document':
+      return message[message.type]?.caption || message.document?.filename || `[${message.type}]`
+    case 'audio':
+      return message.audio?.voice ? '[voice note]' : '[audio]'
+    case 'sticker':
+      return '[sticker]'
+    case 'location': {
+      const { name, address, latitude, longitude } = message.location || {}
+      const label = [name, address].filter(Boolean).join(', ')
+      return `${label ? label + ' ' : ''}(${latitude}, ${longitude})`
+    }
+    case 'contacts':
+      return (message.contacts || []).map(c => c.name?.formatted_name).filter(Boolean).join(', ') || '[contacts]'
+    case 'reaction':
+      return message.reaction?.emoji ? `[reacted ${message.reaction.emoji}]` : '[reaction removed]'
+    default:
+      return null
+  }
+}
+
+module.exports = { MEDIA_TYPES, createMediaClient, mediaTypeForMime, describeMessage }
@@ -0,0 +1,56 @@
+const fs = require('fs/promises')
+const path = require('path')
+const crypto = require('crypto')
+const mime = require('mime-types')
+
+// Storage backends share one interface:
+//   save({ buffer, mimeType, filename }) -> { key, url }
+// Keys are random so stored media URLs can't be guessed.
+function buildKey(mimeType, filename) {
+  const ext = mime.extension(mimeType || '') || path.extname(filename || '').slice(1) || 'bin'
+  const now = new Date()
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0')
+  return `${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}.${ext}`
+}
+
+// Files under `dir`, served by express.static at `${publicBaseUrl}/media`
+function createLocalStorage({ dir, publicBaseUrl = '' }) {
+  return {
+    driver: 'local',
+    dir,
+    async save({ buffer, mimeType, filename }) {
+      const key = buildKey(mimeType, filename)
+      const target = path.join(dir, key)
+      await fs.mkdir(path.dirname(target), { recursive: true })
+      await fs.writeFile(target, buffer)
+      return { key, url: `${publicBaseUrl.replace(/\/$/, '')}/media/${key}` }
+    },
+  }
+}
+
+// Supabase Storage bucket; the bucket must be public for the returned URL to resolve
+function createSupabaseStorage({ supabase, bucket }) {
+  return {
+    driver: 'supabase',
+    async save({ buffer, mimeType, filename }) {
+      const key = buildKey(mimeType, filename)
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType: mimeType || 'application/octet-stream', upsert: false })
+      if (error) throw new Error(`Supabase Storage upload failed: ${error.message}`)
+      const { data } = supabase.storage.from(bucket).getPublicUrl(key)
+      return { key, url: data?.publicUrl || null }
+    },
+  }
+}
+
+function createMediaStorage({ driver = 'local', supabase, bucket, dir, publicBaseUrl }) {
+  if (driver === 'supabase') {
+    if (!supabase) throw new Error('MEDIA_STORAGE=supabase requires SUPABASE_URL and SUPABASE_KEY')
+    return createSupabaseStorage({ supabase, bucket })
+  }
+  if (driver !== 'local') throw new Error(`Unknown MEDIA_STORAGE driver: ${driver}`)
+  return createLocalStorage({ dir, publicBaseUrl })
+}
+
+module.exports = { createMediaStorage, createLocalStorage, createSupabaseStorage }
@@ -0,0 +1,255 @@
+// Structured input -> Graph API message object, checked against WhatsApp's limits so a
+// bad request fails with a readable 400 instead of a Graph error.
+// input: { type, reply_to, ...fields for that type } (see BUILDERS below)
+const MESSAGE_TYPES = ['text', 'buttons', 'list', 'cta_url', 'location', 'location_request', 'contacts', 'reaction']
+
+// https://developers.facebook.com/docs/whatsapp/cloud-api/messages/interactive-messages
+const LIMITS = {
+  textBody: 4096,
+  interactiveBody: 1024,
+  headerText: 60,
+  footerText: 60,
+  buttons: 3,
+  buttonTitle: 20,
+  buttonId: 256,
+  listButton: 20,
+  sections: 10,
+  rows: 10,
+  sectionTitle: 24,
+  rowTitle: 24,
+  rowDescription: 72,
+  rowId: 200,
+  ctaDisplayText: 20,
+}
+
+const MEDIA_HEADER_TYPES = ['image', 'video', 'document']
+
+function checkString(errors, label, value, max, { required = true } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) errors.push(`${label} is required`)
+    return
+  }
+  if (typeof value !== 'string') errors.push(`${label} must be a string`)
+  else if (value.length > max) errors.push(`${label} must be at most ${max} characters (got ${value.length})`)
+}
+
+function checkUnique(errors, label, values) {
+  const seen = new Set()
+  for (const v of values) {
+    if (seen.has(v)) errors.push(`${label} "${v}" is used more than once`)
+    seen.add(v)
+  }
+}
+
+// header: a string (text header) or { type: image|video|document, link|id }
+function buildHeader(errors, header, { media = false } = {}) {
+  if (header === undefined || header === null || header === '') return {}
+  if (typeof header === 'string') {
+    checkString(errors, 'header', header, LIMITS.headerText)
+    return { header: { type: 'text', text: header } }
+  }
+  if (!media) {
+    errors.push('header must be text for this message type')
+    return {}
+  }
+  if (!MEDIA_HEADER_TYPES.includes(header.type)) {
+    errors.push(`header.type must be one of: ${MEDIA_HEADER_TYPES.join(', ')}`)
+    return {}
+  }
+  if (!header.link && !header.id) errors.push('header needs a link or id')
+  const { type, ...object } = header
+  return { header: { type, [type]: object } }
+}
+
+function buildFooter(errors, footer) {
+  if (footer === undefined || footer === null || footer === '') return {}
+  checkString(errors, 'footer', footer, LIMITS.footerText)
+  return { footer: { text: footer } }
+}
+
+function interactiveBody(errors, body) {
+  checkString(errors, 'body', body, LIMITS.interactiveBody)
+  return { body: { text: body } }
+}
+
+const BUILDERS = {
+  // { body, preview_url }
+  text(input, errors) {
+    checkString(errors, 'body', input.body, LIMITS.textBody)
+    return {
+      type: 'text',
+      text: { body: input.body, preview_url: Boolean(input.preview_url) },
+      preview: input.body,
+    }
+  },
+
+  // { header, body, footer, buttons: [{ id, title }] }
+  buttons(input, errors) {
+    const buttons = Array.isArray(input.buttons) ? input.buttons : []
+    if (buttons.length < 1 || buttons.length > LIMITS.buttons) {
+      errors.push(`buttons must have 1 to ${LIMITS.buttons} entries (got ${buttons.length})`)
+    }
+    buttons.forEach((b, i) => {
+      checkString(errors, `buttons[${i}].id`, b?.id, LIMITS.buttonId)
+      checkString(errors, `buttons[${i}].title`, b?.title, LIMITS.buttonTitle)
+    })
+    checkUnique(errors, 'button id', buttons.map(b => b?.id))
+    checkUnique(errors, 'button title', buttons.map(b => b?.title))
+    return {
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        ...buildHeader(errors, input.header, { media: true }),
+        ...interactiveBody(errors, input.body),
+        ...buildFooter(errors, input.footer),
+        action: {
+          buttons: buttons.map(b => ({ type: 'reply', reply: { id: b?.id, title: b?.title } })),
+        },
+      },
+      preview: input.body,
+    }
+  },
+
+  // { header, body, footer, button, sections: [{ title, rows: [{ id, title, description }] }] }
+  list(input, errors) {
+    checkString(errors, 'button', input.button, LIMITS.listButton)
+    const sections = Array.isArray(input.sections) ? input.sections : []
+    if (sections.length < 1 || sections.length > LIMITS.sections) {
+      errors.push(`sections must have 1 to ${LIMITS.sections} entries (got ${sections.length})`)
+    }
+    const rows = []
+    sections.forEach((s, i) => {
+      // A title is only mandatory once there is more than one section
+      checkString(errors, `sections[${i}].title`, s?.title, LIMITS.sectionTitle, { required: sections.length > 1 })
+      const sectionRows = Array.isArray(s?.rows) ? s.rows : []
+      if (sectionRows.length === 0) errors.push(`sections[${i}].rows must not be empty`)
+      sectionRows.forEach((r, j) => {
+        checkString(errors, `sections[${i}].rows[${j}].id`, r?.id, LIMITS.rowId)
+        checkString(errors, `sections[${i}].rows[${j}].title`, r?.title, LIMITS.rowTitle)
+        checkString(errors, `sections[${i}].rows[${j}].description`, r?.description, LIMITS.rowDescription, { required: false })
+        rows.push(r)
+      })
+    })
+    if (rows.length > LIMITS.rows) errors.push(`a list can have at most ${LIMITS.rows} rows in total (got ${rows.length})`)
+    checkUnique(errors, 'row id', rows.map(r => r?.id))
+    return {
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        ...buildHeader(errors, input.header),
+        ...interactiveBody(errors, input.body),
+        ...buildFooter(errors, input.footer),
+        action: {
+          button: input.button,
+          sections: sections.map(s => ({
+            ...(s?.title ? { title: s.title } : {}),
+            rows: (s?.rows || []).map(r => ({
+              id: r?.id,
+              title: r?.title,
+              ...(r?.description ? { description: r.description } : {}),
+            })),
+          })),
+        },
+      },
+      preview: input.body,
+    }
+  },
+
+  // { header, body, footer, display_text, url }
+  cta_url(input, errors) {
+    checkString(errors, 'display_text', input.display_text, LIMITS.ctaDisplayText)
+    if (!/^https?:\/\/\S+$/i.test(input.url || '')) errors.push('url must be an http(s) URL')
+    return {
+      type: 'interactive',
+      interactive: {
+        type: 'cta_url',
+        ...buildHeader(errors, input.header, { media: true }),
+        ...interactiveBody(errors, input.body),
+        ...buildFooter(errors, input.footer),
+        action: {
+          name: 'cta_url',
+          parameters: { display_text: input.display_text, url: input.url },
+        },
+      },
+      preview: input.body,
+    }
+  },
+
+  // { latitude, longitude, name, address }
+  location(input, errors) {
+    const latitude = Number(input.latitude)
+    const longitude = Number(input.longitude)
+    if (input.latitude === undefined || !(latitude >= -90 && latitude <= 90)) {
+      errors.push('latitude must be a number between -90 and 90')
+    }
+    if (input.longitude === undefined || !(longitude >= -180 && longitude <= 180)) {
+      errors.push('longitude must be a number between -180 and 180')
+    }
+    const location = { latitude, longitude }
+    if (input.name) location.name = input.name
+    if (input.address) location.address = input.address
+    return {
+      type: 'location',
+      location,
+      preview: `[location] ${input.name || `${latitude},${longitude}`}`,
+    }
+  },
+
+  // { body }: asks the user to share their location
+  location_request(input, errors) {
+    return {
+      type: 'interactive',
+      interactive: {
+        type: 'location_request_message',
+        ...interactiveBody(errors, input.body),
+        action: { name: 'send_location' },
+      },
+      preview: input.body,
+    }
+  },
+
+  // { contacts: [Graph contact objects] }, each needs name.formatted_name
+  contacts(input, errors) {
+    const contacts = Array.isArray(input.contacts) ? input.contacts : []
+    if (contacts.length === 0) errors.push('contacts must be a non-empty array')
+    contacts.forEach((c, i) => {
+      if (!c?.name?.formatted_name) errors.push(`contacts[${i}].name.formatted_name is required`)
+      if (c?.phones !== undefined && !Array.isArray(c.phones)) errors.push(`contacts[${i}].phones must be an array`)
+    })
+    return {
+      type: 'contacts',
+      contacts,
+      preview: `[contacts] ${contacts.map(c => c?.name?.formatted_name).filter(Boolean).join(', ')}`,
+    }
+  },
+
+  // { message_id, emoji }; an empty emoji removes the reaction
+  reaction(input, errors) {
+    if (!input.message_id) errors.push('message_id is required')
+    if (typeof input.emoji !== 'string') errors.push('emoji is required (use "" to remove a reaction)')
+    return {
+      type: 'reaction',
+      reaction: { message_id: input.message_id, emoji: input.emoji },
+      preview: `[reaction] ${input.emoji || '(removed)'}`,
+    }
+  },
+}
+
+// Returns { ok: false, errors } or { ok: true, message, preview }. `message` is the
+// Graph body minus messaging_product/to; `preview` is a one-line summary for the log.
+function buildMessage(input = {}) {
+  const builder = BUILDERS[input.type]
+  if (!builder) {
+    return { ok: false, errors: [`type must be one of: ${MESSAGE_TYPES.join(', ')}`] }
+  }
+  const errors = []
+  const { preview, ...message } = builder(input, errors)
+  if (input.reply_to) {
+    if (input.type === 'reaction') errors.push('reactions cannot be sent as a reply')
+    else message.context = { message_id: input.reply_to }
+  }
+  if (errors.length) return { ok: false, errors }
+  return { ok: true, message, preview }
+}
+
+module.exports = { MESSAGE_TYPES, LIMITS, buildMessage }
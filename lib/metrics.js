@@ -0,0 +1,13 @@
+// Simple in-process counters, exposed read-only via GET /metrics
+const counters = {}
+
+function increment(name, by = 1) {
+  counters[name] = (counters[name] || 0) + by
+  return counters[name]
+}
+
+function snapshot() {
+  return { ...counters }
+}
+
+module.exports = { increment, snapshot }
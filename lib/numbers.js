@@ -0,0 +1,142 @@
+const fs = require('fs')
+const path = require('path')
+
+// The WhatsApp business phone numbers this server sends from and receives for
+// (NUMBERS_FILE, default config/numbers.json):
+//
+//   { "numbers": [{
+//       "id": "<phone_number_id>", "name": "Support",
+//       "display_phone_number": "+91 98765 43210",
+//       "access_token_env": "WHATSAPP_TOKEN_SUPPORT",
+//       "flow_file": "config/flow-support.yaml",
+//       "templates_file": "config/templates-support.json",
+//       "default": true
+//   }] }
+//
+// Each number has its own access token (read from the env var named by
+// access_token_env, or `access_token` inline), bot flow and templates. flow_file and
+// templates_file are relative to the working directory and default to FLOW_FILE and
+// TEMPLATES_FILE. Without the file there is one number, PHONE_NUMBER_ID with
+// WHATSAPP_ACCESS_TOKEN, as before.
+//
+// Contacts, messages, campaigns and schedules belong to one number. Webhooks are
+// routed by value.metadata.phone_number_id; dashboard requests pick a number with the
+// X-Phone-Number-Id header or ?phone_number_id= (or phone_number_id in a JSON body)
+// and get the default number otherwise.
+const NUMBER_ID = /^\d{5,20}$/
+
+// Returns { ok: true, numbers: [entry] } or { ok: false, errors }. Entries:
+// { id, name, display_phone_number, accessToken, flowFile, templatesFile, isDefault }
+function loadNumberConfig(file, { env = process.env, flowFile, templatesFile } = {}) {
+  if (!fs.existsSync(file)) {
+    if (!env.PHONE_NUMBER_ID) return { ok: true, numbers: [] }
+    return {
+      ok: true,
+      numbers: [{
+        id: String(env.PHONE_NUMBER_ID),
+        name: 'default',
+        display_phone_number: env.DISPLAY_PHONE_NUMBER || null,
+        accessToken: env.WHATSAPP_ACCESS_TOKEN || null,
+        flowFile,
+        templatesFile,
+        isDefault: true,
+      }],
+    }
+  }
+
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    return { ok: false, errors: [`Cannot read ${file}: ${err.message}`] }
+  }
+  if (!Array.isArray(config?.numbers) || !config.numbers.length) {
+    return { ok: false, errors: [`${file} must have a non-empty "numbers" array`] }
+  }
+
+  const errors = []
+  const numbers = []
+  config.numbers.forEach((n, i) => {
+    const label = `numbers[${i}]`
+    const id = n?.id === undefined ? '' : String(n.id)
+    if (!NUMBER_ID.test(id)) errors.push(`${label}.id must be the WhatsApp phone_number_id (digits)`)
+    else if (numbers.some(other => other.id === id)) errors.push(`${label}.id ${id} is listed twice`)
+    if (n.access_token_env && !env[n.access_token_env]) {
+      errors.push(`${label}: environment variable ${n.access_token_env} is not set`)
+    }
+    numbers.push({
+      id,
+      name: n.name || id,
+      display_phone_number: n.display_phone_number || null,
+      accessToken: n.access_token_env ? env[n.access_token_env] : (n.access_token || null),
+      flowFile: n.flow_file ? path.resolve(n.flow_file) : flowFile,
+      templatesFile: n.templates_file ? path.resolve(n.templates_file) : templatesFile,
+      isDefault: n.default === true,
+    })
+  })
+  if (numbers.filter(n => n.isDefault).length > 1) errors.push('only one number can be "default": true')
+  if (errors.length) return { ok: false, errors }
+  if (!numbers.some(n => n.isDefault)) numbers[0].isDefault = true
+  return { ok: true, numbers }
+}
+
+const digits = value => String(value || '').replace(/\D/g, '')
+
+// numbers: loaded entries, extended by the caller with their flow, templates, etc.
+function createNumberRegistry(numbers) {
+  const byId = new Map(numbers.map(n => [n.id, n]))
+  const fallback = numbers.find(n => n.isDefault) || null
+
+  // The number a webhook change is for: its metadata.phone_number_id, or the default
+  // number when Meta didn't say. Unknown ids give null.
+  function forWebhook(phoneNumberId) {
+    if (!phoneNumberId) return fallback
+    return byId.get(String(phoneNumberId)) || null
+  }
+
+  // Messages "from" one of our own numbers (loop prevention)
+  function isOwnNumber(phone) {
+    const value = digits(phone)
+    return Boolean(value) && numbers.some(n => n.id === value || digits(n.display_phone_number) === value)
+  }
+
+  // Middleware: req.number for the requested (or default) number; unknown ids get a 400
+  function scope(req, res, next) {
+    const requested = req.get('x-phone-number-id') || req.query?.phone_number_id || req.body?.phone_number_id
+    if (requested === undefined || requested === '') {
+      req.number = fallback
+      return next()
+    }
+    const number = byId.get(String(requested))
+    if (!number) {
+      return res.status(400).json({ error: 'Unknown phone_number_id', details: [`known: ${[...byId.keys()].join(', ') || 'none'}`] })
+    }
+    req.number = number
+    next()
+  }
+
+  return {
+    list: () => numbers,
+    get: id => byId.get(String(id)) || null,
+    default: () => fallback,
+    forWebhook,
+    isOwnNumber,
+    scope,
+  }
+}
+
+// What the API shows about a number (never its token)
+function numberView(number) {
+  return {
+    id: number.id,
+    name: number.name,
+    display_phone_number: number.display_phone_number,
+    default: number.isDefault,
+    flow_file: number.flowFile,
+    flow_enabled: Boolean(number.flow),
+    templates_file: number.templatesFile,
+    has_access_token: Boolean(number.accessToken),
+  }
+}
+
+module.exports = { loadNumberConfig, createNumberRegistry, numberView }
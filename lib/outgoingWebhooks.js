@@ -0,0 +1,111 @@
+const crypto = require('crypto')
+const axios = require('axios')
+const { createJobQueue } = require('./jobQueue')
+const { computeSignature } = require('./webhookSignature')
+
+// Events forwarded to subscribers (CRM, ticketing, ...). A subscription with "*" gets all.
+const EVENT_TYPES = [
+  'message.incoming',    // any inbound message
+  'message.status',      // sent / delivered / read / failed
+  'interactive.reply',   // button or list selection
+  'message.reaction',    // an emoji reaction added or removed, by the contact or us
+  'consent.opted_out',
+  'consent.opted_in',
+]
+
+// input: { url, events, secret, description, active }; partial for updates
+function validateSubscription(input = {}, { partial = false } = {}) {
+  const errors = []
+  if (!partial || input.url !== undefined) {
+    if (!/^https?:\/\/\S+$/i.test(input.url || '')) errors.push('url must be an http(s) URL')
+  }
+  if (!partial || input.events !== undefined) {
+    const events = input.events ?? ['*']
+    if (!Array.isArray(events) || events.length === 0) errors.push('events must be a non-empty array')
+    else {
+      const unknown = events.filter(e => e !== '*' && !EVENT_TYPES.includes(e))
+      if (unknown.length) errors.push(`unknown event type(s): ${unknown.join(', ')} (have: ${EVENT_TYPES.join(', ')})`)
+    }
+  }
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    errors.push('secret must be a string of at least 16 characters')
+  }
+  if (input.active !== undefined && typeof input.active !== 'boolean') errors.push('active must be true or false')
+  return errors
+}
+
+// An event caused by a WhatsApp message or status gets an id derived from it (key), so
+// the same source always gives the same id; others get a random one
+function eventId(type, key) {
+  if (key === undefined || key === null) return crypto.randomUUID()
+  const hex = crypto.createHash('sha256').update(`${type}:${key}`).digest('hex')
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`
+}
+
+// Fans events out to the matching subscriptions as jobs on the 'deliveries' queue, then
+// POSTs each one, signed like Meta's webhooks:
+//   X-Signature-256: sha256=<HMAC-SHA256 of the raw body with the subscription secret>
+// Failed deliveries (network errors, non-2xx) retry with backoff and end up 'dead'.
+// Delivery is at least once (retries, Meta redelivering a webhook): subscribers should
+// dedupe on event.id.
+function createWebhookForwarder({ store, timeoutMs = 10000, ...queueOptions }) {
+  const queue = createJobQueue({ ...queueOptions, store, queue: 'deliveries', handler: deliver })
+
+  // key: the WhatsApp message / status the event comes from (see eventId)
+  async function dispatch(type, data, { key } = {}) {
+    let subscriptions
+    try {
+      subscriptions = await store.listSubscriptions({ active: true })
+    } catch (error) {
+      console.error(`Outgoing webhooks: loading subscriptions for ${type} failed:`, error)
+      return
+    }
+    const event = { id: eventId(type, key), type, created_at: new Date().toISOString(), data }
+    for (const subscription of subscriptions) {
+      if (!subscription.events.includes('*') && !subscription.events.includes(type)) continue
+      const job = await queue.enqueue({ subscription_id: subscription.id, event })
+      if (!job.ok) console.error(`Outgoing webhooks: queueing ${type} for subscription ${subscription.id} failed:`, job.error)
+    }
+  }
+
+  async function deliver({ subscription_id, event }, job) {
+    const subscription = await store.getSubscription(subscription_id)
+    if (!subscription || !subscription.active) {
+      console.log(`Outgoing webhooks: dropping ${event.type} for removed/inactive subscription ${subscription_id}`)
+      return
+    }
+    const body = JSON.stringify(event)
+    let response
+    try {
+      response = await axios.post(subscription.url, body, {
+        timeout: timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signature-256': computeSignature(body, subscription.secret),
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Delivery': String(job.id),
+        },
+        // Every status is judged below so the error message can include it
+        validateStatus: () => true,
+      })
+    } catch (err) {
+      throw new Error(`POST ${subscription.url} failed: ${err.code || err.message}`)
+    }
+    if (response.status < 200 || response.status >= 300) {
+      const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+      throw new Error(`POST ${subscription.url} returned HTTP ${response.status}: ${String(text).slice(0, 500)}`)
+    }
+  }
+
+  return {
+    dispatch,
+    start: queue.start,
+    stop: queue.stop,
+    // Delivery log (jobs on the 'deliveries' queue) and replay
+    deliveries: queue.list,
+    replay: queue.replay,
+  }
+}
+
+module.exports = { EVENT_TYPES, validateSubscription, createWebhookForwarder }
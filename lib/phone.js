@@ -0,0 +1,94 @@
+// Phone numbers are stored in one shape everywhere: E.164 digits without the leading
+// "+", e.g. 919876543210. That is what WhatsApp uses for wa_id, so webhook numbers
+// need no conversion and contacts, messages and logs all match on the same string.
+//
+// Accepted input (spaces, dashes, dots, slashes and parentheses are ignored):
+//   +91 98765-43210, 0091 98765 43210   international, with + or 00
+//   919876543210                        11+ digits: already international (wa_id)
+//   09876543210, 98765 43210            national (trunk 0 optional, 10 digits at most):
+//                                       needs the default country code
+const E164 = /^[1-9]\d{7,14}$/
+const COUNTRY_CODE = /^[1-9]\d{0,2}$/
+// Longest national number we accept without a country code. NANP, India, the UK and
+// most others are 10 digits; longer digit strings are taken as international.
+const MAX_NATIONAL_DIGITS = 10
+
+function isValidCountryCode(code) {
+  return COUNTRY_CODE.test(String(code))
+}
+
+// Returns { ok: true, phone } or { ok: false, error }.
+// `international` skips the national-number handling, for numbers WhatsApp gave us.
+function normalizePhone(input, { defaultCountryCode = null, international = false } = {}) {
+  if (input === undefined || input === null || input === '') return { ok: false, error: 'phone number is required' }
+  if (typeof input !== 'string' && typeof input !== 'number') return { ok: false, error: 'phone number must be a string' }
+
+  const raw = String(input).trim()
+  const compact = raw.replace(/[\s\-./()]/g, '')
+  let digits
+  if (/^\+\d+$/.test(compact)) {
+    digits = compact.slice(1)
+  } else if (/^00\d+$/.test(compact)) {
+    digits = compact.slice(2)
+  } else if (!/^\d+$/.test(compact)) {
+    return { ok: false, error: `"${raw}" is not a phone number` }
+  } else if (international || (compact.length > MAX_NATIONAL_DIGITS && !compact.startsWith('0'))) {
+    digits = compact
+  } else if (!defaultCountryCode) {
+    return { ok: false, error: `"${raw}" has no country code (start with + or set DEFAULT_COUNTRY_CODE)` }
+  } else {
+    digits = defaultCountryCode + compact.replace(/^0/, '')
+  }
+
+  if (!E164.test(digits)) return { ok: false, error: `"${raw}" is not a valid international phone number` }
+  return { ok: true, phone: digits }
+}
+
+// normalizePhone bound to the configured default country code, plus Express helpers
+// that normalize request fields in place and answer 400 for invalid numbers
+function createPhoneNormalizer({ defaultCountryCode = null } = {}) {
+  const normalize = (input, options = {}) => normalizePhone(input, { defaultCountryCode, ...options })
+
+  const invalid = (res, name, error) =>
+    res.status(400).json({ error: 'Invalid phone number', details: [`${name}: ${error}`] })
+
+  // Middleware for req.body[name] or req.query[name]; absent values are left to the route
+  function field(name, source = 'body') {
+    return (req, res, next) => {
+      const value = req[source]?.[name]
+      if (value === undefined || value === '') return next()
+      const result = normalize(value)
+      if (!result.ok) return invalid(res, name, result.error)
+      req[source][name] = result.phone
+      next()
+    }
+  }
+
+  // Like field(), for a comma-separated list (?phone=a,b); every entry must be valid
+  function list(name, source = 'query') {
+    return (req, res, next) => {
+      const value = req[source]?.[name]
+      if (value === undefined || value === '') return next()
+      const normalized = []
+      for (const entry of String(value).split(',')) {
+        const result = normalize(entry)
+        if (!result.ok) return invalid(res, name, result.error)
+        normalized.push(result.phone)
+      }
+      req[source][name] = normalized.join(',')
+      next()
+    }
+  }
+
+  // For app.param(): route parameters like /contacts/:phone
+  function param(req, res, next, value, name) {
+    const result = normalize(value)
+    if (!result.ok) return invalid(res, name, result.error)
+    req.params[name] = result.phone
+    next()
+  }
+
+  return { normalize, field, list, param }
+}
+
+module.exports = { normalizePhone, isValidCountryCode, createPhoneNormalizer }
@@ -0,0 +1,27 @@
+// Emoji reactions on messages. WhatsApp keeps one reaction per side per message: a new
+// emoji replaces the previous one and an empty emoji removes it. Reactions are stored in
+// message_reactions, keyed by the reacted-to message id and the side that reacted.
+
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' })
+// Pictographs (incl. ZWJ sequences and skin tones), flags and keycaps like 1️⃣
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u
+
+// A reaction must be exactly one emoji. Returns { ok, emoji } or { ok: false, errors }.
+function validateEmoji(emoji) {
+  if (typeof emoji !== 'string' || !emoji.trim()) return { ok: false, errors: ['emoji is required'] }
+  const value = emoji.trim()
+  if ([...graphemes.segment(value)].length !== 1 || !EMOJI.test(value)) {
+    return { ok: false, errors: [`"${emoji}" is not a single emoji`] }
+  }
+  return { ok: true, emoji: value }
+}
+
+// An incoming reaction message as { message_id, emoji }; emoji is null when the contact
+// removed their reaction
+function incomingReaction(message) {
+  const reaction = message.reaction || {}
+  if (!reaction.message_id) return null
+  return { message_id: reaction.message_id, emoji: reaction.emoji || null }
+}
+
+module.exports = { validateEmoji, incomingReaction }
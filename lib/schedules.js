@@ -0,0 +1,235 @@
+const { parseCron, nextCronTime, isValidTimeZone, zonedTimeToUtc } = require('./cron')
+
+// Scheduled sends: one-off (`send_at`) or recurring (`cron`, in `timezone`), to one
+// phone (`to`) or to contacts picked by `segment` / `filter` (sent as a campaign).
+// Content is exactly one of `message` (text), `template` or `interactive`
+// (lib/messageBuilder.js input).
+//
+// Every run is recorded in schedule_runs, unique per (schedule, slot). A run is
+// claimed by moving the schedule's next_run_at on (conditional on it still being that
+// slot) and then inserting its run row, both before anything is sent, so a restart or
+// a second process never sends the same slot twice. A crash mid-send leaves the run
+// 'running'; it is marked 'interrupted' on the next start rather than retried.
+const SCHEDULE_STATUSES = ['active', 'completed', 'cancelled']
+const RUN_STATUSES = ['running', 'sent', 'skipped', 'failed', 'interrupted']
+
+const TARGET_FIELDS = ['to', 'segment', 'filter']
+const CONTENT_FIELDS = ['message', 'template', 'interactive']
+const TIMING_FIELDS = ['send_at', 'cron', 'timezone', 'end_at']
+
+const given = (input, field) => input[field] !== undefined && input[field] !== null
+
+// Wall-clock "2026-10-19T09:00" (no offset) is read in the schedule's time zone;
+// anything with Z or an offset is an absolute time
+function parseTime(value, timeZone) {
+  if (typeof value !== 'string') return null
+  const local = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::00(?:\.0+)?)?$/)
+  if (local) {
+    const [year, month, day, hour, minute] = local.slice(1).map(Number)
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone)
+  }
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return null
+  const ms = Date.parse(value)
+  return Number.isNaN(ms) ? null : ms
+}
+
+// Next slot strictly after afterMs, or null when the schedule has no more
+function nextRunAt(schedule, afterMs) {
+  if (!schedule.cron) return null
+  const parsed = parseCron(schedule.cron)
+  if (!parsed.ok) return null
+  const next = nextCronTime(parsed.cron, afterMs, schedule.timezone || 'UTC')
+  if (next === null || (schedule.end_at && next > Date.parse(schedule.end_at))) return null
+  return next
+}
+
+// An edit replaces whole groups: giving `template` clears `message`, giving `cron`
+// clears `send_at`, and so on
+function mergeScheduleInput(existing, patch) {
+  const merged = { ...existing }
+  for (const group of [TARGET_FIELDS, CONTENT_FIELDS, ['send_at', 'cron']]) {
+    if (group.some(f => patch[f] !== undefined)) group.forEach(f => { merged[f] = null })
+  }
+  for (const field of ['name', ...TARGET_FIELDS, ...CONTENT_FIELDS, ...TIMING_FIELDS]) {
+    if (patch[field] !== undefined) merged[field] = patch[field]
+  }
+  return merged
+}
+
+// Checks the shape of a schedule and works out its first run. Template and
+// interactive content are checked by the caller against the template registry and
+// message builder. Returns { ok: true, schedule } (row fields) or { ok: false, errors }.
+function normalizeSchedule(input = {}, { now = Date.now(), defaultTimeZone = 'UTC' } = {}) {
+  const errors = []
+  if (given(input, 'name') && typeof input.name !== 'string') errors.push('name must be a string')
+
+  const hasPhone = given(input, 'to')
+  const hasContacts = given(input, 'segment') || given(input, 'filter')
+  if (hasPhone === hasContacts) errors.push('give either to (one phone) or segment / filter (contacts)')
+  if (given(input, 'filter') && (typeof input.filter !== 'object' || Array.isArray(input.filter))) {
+    errors.push('filter must be an object')
+  }
+
+  const content = CONTENT_FIELDS.filter(f => given(input, f))
+  if (content.length !== 1) errors.push('give exactly one of message, template or interactive')
+  if (given(input, 'message') && (typeof input.message !== 'string' || !input.message.trim())) {
+    errors.push('message must be a non-empty string')
+  }
+  for (const field of ['template', 'interactive']) {
+    if (given(input, field) && (typeof input[field] !== 'object' || Array.isArray(input[field]))) {
+      errors.push(`${field} must be an object`)
+    }
+  }
+
+  const timezone = input.timezone || defaultTimeZone
+  if (!isValidTimeZone(timezone)) errors.push(`unknown timezone "${timezone}" (use an IANA name like Asia/Kolkata)`)
+  if (given(input, 'send_at') === given(input, 'cron')) errors.push('give either send_at (one-off) or cron (recurring)')
+  if (errors.length) return { ok: false, errors }
+
+  let sendAt = null
+  let endAt = null
+  let next
+  if (given(input, 'cron')) {
+    const parsed = parseCron(input.cron)
+    if (!parsed.ok) return { ok: false, errors: [`cron: ${parsed.error}`] }
+    if (given(input, 'end_at')) {
+      endAt = parseTime(input.end_at, timezone)
+      if (endAt === null) return { ok: false, errors: ['end_at must be a date-time, e.g. 2026-12-31T18:00'] }
+    }
+    next = nextRunAt({ cron: input.cron, timezone, end_at: endAt && new Date(endAt).toISOString() }, now)
+    if (next === null) return { ok: false, errors: ['cron never fires (before end_at)'] }
+  } else {
+    sendAt = parseTime(input.send_at, timezone)
+    if (sendAt === null) return { ok: false, errors: ['send_at must be a date-time, e.g. 2026-10-19T09:00 or 2026-10-19T03:30:00Z'] }
+    if (sendAt <= now) return { ok: false, errors: ['send_at must be in the future'] }
+    next = sendAt
+  }
+
+  const iso = ms => (ms === null ? null : new Date(ms).toISOString())
+  return {
+    ok: true,
+    schedule: {
+      name: input.name || null,
+      to: input.to || null,
+      segment: input.segment ?? null,
+      filter: hasContacts ? (input.filter || {}) : null,
+      message: input.message || null,
+      template: input.template || null,
+      interactive: input.interactive || null,
+      send_at: iso(sendAt),
+      cron: input.cron || null,
+      timezone,
+      end_at: iso(endAt),
+      next_run_at: iso(next),
+    },
+  }
+}
+
+// run(schedule, slot) -> result object to record; { skipped: reason } when nothing
+// was sent; throws on failure. Slots more than misfireGraceMs late (the server was
+// down) are recorded as skipped instead of sending stale messages.
+function createScheduler({ store, run, pollIntervalMs = 15000, misfireGraceMs = 60 * 60 * 1000, batchSize = 20 }) {
+  let timer = null
+  let stopped = true
+  let ticking = false
+
+  async function record(runId, patch) {
+    try {
+      await store.updateScheduleRun(runId, { ...patch, finished_at: new Date().toISOString() })
+    } catch (error) {
+      console.error(`Schedule run ${runId} update failed:`, error)
+    }
+  }
+
+  async function fire(schedule) {
+    const slot = schedule.next_run_at
+    const now = Date.now()
+    const next = nextRunAt(schedule, Math.max(Date.parse(slot), now))
+    const nowIso = new Date(now).toISOString()
+    const claimed = await store.advanceSchedule(schedule.id, slot, {
+      next_run_at: next === null ? null : new Date(next).toISOString(),
+      status: next === null ? 'completed' : 'active',
+      last_run_at: nowIso,
+      updated_at: nowIso,
+    })
+    if (!claimed) return
+
+    const { data: runRow, duplicate } = await store.insertScheduleRun({
+      schedule_id: schedule.id,
+      scheduled_for: slot,
+      status: 'running',
+      started_at: nowIso,
+    })
+    if (duplicate) return
+
+    if (now - Date.parse(slot) > misfireGraceMs) {
+      console.warn(`Schedule ${schedule.id}: slot ${slot} missed, skipping it`)
+      return record(runRow.id, { status: 'skipped', error: 'missed: the server was not running at the scheduled time' })
+    }
+    try {
+      const result = await run(schedule, slot)
+      await record(runRow.id, result?.skipped
+        ? { status: 'skipped', error: result.skipped }
+        : { status: 'sent', result })
+    } catch (err) {
+      console.error(`Schedule ${schedule.id} run failed:`, err.message, err.details || '')
+      await record(runRow.id, { status: 'failed', error: err.details || err.message })
+    }
+  }
+
+  async function tick() {
+    if (stopped) return
+    try {
+      const due = await store.dueSchedules(new Date().toISOString(), batchSize)
+      for (const schedule of due) {
+        if (stopped) return
+        await fire(schedule)
+      }
+    } catch (err) {
+      console.error('Scheduler tick failed:', err)
+    } finally {
+      schedule(pollIntervalMs)
+    }
+  }
+
+  function schedule(delay) {
+    if (stopped) return
+    clearTimeout(timer)
+    timer = setTimeout(async () => {
+      if (ticking) return
+      ticking = true
+      try { await tick() } finally { ticking = false }
+    }, delay)
+  }
+
+  async function start() {
+    stopped = false
+    try {
+      await store.interruptScheduleRuns()
+    } catch (error) {
+      console.error('Scheduler recovery failed:', error)
+    }
+    schedule(0)
+  }
+
+  function stop() {
+    stopped = true
+    clearTimeout(timer)
+  }
+
+  // Pick up a schedule created or edited to run before the next poll
+  function wake() {
+    schedule(0)
+  }
+
+  return { start, stop, wake }
+}
+
+module.exports = {
+  SCHEDULE_STATUSES,
+  RUN_STATUSES,
+  nextRunAt,
+  mergeScheduleInput,
+  normalizeSchedule,
+  createScheduler,
+}
@@ -0,0 +1,188 @@
+// Saved segments: rules over a contact's tags, attributes, activity and consent.
+//
+//   { "match": "all", "conditions": [
+//       { "field": "tags", "op": "includes", "value": "vip" },
+//       { "field": "attributes.plan", "op": "in", "value": ["pro", "team"] },
+//       { "field": "last_activity", "op": "within_days", "value": 30 },
+//       { "field": "consent", "op": "neq", "value": "opted_out" },
+//       { "match": "any", "conditions": [ ... ] } ] }
+//
+// match is "all" (default) or "any"; a condition may itself be a nested group.
+// Rules are evaluated here rather than in each store, so every driver agrees on them.
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_DEPTH = 3
+const MAX_CONDITIONS = 50
+
+// Date fields and the contacts column each one reads
+const DATE_FIELDS = { last_activity: 'last_timestamp', last_inbound: 'last_inbound_at' }
+const OPS = {
+  tags: ['includes', 'excludes', 'empty', 'not_empty'],
+  attribute: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'exists', 'not_exists'],
+  date: ['within_days', 'older_than_days', 'after', 'before', 'exists', 'not_exists'],
+  consent: ['eq', 'neq'],
+  name: ['exists', 'not_exists', 'eq', 'contains'],
+}
+const CONSENT_VALUES = ['opted_in', 'opted_out', 'unknown']
+const NO_VALUE_OPS = ['exists', 'not_exists', 'empty', 'not_empty']
+
+function fieldKind(field) {
+  if (field === 'tags' || field === 'consent' || field === 'name') return field
+  if (DATE_FIELDS[field]) return 'date'
+  if (/^attributes\.[A-Za-z_][A-Za-z0-9_]*$/.test(field)) return 'attribute'
+  return null
+}
+
+function validateCondition(condition, path, depth, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${path} must be an object`)
+    return
+  }
+  if (condition.conditions !== undefined || condition.match !== undefined) {
+    validateGroup(condition, path, depth + 1, errors)
+    return
+  }
+  const kind = fieldKind(condition.field)
+  if (!kind) {
+    errors.push(`${path}.field must be tags, consent, name, ${Object.keys(DATE_FIELDS).join(', ')} or attributes.<name>`)
+    return
+  }
+  if (!OPS[kind].includes(condition.op)) {
+    errors.push(`${path}.op for ${condition.field} must be one of: ${OPS[kind].join(', ')}`)
+    return
+  }
+  const { op, value } = condition
+  if (NO_VALUE_OPS.includes(op)) return
+  if (kind === 'date' && ['within_days', 'older_than_days'].includes(op)) {
+    if (!(Number(value) > 0)) errors.push(`${path}.value must be a positive number of days`)
+  } else if (kind === 'date') {
+    if (Number.isNaN(Date.parse(value))) errors.push(`${path}.value must be a date`)
+  } else if (kind === 'consent') {
+    if (!CONSENT_VALUES.includes(value)) errors.push(`${path}.value must be one of: ${CONSENT_VALUES.join(', ')}`)
+  } else if (op === 'in') {
+    if (!Array.isArray(value) || !value.length) errors.push(`${path}.value must be a non-empty array`)
+  } else if (value === undefined || value === null || typeof value === 'object') {
+    errors.push(`${path}.value is required`)
+  }
+}
+
+function validateGroup(group, path, depth, errors) {
+  if (depth > MAX_DEPTH) {
+    errors.push(`${path} nests groups deeper than ${MAX_DEPTH}`)
+    return
+  }
+  if (group.match !== undefined && !['all', 'any'].includes(group.match)) errors.push(`${path}.match must be all or any`)
+  if (!Array.isArray(group.conditions) || !group.conditions.length) {
+    errors.push(`${path}.conditions must be a non-empty array`)
+    return
+  }
+  if (group.conditions.length > MAX_CONDITIONS) errors.push(`${path} has more than ${MAX_CONDITIONS} conditions`)
+  group.conditions.forEach((c, i) => validateCondition(c, `${path}.conditions[${i}]`, depth, errors))
+}
+
+// Returns a list of errors, empty when the rules are valid
+function validateRules(rules) {
+  const errors = []
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return ['rules must be an object']
+  validateGroup(rules, 'rules', 1, errors)
+  return errors
+}
+
+// input: { name, description, rules }; partial for updates
+function validateSegment(input = {}, { partial = false } = {}) {
+  const errors = []
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required')
+  }
+  if (!partial || input.rules !== undefined) errors.push(...validateRules(input.rules))
+  if (input.description !== undefined && input.description !== null && typeof input.description !== 'string') {
+    errors.push('description must be a string')
+  }
+  return errors
+}
+
+function compare(actual, expected) {
+  const a = Number(actual)
+  const b = Number(expected)
+  if (actual !== '' && expected !== '' && !Number.isNaN(a) && !Number.isNaN(b)) return a - b
+  return String(actual).localeCompare(String(expected))
+}
+
+function matchesCondition(contact, condition, now) {
+  if (condition.conditions) return matchesRules(contact, condition, now)
+  const { field, op, value } = condition
+  switch (fieldKind(field)) {
+    case 'tags': {
+      const tags = contact.tags || []
+      if (op === 'empty') return tags.length === 0
+      if (op === 'not_empty') return tags.length > 0
+      const has = tags.includes(String(value).trim().toLowerCase())
+      return op === 'includes' ? has : !has
+    }
+    case 'consent': {
+      const consent = contact.consent_status || 'unknown'
+      return op === 'eq' ? consent === value : consent !== value
+    }
+    case 'name': {
+      const name = contact.name
+      if (op === 'exists') return Boolean(name)
+      if (op === 'not_exists') return !name
+      if (!name) return false
+      return op === 'eq' ? name === value : name.toLowerCase().includes(String(value).toLowerCase())
+    }
+    case 'date': {
+      const at = contact[DATE_FIELDS[field]]
+      if (op === 'exists') return Boolean(at)
+      if (op === 'not_exists') return !at
+      if (!at) return false
+      const t = Date.parse(at)
+      if (op === 'within_days') return t >= now - Number(value) * DAY_MS
+      if (op === 'older_than_days') return t < now - Number(value) * DAY_MS
+      if (op === 'after') return t >= Date.parse(value)
+      return t < Date.parse(value)
+    }
+    case 'attribute': {
+      const attributes = contact.attributes || {}
+      const key = field.slice('attributes.'.length)
+      const present = Object.prototype.hasOwnProperty.call(attributes, key) && attributes[key] !== null
+      if (op === 'exists') return present
+      if (op === 'not_exists') return !present
+      if (op === 'neq') return !present || String(attributes[key]) !== String(value)
+      if (!present) return false
+      const actual = attributes[key]
+      switch (op) {
+        case 'eq': return String(actual) === String(value)
+        case 'in': return value.map(String).includes(String(actual))
+        case 'contains': return String(actual).toLowerCase().includes(String(value).toLowerCase())
+        case 'gt': return compare(actual, value) > 0
+        case 'gte': return compare(actual, value) >= 0
+        case 'lt': return compare(actual, value) < 0
+        case 'lte': return compare(actual, value) <= 0
+      }
+    }
+  }
+  return false
+}
+
+function matchesRules(contact, rules, now = Date.now()) {
+  const test = c => matchesCondition(contact, c, now)
+  return rules.match === 'any' ? rules.conditions.some(test) : rules.conditions.every(test)
+}
+
+// store.findContacts(filter) narrowed to the contacts matching `rules` (all of them
+// when rules is null). Contacts are read in batches and matched here; the result is
+// paged the same way findContacts is.
+async function findSegmentContacts(store, rules, filter = {}, { limit, offset = 0, batchSize = 1000 } = {}) {
+  const now = Date.now()
+  const matched = []
+  for (let from = 0; ; from += batchSize) {
+    const { data } = await store.findContacts(filter, { limit: batchSize, offset: from })
+    matched.push(...(rules ? data.filter(c => matchesRules(c, rules, now)) : data))
+    if (data.length < batchSize) break
+  }
+  return {
+    data: limit === undefined ? matched : matched.slice(offset, offset + limit),
+    total: matched.length,
+  }
+}
+
+module.exports = { validateRules, validateSegment, matchesRules, findSegmentContacts }
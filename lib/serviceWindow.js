@@ -0,0 +1,17 @@
+// WhatsApp only delivers free-form messages within 24 hours of the contact's last
+// inbound message; outside it only approved templates go through (error 131047,
+// GraphReEngagementError in lib/graph.js).
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000
+
+function serviceWindow(contact, now = Date.now()) {
+  const last = contact?.last_inbound_at ? new Date(contact.last_inbound_at).getTime() : NaN
+  if (Number.isNaN(last)) return { window_open: false, window_expires_at: null }
+  const expires = last + SERVICE_WINDOW_MS
+  return { window_open: expires > now, window_expires_at: new Date(expires).toISOString() }
+}
+
+function withServiceWindow(contact, now = Date.now()) {
+  return { ...contact, ...serviceWindow(contact, now) }
+}
+
+module.exports = { SERVICE_WINDOW_MS, serviceWindow, withServiceWindow }
@@ -0,0 +1,23 @@
+const { createMemoryStore } = require('./memory')
+const { createSupabaseStore } = require('./supabase')
+
+// Persistence for messages, contacts, webhook jobs, campaigns and the audit log.
+// STORAGE_DRIVER picks the backend: supabase | sqlite | memory. Without it we use
+// Supabase when it is configured and fall back to memory otherwise.
+function createStore({ driver, supabase, sqliteFile }) {
+  const selected = driver || (supabase ? 'supabase' : 'memory')
+  switch (selected) {
+    case 'supabase':
+      if (!supabase) throw new Error('STORAGE_DRIVER=supabase requires SUPABASE_URL and SUPABASE_KEY')
+      return createSupabaseStore(supabase)
+    case 'sqlite':
+      // Required lazily: better-sqlite3 is an optional native dependency
+      return require('./sqlite').createSqliteStore({ file: sqliteFile })
+    case 'memory':
+      return createMemoryStore()
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${selected}`)
+  }
+}
+
+module.exports = { createStore }
@@ -0,0 +1,549 @@
+// In-memory store for tests and quick local runs. Same interface as ./supabase.js and
+// ./sqlite.js; everything is lost on restart.
+function createMemoryStore() {
+  const tables = {
+    messages: [],
+    message_status_events: [],
+    message_reactions: [],
+    contacts: [],
+    webhook_jobs: [],
+    webhook_subscriptions: [],
+    segments: [],
+    faqs: [],
+    faq_unmatched: [],
+    campaigns: [],
+    campaign_recipients: [],
+    schedules: [],
+    schedule_runs: [],
+    audit_log: [],
+  }
+  const sequences = {}
+
+  const now = () => new Date().toISOString()
+  const copy = row => (row ? structuredClone(row) : null)
+
+  function insert(table, row, defaults = {}) {
+    sequences[table] = (sequences[table] || 0) + 1
+    const stored = { id: sequences[table], ...defaults, ...structuredClone(row) }
+    tables[table].push(stored)
+    return copy(stored)
+  }
+
+  function page(rows, { limit, offset = 0 } = {}) {
+    const total = rows.length
+    const data = limit === undefined ? rows : rows.slice(offset, offset + limit)
+    return { data: data.map(copy), total }
+  }
+
+  const byDesc = key => (a, b) => String(b[key] || '').localeCompare(String(a[key] || ''))
+  const byAsc = key => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0)
+  const contains = (value, search) => String(value || '').toLowerCase().includes(search.toLowerCase())
+
+  // --- messages ---
+
+  async function insertMessage(row) {
+    if (row.message_id && tables.messages.some(m => m.message_id === row.message_id)) {
+      return { duplicate: true }
+    }
+    return { data: insert('messages', row, { created_at: now() }) }
+  }
+
+  async function updateMessage(messageId, patch) {
+    for (const m of tables.messages) {
+      if (m.message_id === messageId) Object.assign(m, structuredClone(patch))
+    }
+  }
+
+  async function getMessage(messageId) {
+    return copy(tables.messages.find(m => m.message_id === messageId))
+  }
+
+  async function listMessages({ phoneNumberId, phone, kind, type, limit, offset } = {}) {
+    const rows = tables.messages
+      .filter(m => !phoneNumberId || m.phone_number_id === phoneNumberId)
+      .filter(m => !phone || m.phone === phone || m.from === phone || m.to === phone)
+      .filter(m => !kind || [].concat(kind).includes(m.kind))
+      .filter(m => !type || m.type === type)
+      .sort((a, b) => byDesc('created_at')(a, b) || b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function listMessagesBetween(since, until, phoneNumberId) {
+    return tables.messages
+      .filter(m => m.created_at >= since && m.created_at < until)
+      .filter(m => !phoneNumberId || m.phone_number_id === phoneNumberId)
+      .sort((a, b) => byAsc('created_at')(a, b) || a.id - b.id)
+      .map(copy)
+  }
+
+  // Point one business number's messages with the given phone numbers at `phone`
+  // (contact merges)
+  async function reassignMessages(phoneNumberId, phones, phone) {
+    for (const m of tables.messages) {
+      if (m.phone_number_id !== phoneNumberId) continue
+      if (phones.includes(m.phone)) m.phone = phone
+      if (phones.includes(m.from)) m.from = phone
+      if (phones.includes(m.to)) m.to = phone
+    }
+  }
+
+  async function insertStatusEvent(row) {
+    if (tables.message_status_events.some(e => e.message_id === row.message_id && e.status === row.status)) {
+      return { duplicate: true }
+    }
+    return { data: insert('message_status_events', row, { created_at: now() }) }
+  }
+
+  async function deleteStatusEvent(messageId, status) {
+    tables.message_status_events = tables.message_status_events
+      .filter(e => !(e.message_id === messageId && e.status === status))
+  }
+
+  async function listStatusEvents(messageIds) {
+    return tables.message_status_events
+      .filter(e => messageIds.includes(e.message_id))
+      .sort((a, b) => a.id - b.id)
+      .map(copy)
+  }
+
+  // One reaction per (message id, direction); a new emoji replaces the old one
+  async function upsertReaction(row) {
+    const existing = tables.message_reactions
+      .find(r => r.message_id === row.message_id && r.direction === row.direction)
+    if (existing) {
+      Object.assign(existing, structuredClone(row), { updated_at: now() })
+      return copy(existing)
+    }
+    return insert('message_reactions', row, { created_at: now(), updated_at: now() })
+  }
+
+  async function deleteReaction(messageId, direction) {
+    tables.message_reactions = tables.message_reactions
+      .filter(r => !(r.message_id === messageId && r.direction === direction))
+  }
+
+  async function listReactions(messageIds) {
+    return tables.message_reactions
+      .filter(r => messageIds.includes(r.message_id))
+      .sort((a, b) => a.id - b.id)
+      .map(copy)
+  }
+
+  // --- contacts ---
+  // A contact is a phone number as seen by one of our business numbers
+
+  const findContact = (phoneNumberId, phone) =>
+    tables.contacts.find(c => c.phone_number_id === phoneNumberId && c.phone === phone)
+
+  async function getContact(phoneNumberId, phone) {
+    return copy(findContact(phoneNumberId, phone))
+  }
+
+  async function upsertContact(phoneNumberId, phone, fields) {
+    const existing = findContact(phoneNumberId, phone)
+    if (existing) {
+      Object.assign(existing, structuredClone(fields))
+      return copy(existing)
+    }
+    return insert('contacts', { phone_number_id: phoneNumberId, phone, ...fields }, {
+      total_messages: 0,
+      flow_vars: {},
+      conversation_status: 'bot',
+      unread_count: 0,
+      tags: [],
+      attributes: {},
+      updated_at: now(),
+    })
+  }
+
+  async function deleteContact(phoneNumberId, phone) {
+    const contact = findContact(phoneNumberId, phone)
+    tables.contacts = tables.contacts.filter(c => c !== contact)
+    return Boolean(contact)
+  }
+
+  async function incrementContactMessages(phoneNumberId, phone) {
+    const contact = findContact(phoneNumberId, phone)
+    if (contact) contact.total_messages = (contact.total_messages || 0) + 1
+  }
+
+  async function incrementContactUnread(phoneNumberId, phone) {
+    const contact = findContact(phoneNumberId, phone)
+    if (contact) contact.unread_count = (contact.unread_count || 0) + 1
+  }
+
+  // Conditional on the conversation still being in one of fromStatuses
+  async function updateConversation(phoneNumberId, phone, patch, fromStatuses) {
+    const contact = findContact(phoneNumberId, phone)
+    if (!contact || !fromStatuses.includes(contact.conversation_status || 'bot')) return null
+    Object.assign(contact, structuredClone(patch))
+    return copy(contact)
+  }
+
+  async function findContacts(filter = {}, { limit, offset, order = 'updated_at' } = {}) {
+    const rows = tables.contacts
+      .filter(c => !filter.phoneNumberId || c.phone_number_id === filter.phoneNumberId)
+      .filter(c => !filter.search || contains(c.phone, filter.search) || contains(c.name, filter.search))
+      .filter(c => !filter.hasName || c.name != null)
+      .filter(c => !filter.lastMessageAfter || (c.last_timestamp && c.last_timestamp >= filter.lastMessageAfter))
+      .filter(c => !filter.inboundSince || (c.last_inbound_at && c.last_inbound_at >= filter.inboundSince))
+      .filter(c => !filter.excludeOptedOut || c.consent_status !== 'opted_out')
+      .filter(c => !filter.consentStatus || c.consent_status === filter.consentStatus)
+      .filter(c => !filter.conversationStatus || [].concat(filter.conversationStatus).includes(c.conversation_status || 'bot'))
+      .filter(c => !filter.assignedAgent || c.assigned_agent === filter.assignedAgent)
+      .sort(byDesc(order))
+    return page(rows, { limit, offset })
+  }
+
+  // --- webhook jobs ---
+
+  async function insertJob(row) {
+    return insert('webhook_jobs', row, { created_at: now() })
+  }
+
+  async function releaseStaleJobs(cutoff, queue) {
+    for (const job of tables.webhook_jobs) {
+      if (job.queue === queue && job.status === 'processing' && job.locked_at < cutoff) {
+        Object.assign(job, { status: 'pending', locked_at: null, updated_at: now() })
+      }
+    }
+  }
+
+  async function dueJobs(at, limit, queue) {
+    return tables.webhook_jobs
+      .filter(j => j.queue === queue && j.status === 'pending' && j.run_at <= at)
+      .sort(byAsc('run_at'))
+      .slice(0, limit)
+      .map(copy)
+  }
+
+  async function claimJob(id) {
+    const job = tables.webhook_jobs.find(j => j.id === Number(id) && j.status === 'pending')
+    if (!job) return null
+    Object.assign(job, { status: 'processing', locked_at: now(), updated_at: now() })
+    return copy(job)
+  }
+
+  async function updateJob(id, patch) {
+    const job = tables.webhook_jobs.find(j => j.id === Number(id))
+    if (job) Object.assign(job, structuredClone(patch))
+  }
+
+  async function listJobs({ queue, status, limit, offset } = {}) {
+    const rows = tables.webhook_jobs
+      .filter(j => j.queue === queue && (!status || j.status === status))
+      .sort((a, b) => byDesc('created_at')(a, b) || b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function replayJobs({ queue, id, status }, patch) {
+    const jobs = tables.webhook_jobs.filter(j => j.queue === queue && (id
+      ? j.id === Number(id) && j.status !== 'processing'
+      : j.status === status))
+    jobs.forEach(j => Object.assign(j, patch))
+    return jobs.map(j => ({ id: j.id }))
+  }
+
+  // --- outgoing webhook subscriptions ---
+
+  async function insertSubscription(row) {
+    return insert('webhook_subscriptions', row, { active: true, created_at: now() })
+  }
+
+  async function getSubscription(id) {
+    return copy(tables.webhook_subscriptions.find(s => s.id === Number(id)))
+  }
+
+  async function listSubscriptions({ active } = {}) {
+    return tables.webhook_subscriptions
+      .filter(s => active === undefined || s.active === active)
+      .sort((a, b) => a.id - b.id)
+      .map(copy)
+  }
+
+  async function updateSubscription(id, patch) {
+    const subscription = tables.webhook_subscriptions.find(s => s.id === Number(id))
+    if (!subscription) return null
+    Object.assign(subscription, structuredClone(patch))
+    return copy(subscription)
+  }
+
+  async function deleteSubscription(id) {
+    const before = tables.webhook_subscriptions.length
+    tables.webhook_subscriptions = tables.webhook_subscriptions.filter(s => s.id !== Number(id))
+    return tables.webhook_subscriptions.length < before
+  }
+
+  // --- segments ---
+
+  // Names are unique per number
+  const segmentNameTaken = (phoneNumberId, name, id) =>
+    tables.segments.some(s => s.phone_number_id === phoneNumberId && s.name === name && s.id !== Number(id))
+
+  async function insertSegment(row) {
+    if (segmentNameTaken(row.phone_number_id, row.name)) return { duplicate: true }
+    return { data: insert('segments', row, { created_at: now() }) }
+  }
+
+  async function getSegment(id) {
+    return copy(tables.segments.find(s => s.id === Number(id)))
+  }
+
+  async function listSegments({ phoneNumberId } = {}) {
+    return tables.segments
+      .filter(s => !phoneNumberId || s.phone_number_id === phoneNumberId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(copy)
+  }
+
+  async function updateSegment(id, patch) {
+    const segment = tables.segments.find(s => s.id === Number(id))
+    if (!segment) return { data: null }
+    if (patch.name !== undefined && segmentNameTaken(segment.phone_number_id, patch.name, id)) return { duplicate: true }
+    Object.assign(segment, structuredClone(patch))
+    return { data: copy(segment) }
+  }
+
+  async function deleteSegment(id) {
+    const before = tables.segments.length
+    tables.segments = tables.segments.filter(s => s.id !== Number(id))
+    return tables.segments.length < before
+  }
+
+  // --- FAQs ---
+
+  async function insertFaq(row) {
+    return insert('faqs', row, { match_count: 0, created_at: now() })
+  }
+
+  async function getFaq(id) {
+    return copy(tables.faqs.find(f => f.id === Number(id)))
+  }
+
+  // Oldest first: earlier entries win ties when matching
+  async function listFaqs({ phoneNumberId, active, limit, offset } = {}) {
+    const rows = tables.faqs
+      .filter(f => !phoneNumberId || f.phone_number_id === phoneNumberId)
+      .filter(f => active === undefined || f.active === active)
+      .sort((a, b) => a.id - b.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function updateFaq(id, patch) {
+    const faq = tables.faqs.find(f => f.id === Number(id))
+    if (!faq) return null
+    Object.assign(faq, structuredClone(patch))
+    return copy(faq)
+  }
+
+  async function deleteFaq(id) {
+    const before = tables.faqs.length
+    tables.faqs = tables.faqs.filter(f => f.id !== Number(id))
+    return tables.faqs.length < before
+  }
+
+  async function insertUnmatchedQuestion(row) {
+    return insert('faq_unmatched', row, { created_at: now() })
+  }
+
+  async function listUnmatchedQuestions({ phoneNumberId, limit, offset } = {}) {
+    const rows = tables.faq_unmatched
+      .filter(q => !phoneNumberId || q.phone_number_id === phoneNumberId)
+      .sort((a, b) => byDesc('created_at')(a, b) || b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function deleteUnmatchedQuestion(phoneNumberId, id) {
+    const before = tables.faq_unmatched.length
+    tables.faq_unmatched = tables.faq_unmatched
+      .filter(q => !(q.id === Number(id) && q.phone_number_id === phoneNumberId))
+    return tables.faq_unmatched.length < before
+  }
+
+  // --- campaigns ---
+
+  async function insertCampaign(row) {
+    return insert('campaigns', row, { created_at: now() })
+  }
+
+  async function updateCampaign(id, patch, fromStatuses) {
+    const campaign = tables.campaigns.find(c => c.id === Number(id))
+    if (!campaign || (fromStatuses && !fromStatuses.includes(campaign.status))) return null
+    Object.assign(campaign, structuredClone(patch))
+    return copy(campaign)
+  }
+
+  async function getCampaign(id) {
+    return copy(tables.campaigns.find(c => c.id === Number(id)))
+  }
+
+  async function listCampaigns({ phoneNumberId, status, limit, offset } = {}) {
+    const rows = tables.campaigns
+      .filter(c => !phoneNumberId || c.phone_number_id === phoneNumberId)
+      .filter(c => !status || c.status === status)
+      .sort((a, b) => byDesc('created_at')(a, b) || b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function insertRecipients(rows) {
+    for (const row of rows) {
+      if (tables.campaign_recipients.some(r => r.campaign_id === row.campaign_id && r.phone === row.phone)) continue
+      insert('campaign_recipients', row, { attempts: 0, created_at: now() })
+    }
+  }
+
+  async function dueRecipients(campaignId, at, limit) {
+    return tables.campaign_recipients
+      .filter(r => r.campaign_id === Number(campaignId) && r.status === 'queued' && r.next_attempt_at <= at)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(copy)
+  }
+
+  async function claimRecipient(id) {
+    const recipient = tables.campaign_recipients.find(r => r.id === id && r.status === 'queued')
+    if (!recipient) return false
+    Object.assign(recipient, { status: 'sending', updated_at: now() })
+    return true
+  }
+
+  async function updateRecipient(id, patch) {
+    const recipient = tables.campaign_recipients.find(r => r.id === id)
+    if (recipient) Object.assign(recipient, structuredClone(patch))
+  }
+
+  async function countRecipients(campaignId, statuses) {
+    return tables.campaign_recipients
+      .filter(r => r.campaign_id === Number(campaignId) && statuses.includes(r.status))
+      .length
+  }
+
+  async function interruptSendingRecipients(claimedBefore, error) {
+    for (const r of tables.campaign_recipients) {
+      if (r.status === 'sending' && r.updated_at < claimedBefore) {
+        Object.assign(r, { status: 'interrupted', error, updated_at: now() })
+      }
+    }
+  }
+
+  async function cancelQueuedRecipients(campaignId) {
+    for (const r of tables.campaign_recipients) {
+      if (r.campaign_id === Number(campaignId) && r.status === 'queued') {
+        Object.assign(r, { status: 'cancelled', updated_at: now() })
+      }
+    }
+  }
+
+  async function updateRecipientsByMessageId(messageId, patch, fromStatuses) {
+    for (const r of tables.campaign_recipients) {
+      if (r.message_id === messageId && fromStatuses.includes(r.status)) Object.assign(r, structuredClone(patch))
+    }
+  }
+
+  async function listRecipients(campaignId, { status, limit, offset } = {}) {
+    const rows = tables.campaign_recipients
+      .filter(r => r.campaign_id === Number(campaignId) && (!status || r.status === status))
+      .sort((a, b) => a.id - b.id)
+    return page(rows, { limit, offset })
+  }
+
+  // --- schedules ---
+
+  async function insertSchedule(row) {
+    return insert('schedules', row, { status: 'active', created_at: now() })
+  }
+
+  async function getSchedule(id) {
+    return copy(tables.schedules.find(s => s.id === Number(id)))
+  }
+
+  async function listSchedules({ phoneNumberId, status, limit, offset } = {}) {
+    const rows = tables.schedules
+      .filter(s => !phoneNumberId || s.phone_number_id === phoneNumberId)
+      .filter(s => !status || s.status === status)
+      .sort((a, b) => byDesc('created_at')(a, b) || b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function updateSchedule(id, patch, fromStatuses) {
+    const schedule = tables.schedules.find(s => s.id === Number(id))
+    if (!schedule || (fromStatuses && !fromStatuses.includes(schedule.status))) return null
+    Object.assign(schedule, structuredClone(patch))
+    return copy(schedule)
+  }
+
+  async function dueSchedules(at, limit) {
+    return tables.schedules
+      .filter(s => s.status === 'active' && s.next_run_at && s.next_run_at <= at)
+      .sort(byAsc('next_run_at'))
+      .slice(0, limit)
+      .map(copy)
+  }
+
+  async function advanceSchedule(id, slot, patch) {
+    const schedule = tables.schedules.find(s => s.id === Number(id) && s.status === 'active' && s.next_run_at === slot)
+    if (!schedule) return false
+    Object.assign(schedule, structuredClone(patch))
+    return true
+  }
+
+  async function insertScheduleRun(row) {
+    if (tables.schedule_runs.some(r => r.schedule_id === row.schedule_id && r.scheduled_for === row.scheduled_for)) {
+      return { duplicate: true }
+    }
+    return { data: insert('schedule_runs', row) }
+  }
+
+  async function updateScheduleRun(id, patch) {
+    const run = tables.schedule_runs.find(r => r.id === id)
+    if (run) Object.assign(run, structuredClone(patch))
+  }
+
+  async function listScheduleRuns(scheduleId, { limit, offset } = {}) {
+    const rows = tables.schedule_runs
+      .filter(r => r.schedule_id === Number(scheduleId))
+      .sort((a, b) => byDesc('scheduled_for')(a, b) || b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  async function interruptScheduleRuns() {
+    for (const r of tables.schedule_runs) {
+      if (r.status === 'running') Object.assign(r, { status: 'interrupted', finished_at: now() })
+    }
+  }
+
+  // --- audit log ---
+
+  async function insertAudit(entry) {
+    insert('audit_log', entry, { created_at: now() })
+  }
+
+  async function listAudit({ actor, target, limit, offset } = {}) {
+    const rows = tables.audit_log
+      .filter(a => (!actor || a.actor === actor) && (!target || a.target === target))
+      .sort((a, b) => b.id - a.id)
+    return page(rows, { limit, offset })
+  }
+
+  return {
+    driver: 'memory',
+    durable: false,
+    insertMessage, updateMessage, getMessage, listMessages, listMessagesBetween, reassignMessages,
+    insertStatusEvent, deleteStatusEvent, listStatusEvents,
+    upsertReaction, deleteReaction, listReactions,
+    getContact, upsertContact, deleteContact, incrementContactMessages, incrementContactUnread, updateConversation, findContacts,
+    insertJob, releaseStaleJobs, dueJobs, claimJob, updateJob, listJobs, replayJobs,
+    insertSubscription, getSubscription, listSubscriptions, updateSubscription, deleteSubscription,
+    insertSegment, getSegment, listSegments, updateSegment, deleteSegment,
+    insertFaq, getFaq, listFaqs, updateFaq, deleteFaq,
+    insertUnmatchedQuestion, listUnmatchedQuestions, deleteUnmatchedQuestion,
+    insertCampaign, updateCampaign, getCampaign, listCampaigns, insertRecipients, dueRecipients,
+    claimRecipient, updateRecipient, countRecipients, interruptSendingRecipients,
+    cancelQueuedRecipients, updateRecipientsByMessageId, listRecipients,
+    insertSchedule, getSchedule, listSchedules, updateSchedule, dueSchedules, advanceSchedule,
+    insertScheduleRun, updateScheduleRun, listScheduleRuns, interruptScheduleRuns,
+    insertAudit, listAudit,
+  }
+}
+
+module.exports = { createMemoryStore }
@@ -0,0 +1,587 @@
+const fs = require('fs')
+const path = require('path')
+
+const SCHEMA_FILE = path.join(__dirname, '..', '..', 'sqlite', 'schema.sql')
+
+// SQLite store via better-sqlite3 (an optional dependency). Schema: sqlite/schema.sql.
+// Columns declared `jsonb` hold JSON text and `boolean` columns hold 0/1; both are
+// converted here so rows look the same as the Supabase store's.
+function createSqliteStore({ file }) {
+  let Database
+  try {
+    Database = require('better-sqlite3')
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3)')
+  }
+
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+  const db = new Database(file)
+  db.pragma('journal_mode = WAL')
+  db.pragma('foreign_keys = ON')
+  db.exec(fs.readFileSync(SCHEMA_FILE, 'utf8'))
+
+  // Per-table column types, read back from the schema
+  const columnTypes = {}
+  for (const { name } of db.prepare("select name from sqlite_master where type = 'table'").all()) {
+    columnTypes[name] = Object.fromEntries(
+      db.prepare(`pragma table_info("${name}")`).all().map(c => [c.name, c.type.toLowerCase()]))
+  }
+
+  const now = () => new Date().toISOString()
+  const q = name => `"${name}"`
+
+  function encode(table, row) {
+    const types = columnTypes[table]
+    const out = {}
+    for (const [key, value] of Object.entries(row)) {
+      if (value === undefined) continue
+      if (!types[key]) throw new Error(`Unknown column ${table}.${key}`)
+      if (types[key] === 'jsonb') out[key] = value == null ? null : JSON.stringify(value)
+      else if (types[key] === 'boolean') out[key] = value ? 1 : 0
+      else out[key] = value
+    }
+    return out
+  }
+
+  function decode(table, row) {
+    if (!row) return null
+    const types = columnTypes[table]
+    for (const key of Object.keys(row)) {
+      if (types[key] === 'jsonb' && row[key] != null) row[key] = JSON.parse(row[key])
+      else if (types[key] === 'boolean' && row[key] != null) row[key] = Boolean(row[key])
+    }
+    return row
+  }
+
+  function insert(table, row, { ignoreConflicts = false } = {}) {
+    const values = encode(table, row)
+    const cols = Object.keys(values)
+    const sql = `insert ${ignoreConflicts ? 'or ignore ' : ''}into ${q(table)} (${cols.map(q).join(', ')})
+      values (${cols.map(c => '@' + c).join(', ')}) returning *`
+    return decode(table, db.prepare(sql).get(values))
+  }
+
+  // where: SQL fragment with @named params, e.g. 'id = @id'
+  function update(table, patch, where, params) {
+    const values = encode(table, patch)
+    const sets = Object.keys(values).map(c => `${q(c)} = @set_${c}`)
+    if (!sets.length) return []
+    const bound = { ...params }
+    for (const [c, v] of Object.entries(values)) bound[`set_${c}`] = v
+    return db.prepare(`update ${q(table)} set ${sets.join(', ')} where ${where} returning *`)
+      .all(bound)
+      .map(r => decode(table, r))
+  }
+
+  function select(table, where = '1 = 1', params = {}, { order = 'id desc', limit, offset = 0 } = {}) {
+    const total = db.prepare(`select count(*) as n from ${q(table)} where ${where}`).get(params).n
+    let sql = `select * from ${q(table)} where ${where} order by ${order}`
+    if (limit !== undefined) sql += ` limit ${Number(limit)} offset ${Number(offset)}`
+    const data = db.prepare(sql).all(params).map(r => decode(table, r))
+    return { data, total }
+  }
+
+  function one(table, where, params) {
+    return decode(table, db.prepare(`select * from ${q(table)} where ${where} limit 1`).get(params))
+  }
+
+  const isUniqueViolation = err => err.code === 'SQLITE_CONSTRAINT_UNIQUE'
+
+  // --- messages ---
+
+  async function insertMessage(row) {
+    try {
+      return { data: insert('messages', row) }
+    } catch (err) {
+      if (isUniqueViolation(err)) return { duplicate: true }
+      throw err
+    }
+  }
+
+  async function updateMessage(messageId, patch) {
+    update('messages', patch, 'message_id = @messageId', { messageId })
+  }
+
+  async function getMessage(messageId) {
+    return one('messages', 'message_id = @messageId', { messageId })
+  }
+
+  async function listMessages({ phoneNumberId, phone, kind, type, limit, offset } = {}) {
+    const where = ['1 = 1']
+    const params = { phoneNumberId, phone, type }
+    if (phoneNumberId) where.push('phone_number_id = @phoneNumberId')
+    if (phone) where.push('(phone = @phone or "from" = @phone or "to" = @phone)')
+    if (kind) {
+      const kinds = [].concat(kind)
+      kinds.forEach((k, i) => { params[`kind${i}`] = k })
+      where.push(`kind in (${kinds.map((k, i) => `@kind${i}`).join(', ')})`)
+    }
+    if (type) where.push('type = @type')
+    return select('messages', where.join(' and '), params,
+      { order: 'created_at desc, id desc', limit, offset })
+  }
+
+  async function listMessagesBetween(since, until, phoneNumberId) {
+    const where = `created_at >= @since and created_at < @until${phoneNumberId ? ' and phone_number_id = @phoneNumberId' : ''}`
+    return select('messages', where, { since, until, phoneNumberId }, { order: 'created_at asc, id asc' }).data
+  }
+
+  // Point one business number's messages with the given phone numbers at `phone`
+  // (contact merges)
+  async function reassignMessages(phoneNumberId, phones, phone) {
+    const list = phones.map(() => '?').join(', ')
+    db.transaction(() => {
+      for (const column of ['phone', 'from', 'to']) {
+        db.prepare(`update messages set ${q(column)} = ? where phone_number_id = ? and ${q(column)} in (${list})`)
+          .run(phone, phoneNumberId, ...phones)
+      }
+    })()
+  }
+
+  async function insertStatusEvent(row) {
+    try {
+      return { data: insert('message_status_events', row) }
+    } catch (err) {
+      if (isUniqueViolation(err)) return { duplicate: true }
+      throw err
+    }
+  }
+
+  async function deleteStatusEvent(messageId, status) {
+    db.prepare('delete from message_status_events where message_id = ? and status = ?').run(messageId, status)
+  }
+
+  async function listStatusEvents(messageIds) {
+    const events = []
+    // Batched to stay under SQLite's bound-parameter limit
+    for (let i = 0; i < messageIds.length; i += 500) {
+      const batch = messageIds.slice(i, i + 500)
+      events.push(...db.prepare(`select * from message_status_events
+        where message_id in (${batch.map(() => '?').join(', ')}) order by id`).all(batch)
+        .map(r => decode('message_status_events', r)))
+    }
+    return events
+  }
+
+  // One reaction per (message id, direction); a new emoji replaces the old one
+  async function upsertReaction(row) {
+    const values = encode('message_reactions', { ...row, updated_at: now() })
+    const cols = Object.keys(values)
+    const updates = cols.filter(c => c !== 'message_id' && c !== 'direction').map(c => `${q(c)} = excluded.${q(c)}`)
+    const sql = `insert into message_reactions (${cols.map(q).join(', ')}) values (${cols.map(c => '@' + c).join(', ')})
+      on conflict (message_id, direction) do update set ${updates.join(', ')} returning *`
+    return decode('message_reactions', db.prepare(sql).get(values))
+  }
+
+  async function deleteReaction(messageId, direction) {
+    db.prepare('delete from message_reactions where message_id = ? and direction = ?').run(messageId, direction)
+  }
+
+  async function listReactions(messageIds) {
+    const reactions = []
+    // Batched to stay under SQLite's bound-parameter limit
+    for (let i = 0; i < messageIds.length; i += 500) {
+      const batch = messageIds.slice(i, i + 500)
+      reactions.push(...db.prepare(`select * from message_reactions
+        where message_id in (${batch.map(() => '?').join(', ')}) order by id`).all(batch)
+        .map(r => decode('message_reactions', r)))
+    }
+    return reactions
+  }
+
+  // --- contacts ---
+  // A contact is a phone number as seen by one of our business numbers
+
+  const CONTACT_KEY = 'phone_number_id = @phoneNumberId and phone = @phone'
+
+  async function getContact(phoneNumberId, phone) {
+    return one('contacts', CONTACT_KEY, { phoneNumberId, phone })
+  }
+
+  async function upsertContact(phoneNumberId, phone, fields) {
+    const values = encode('contacts', { phone_number_id: phoneNumberId, phone, ...fields })
+    const cols = Object.keys(values)
+    const updates = cols.filter(c => c !== 'phone' && c !== 'phone_number_id').map(c => `${q(c)} = excluded.${q(c)}`)
+    const sql = `insert into contacts (${cols.map(q).join(', ')}) values (${cols.map(c => '@' + c).join(', ')})
+      on conflict (phone_number_id, phone) do ${updates.length ? `update set ${updates.join(', ')}` : 'nothing'}`
+    db.prepare(sql).run(values)
+    return getContact(phoneNumberId, phone)
+  }
+
+  async function deleteContact(phoneNumberId, phone) {
+    return db.prepare('delete from contacts where phone_number_id = ? and phone = ?').run(phoneNumberId, phone).changes > 0
+  }
+
+  async function incrementContactMessages(phoneNumberId, phone) {
+    db.prepare('update contacts set total_messages = total_messages + 1 where phone_number_id = ? and phone = ?')
+      .run(phoneNumberId, phone)
+  }
+
+  async function incrementContactUnread(phoneNumberId, phone) {
+    db.prepare('update contacts set unread_count = unread_count + 1 where phone_number_id = ? and phone = ?')
+      .run(phoneNumberId, phone)
+  }
+
+  // Conditional on the conversation still being in one of fromStatuses
+  async function updateConversation(phoneNumberId, phone, patch, fromStatuses) {
+    const params = { phoneNumberId, phone }
+    fromStatuses.forEach((s, i) => { params[`from${i}`] = s })
+    const where = `${CONTACT_KEY} and conversation_status in (${fromStatuses.map((s, i) => `@from${i}`).join(', ')})`
+    return update('contacts', patch, where, params)[0] || null
+  }
+
+  // Most recent first, nulls last
+  const CONTACT_ORDER = {
+    updated_at: 'updated_at desc',
+    consent_updated_at: 'consent_updated_at desc',
+    conversation_updated_at: 'conversation_updated_at is null, conversation_updated_at desc',
+  }
+
+  async function findContacts(filter = {}, { limit, offset, order = 'updated_at' } = {}) {
+    const where = ['1 = 1']
+    const params = {}
+    if (filter.phoneNumberId) {
+      where.push('phone_number_id = @phoneNumberId')
+      params.phoneNumberId = filter.phoneNumberId
+    }
+    if (filter.search) {
+      where.push("(phone like @search or name like @search)")
+      params.search = `%${filter.search}%`
+    }
+    if (filter.hasName) where.push('name is not null')
+    if (filter.lastMessageAfter) {
+      where.push('last_timestamp >= @lastMessageAfter')
+      params.lastMessageAfter = filter.lastMessageAfter
+    }
+    if (filter.inboundSince) {
+      where.push('last_inbound_at >= @inboundSince')
+      params.inboundSince = filter.inboundSince
+    }
+    if (filter.excludeOptedOut) where.push("(consent_status is null or consent_status != 'opted_out')")
+    if (filter.consentStatus) {
+      where.push('consent_status = @consentStatus')
+      params.consentStatus = filter.consentStatus
+    }
+    if (filter.conversationStatus) {
+      const statuses = [].concat(filter.conversationStatus)
+      statuses.forEach((s, i) => { params[`conversation${i}`] = s })
+      where.push(`conversation_status in (${statuses.map((s, i) => `@conversation${i}`).join(', ')})`)
+    }
+    if (filter.assignedAgent) {
+      where.push('assigned_agent = @assignedAgent')
+      params.assignedAgent = filter.assignedAgent
+    }
+    return select('contacts', where.join(' and '), params,
+      { order: `${CONTACT_ORDER[order] || CONTACT_ORDER.updated_at}, id desc`, limit, offset })
+  }
+
+  // --- webhook jobs ---
+
+  async function insertJob(row) {
+    return insert('webhook_jobs', row)
+  }
+
+  async function releaseStaleJobs(cutoff, queue) {
+    update('webhook_jobs', { status: 'pending', locked_at: null, updated_at: now() },
+      "queue = @queue and status = 'processing' and locked_at < @cutoff", { cutoff, queue })
+  }
+
+  async function dueJobs(at, limit, queue) {
+    return select('webhook_jobs', "queue = @queue and status = 'pending' and run_at <= @at", { at, queue },
+      { order: 'run_at asc', limit }).data
+  }
+
+  async function claimJob(id) {
+    const at = now()
+    return update('webhook_jobs', { status: 'processing', locked_at: at, updated_at: at },
+      "id = @id and status = 'pending'", { id: Number(id) })[0] || null
+  }
+
+  async function updateJob(id, patch) {
+    update('webhook_jobs', patch, 'id = @id', { id: Number(id) })
+  }
+
+  async function listJobs({ queue, status, limit, offset } = {}) {
+    return select('webhook_jobs', `queue = @queue${status ? ' and status = @status' : ''}`, { queue, status },
+      { order: 'created_at desc, id desc', limit, offset })
+  }
+
+  async function replayJobs({ queue, id, status }, patch) {
+    const rows = id
+      ? update('webhook_jobs', patch, "queue = @queue and id = @id and status != 'processing'", { queue, id: Number(id) })
+      : update('webhook_jobs', patch, 'queue = @queue and status = @status', { queue, status })
+    return rows.map(r => ({ id: r.id }))
+  }
+
+  // --- outgoing webhook subscriptions ---
+
+  async function insertSubscription(row) {
+    return insert('webhook_subscriptions', row)
+  }
+
+  async function getSubscription(id) {
+    return one('webhook_subscriptions', 'id = @id', { id: Number(id) })
+  }
+
+  async function listSubscriptions({ active } = {}) {
+    return select('webhook_subscriptions', active === undefined ? '1 = 1' : 'active = @active',
+      { active: active ? 1 : 0 }, { order: 'id asc' }).data
+  }
+
+  async function updateSubscription(id, patch) {
+    return update('webhook_subscriptions', patch, 'id = @id', { id: Number(id) })[0] || null
+  }
+
+  async function deleteSubscription(id) {
+    return db.prepare('delete from webhook_subscriptions where id = ?').run(Number(id)).changes > 0
+  }
+
+  // --- segments ---
+
+  async function insertSegment(row) {
+    try {
+      return { data: insert('segments', row) }
+    } catch (err) {
+      if (isUniqueViolation(err)) return { duplicate: true }
+      throw err
+    }
+  }
+
+  async function getSegment(id) {
+    return one('segments', 'id = @id', { id: Number(id) })
+  }
+
+  async function listSegments({ phoneNumberId } = {}) {
+    const where = phoneNumberId ? 'phone_number_id = @phoneNumberId' : '1 = 1'
+    return select('segments', where, { phoneNumberId }, { order: 'name asc' }).data
+  }
+
+  async function updateSegment(id, patch) {
+    try {
+      return { data: update('segments', patch, 'id = @id', { id: Number(id) })[0] || null }
+    } catch (err) {
+      if (isUniqueViolation(err)) return { duplicate: true }
+      throw err
+    }
+  }
+
+  async function deleteSegment(id) {
+    return db.prepare('delete from segments where id = ?').run(Number(id)).changes > 0
+  }
+
+  // --- FAQs ---
+
+  async function insertFaq(row) {
+    return insert('faqs', row)
+  }
+
+  async function getFaq(id) {
+    return one('faqs', 'id = @id', { id: Number(id) })
+  }
+
+  // Oldest first: earlier entries win ties when matching
+  async function listFaqs({ phoneNumberId, active, limit, offset } = {}) {
+    const where = ['1 = 1']
+    if (phoneNumberId) where.push('phone_number_id = @phoneNumberId')
+    if (active !== undefined) where.push('active = @active')
+    return select('faqs', where.join(' and '), { phoneNumberId, active: active ? 1 : 0 },
+      { order: 'id asc', limit, offset })
+  }
+
+  async function updateFaq(id, patch) {
+    return update('faqs', patch, 'id = @id', { id: Number(id) })[0] || null
+  }
+
+  async function deleteFaq(id) {
+    return db.prepare('delete from faqs where id = ?').run(Number(id)).changes > 0
+  }
+
+  async function insertUnmatchedQuestion(row) {
+    return insert('faq_unmatched', row)
+  }
+
+  async function listUnmatchedQuestions({ phoneNumberId, limit, offset } = {}) {
+    const where = phoneNumberId ? 'phone_number_id = @phoneNumberId' : '1 = 1'
+    return select('faq_unmatched', where, { phoneNumberId }, { order: 'created_at desc, id desc', limit, offset })
+  }
+
+  async function deleteUnmatchedQuestion(phoneNumberId, id) {
+    return db.prepare('delete from faq_unmatched where id = ? and phone_number_id = ?')
+      .run(Number(id), phoneNumberId).changes > 0
+  }
+
+  // --- campaigns ---
+
+  async function insertCampaign(row) {
+    return insert('campaigns', row)
+  }
+
+  async function updateCampaign(id, patch, fromStatuses) {
+    const params = { id: Number(id) }
+    let where = 'id = @id'
+    if (fromStatuses) {
+      fromStatuses.forEach((s, i) => { params[`from${i}`] = s })
+      where += ` and status in (${fromStatuses.map((s, i) => `@from${i}`).join(', ')})`
+    }
+    return update('campaigns', patch, where, params)[0] || null
+  }
+
+  async function getCampaign(id) {
+    return one('campaigns', 'id = @id', { id: Number(id) })
+  }
+
+  async function listCampaigns({ phoneNumberId, status, limit, offset } = {}) {
+    const where = ['1 = 1']
+    if (phoneNumberId) where.push('phone_number_id = @phoneNumberId')
+    if (status) where.push('status = @status')
+    return select('campaigns', where.join(' and '), { phoneNumberId, status },
+      { order: 'created_at desc, id desc', limit, offset })
+  }
+
+  async function insertRecipients(rows) {
+    db.transaction(() => {
+      for (const row of rows) insert('campaign_recipients', row, { ignoreConflicts: true })
+    })()
+  }
+
+  async function dueRecipients(campaignId, at, limit) {
+    return select('campaign_recipients',
+      "campaign_id = @campaignId and status = 'queued' and next_attempt_at <= @at",
+      { campaignId: Number(campaignId), at }, { order: 'id asc', limit }).data
+  }
+
+  async function claimRecipient(id) {
+    return update('campaign_recipients', { status: 'sending', updated_at: now() },
+      "id = @id and status = 'queued'", { id }).length > 0
+  }
+
+  async function updateRecipient(id, patch) {
+    update('campaign_recipients', patch, 'id = @id', { id })
+  }
+
+  async function countRecipients(campaignId, statuses) {
+    const params = [Number(campaignId), ...statuses]
+    return db.prepare(`select count(*) as n from campaign_recipients
+      where campaign_id = ? and status in (${statuses.map(() => '?').join(', ')})`).get(params).n
+  }
+
+  async function interruptSendingRecipients(claimedBefore, error) {
+    update('campaign_recipients', { status: 'interrupted', error, updated_at: now() },
+      "status = 'sending' and updated_at < @claimedBefore", { claimedBefore })
+  }
+
+  async function cancelQueuedRecipients(campaignId) {
+    update('campaign_recipients', { status: 'cancelled', updated_at: now() },
+      "campaign_id = @campaignId and status = 'queued'", { campaignId: Number(campaignId) })
+  }
+
+  async function updateRecipientsByMessageId(messageId, patch, fromStatuses) {
+    const params = { messageId }
+    fromStatuses.forEach((s, i) => { params[`from${i}`] = s })
+    update('campaign_recipients', patch,
+      `message_id = @messageId and status in (${fromStatuses.map((s, i) => `@from${i}`).join(', ')})`, params)
+  }
+
+  async function listRecipients(campaignId, { status, limit, offset } = {}) {
+    return select('campaign_recipients',
+      `campaign_id = @campaignId${status ? ' and status = @status' : ''}`,
+      { campaignId: Number(campaignId), status }, { order: 'id asc', limit, offset })
+  }
+
+  // --- schedules ---
+
+  async function insertSchedule(row) {
+    return insert('schedules', row)
+  }
+
+  async function getSchedule(id) {
+    return one('schedules', 'id = @id', { id: Number(id) })
+  }
+
+  async function listSchedules({ phoneNumberId, status, limit, offset } = {}) {
+    const where = ['1 = 1']
+    if (phoneNumberId) where.push('phone_number_id = @phoneNumberId')
+    if (status) where.push('status = @status')
+    return select('schedules', where.join(' and '), { phoneNumberId, status },
+      { order: 'created_at desc, id desc', limit, offset })
+  }
+
+  async function updateSchedule(id, patch, fromStatuses) {
+    const params = { id: Number(id) }
+    let where = 'id = @id'
+    if (fromStatuses) {
+      fromStatuses.forEach((s, i) => { params[`from${i}`] = s })
+      where += ` and status in (${fromStatuses.map((s, i) => `@from${i}`).join(', ')})`
+    }
+    return update('schedules', patch, where, params)[0] || null
+  }
+
+  async function dueSchedules(at, limit) {
+    return select('schedules', "status = 'active' and next_run_at <= @at", { at },
+      { order: 'next_run_at asc', limit }).data
+  }
+
+  // Claims a slot: only one caller moves a schedule on from `slot`
+  async function advanceSchedule(id, slot, patch) {
+    return update('schedules', patch, "id = @id and status = 'active' and next_run_at = @slot",
+      { id: Number(id), slot }).length > 0
+  }
+
+  async function insertScheduleRun(row) {
+    try {
+      return { data: insert('schedule_runs', row) }
+    } catch (err) {
+      if (isUniqueViolation(err)) return { duplicate: true }
+      throw err
+    }
+  }
+
+  async function updateScheduleRun(id, patch) {
+    update('schedule_runs', patch, 'id = @id', { id })
+  }
+
+  async function listScheduleRuns(scheduleId, { limit, offset } = {}) {
+    return select('schedule_runs', 'schedule_id = @scheduleId', { scheduleId: Number(scheduleId) },
+      { order: 'scheduled_for desc, id desc', limit, offset })
+  }
+
+  async function interruptScheduleRuns() {
+    update('schedule_runs', { status: 'interrupted', finished_at: now() }, "status = 'running'", {})
+  }
+
+  // --- audit log ---
+
+  async function insertAudit(entry) {
+    insert('audit_log', entry)
+  }
+
+  async function listAudit({ actor, target, limit, offset } = {}) {
+    const where = ['1 = 1']
+    if (actor) where.push('actor = @actor')
+    if (target) where.push('target = @target')
+    return select('audit_log', where.join(' and '), { actor, target }, { order: 'id desc', limit, offset })
+  }
+
+  return {
+    driver: 'sqlite',
+    durable: file !== ':memory:',
+    close: () => db.close(),
+    insertMessage, updateMessage, getMessage, listMessages, listMessagesBetween, reassignMessages,
+    insertStatusEvent, deleteStatusEvent, listStatusEvents,
+    upsertReaction, deleteReaction, listReactions,
+    getContact, upsertContact, deleteContact, incrementContactMessages, incrementContactUnread, updateConversation, findContacts,
+    insertJob, releaseStaleJobs, dueJobs, claimJob, updateJob, listJobs, replayJobs,
+    insertSubscription, getSubscription, listSubscriptions, updateSubscription, deleteSubscription,
+    insertSegment, getSegment, listSegments, updateSegment, deleteSegment,
+    insertFaq, getFaq, listFaqs, updateFaq, deleteFaq,
+    insertUnmatchedQuestion, listUnmatchedQuestions, deleteUnmatchedQuestion,
+    insertCampaign, updateCampaign, getCampaign, listCampaigns, insertRecipients, dueRecipients,
+    claimRecipient, updateRecipient, countRecipients, interruptSendingRecipients,
+    cancelQueuedRecipients, updateRecipientsByMessageId, listRecipients,
+    insertSchedule, getSchedule, listSchedules, updateSchedule, dueSchedules, advanceSchedule,
+    insertScheduleRun, updateScheduleRun, listScheduleRuns, interruptScheduleRuns,
+    insertAudit, listAudit,
+  }
+}
+
+module.exports = { createSqliteStore }
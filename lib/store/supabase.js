@@ -0,0 +1,630 @@
+// Supabase (Postgres) store. Schema: supabase/*.sql
+const PG_UNIQUE_VIOLATION = '23505'
+// PostgREST's default max-rows
+const READ_PAGE_SIZE = 1000
+
+function createSupabaseStore(supabase) {
+  // PostgREST builders resolve to { data, error, count }; surface errors as exceptions
+  async function run(query, what) {
+    const result = await query
+    if (result.error) throw new Error(`${what} failed: ${result.error.message}`)
+    return result
+  }
+
+  function paged(query, { limit, offset = 0 } = {}) {
+    return limit === undefined ? query : query.range(offset, offset + limit - 1)
+  }
+
+  // --- messages ---
+
+  async function insertMessage(row) {
+    const { data, error } = await supabase.from('messages').insert(row).select().single()
+    if (error?.code === PG_UNIQUE_VIOLATION) return { duplicate: true }
+    if (error) throw new Error(`Message insert failed: ${error.message}`)
+    return { data }
+  }
+
+  async function updateMessage(messageId, patch) {
+    await run(supabase.from('messages').update(patch).eq('message_id', messageId), 'Message update')
+  }
+
+  async function getMessage(messageId) {
+    const { data } = await run(
+      supabase.from('messages').select('*').eq('message_id', messageId).maybeSingle(),
+      'Message lookup')
+    return data
+  }
+
+  async function listMessages({ phoneNumberId, phone, kind, type, limit, offset } = {}) {
+    let query = supabase
+      .from('messages')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+    if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+    if (phone) {
+      // Use normalized phone field primarily; fallback to from/to for older rows
+      query = query.or(`phone.eq.${phone},from.eq.${phone},to.eq.${phone}`)
+    }
+    if (kind) query = query.in('kind', [].concat(kind))
+    if (type) query = query.eq('type', type)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Message list')
+    return { data, total: count || 0 }
+  }
+
+  // Every row in [since, until), oldest first. PostgREST caps rows per request, so
+  // this reads in pages.
+  async function listMessagesBetween(since, until, phoneNumberId) {
+    const rows = []
+    for (let offset = 0; ; offset += READ_PAGE_SIZE) {
+      let query = supabase
+        .from('messages')
+        .select('*')
+        .gte('created_at', since)
+        .lt('created_at', until)
+      if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+      const { data } = await run(query
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + READ_PAGE_SIZE - 1), 'Message range')
+      rows.push(...data)
+      if (data.length < READ_PAGE_SIZE) return rows
+    }
+  }
+
+  // Point one business number's messages with the given phone numbers at `phone`
+  // (contact merges)
+  async function reassignMessages(phoneNumberId, phones, phone) {
+    for (const column of ['phone', 'from', 'to']) {
+      await run(supabase
+        .from('messages')
+        .update({ [column]: phone })
+        .eq('phone_number_id', phoneNumberId)
+        .in(column, phones), `Reassigning messages (${column})`)
+    }
+  }
+
+  async function insertStatusEvent(row) {
+    const { data, error } = await supabase.from('message_status_events').insert(row).select().single()
+    if (error?.code === PG_UNIQUE_VIOLATION) return { duplicate: true }
+    if (error) throw new Error(`Status event insert failed: ${error.message}`)
+    return { data }
+  }
+
+  async function deleteStatusEvent(messageId, status) {
+    await run(supabase
+      .from('message_status_events')
+      .delete()
+      .eq('message_id', messageId)
+      .eq('status', status), 'Status event delete')
+  }
+
+  async function listStatusEvents(messageIds) {
+    const events = []
+    // Batched so the id list fits in the request URL
+    for (let i = 0; i < messageIds.length; i += 200) {
+      const { data } = await run(supabase
+        .from('message_status_events')
+        .select('*')
+        .in('message_id', messageIds.slice(i, i + 200))
+        .order('id', { ascending: true }), 'Status event list')
+      events.push(...data)
+    }
+    return events
+  }
+
+  // One reaction per (message id, direction); a new emoji replaces the old one
+  async function upsertReaction(row) {
+    const { data } = await run(supabase
+      .from('message_reactions')
+      .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'message_id,direction' })
+      .select()
+      .single(), 'Reaction upsert')
+    return data
+  }
+
+  async function deleteReaction(messageId, direction) {
+    await run(supabase
+      .from('message_reactions')
+      .delete()
+      .eq('message_id', messageId)
+      .eq('direction', direction), 'Reaction delete')
+  }
+
+  async function listReactions(messageIds) {
+    const reactions = []
+    // Batched so the id list fits in the request URL
+    for (let i = 0; i < messageIds.length; i += 200) {
+      const { data } = await run(supabase
+        .from('message_reactions')
+        .select('*')
+        .in('message_id', messageIds.slice(i, i + 200))
+        .order('id', { ascending: true }), 'Reaction list')
+      reactions.push(...data)
+    }
+    return reactions
+  }
+
+  // --- contacts ---
+  // A contact is a phone number as seen by one of our business numbers
+
+  async function getContact(phoneNumberId, phone) {
+    const { data } = await run(supabase
+      .from('contacts')
+      .select('*')
+      .eq('phone_number_id', phoneNumberId)
+      .eq('phone', phone)
+      .maybeSingle(), `Loading contact ${phone}`)
+    return data
+  }
+
+  // Upsert only touches the columns given, so other fields keep their values
+  async function upsertContact(phoneNumberId, phone, fields) {
+    const { data } = await run(supabase
+      .from('contacts')
+      .upsert({ phone_number_id: phoneNumberId, phone, ...fields }, { onConflict: 'phone_number_id,phone' })
+      .select()
+      .single(), `Contact upsert for ${phone}`)
+    return data
+  }
+
+  async function deleteContact(phoneNumberId, phone) {
+    const { data } = await run(supabase
+      .from('contacts')
+      .delete()
+      .eq('phone_number_id', phoneNumberId)
+      .eq('phone', phone)
+      .select('id'), `Contact ${phone} delete`)
+    return (data || []).length > 0
+  }
+
+  async function incrementContactMessages(phoneNumberId, phone) {
+    await run(supabase.rpc('increment_contact_messages', { p_phone_number_id: phoneNumberId, p_phone: phone }),
+      'increment_contact_messages')
+  }
+
+  async function incrementContactUnread(phoneNumberId, phone) {
+    await run(supabase.rpc('increment_contact_unread', { p_phone_number_id: phoneNumberId, p_phone: phone }),
+      'increment_contact_unread')
+  }
+
+  // Conditional on the conversation still being in one of fromStatuses
+  async function updateConversation(phoneNumberId, phone, patch, fromStatuses) {
+    const { data } = await run(supabase
+      .from('contacts')
+      .update(patch)
+      .eq('phone_number_id', phoneNumberId)
+      .eq('phone', phone)
+      .in('conversation_status', fromStatuses)
+      .select(), `Conversation ${phone} update`)
+    return data?.[0] || null
+  }
+
+  const NOT_OPTED_OUT = 'consent_status.is.null,consent_status.neq.opted_out'
+
+  async function findContacts(filter = {}, { limit, offset, order = 'updated_at', countOnly = false } = {}) {
+    let query = supabase
+      .from('contacts')
+      .select('*', { count: 'exact', head: countOnly })
+      .order(order, { ascending: false, nullsFirst: false })
+    if (filter.phoneNumberId) query = query.eq('phone_number_id', filter.phoneNumberId)
+    if (filter.search) query = query.or(`phone.ilike.%${filter.search}%,name.ilike.%${filter.search}%`)
+    if (filter.hasName) query = query.not('name', 'is', null)
+    if (filter.lastMessageAfter) query = query.gte('last_timestamp', filter.lastMessageAfter)
+    if (filter.inboundSince) query = query.gte('last_inbound_at', filter.inboundSince)
+    if (filter.excludeOptedOut) query = query.or(NOT_OPTED_OUT)
+    if (filter.consentStatus) query = query.eq('consent_status', filter.consentStatus)
+    if (filter.conversationStatus) query = query.in('conversation_status', [].concat(filter.conversationStatus))
+    if (filter.assignedAgent) query = query.eq('assigned_agent', filter.assignedAgent)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Contact query')
+    return { data: data || [], total: count || 0 }
+  }
+
+  // --- webhook jobs ---
+
+  async function insertJob(row) {
+    const { data } = await run(supabase.from('webhook_jobs').insert(row).select().single(), 'Job insert')
+    return data
+  }
+
+  async function releaseStaleJobs(cutoff, queue) {
+    await run(supabase
+      .from('webhook_jobs')
+      .update({ status: 'pending', locked_at: null, updated_at: new Date().toISOString() })
+      .eq('queue', queue)
+      .eq('status', 'processing')
+      .lt('locked_at', cutoff), 'Releasing stale jobs')
+  }
+
+  async function dueJobs(at, limit, queue) {
+    const { data } = await run(supabase
+      .from('webhook_jobs')
+      .select('*')
+      .eq('queue', queue)
+      .eq('status', 'pending')
+      .lte('run_at', at)
+      .order('run_at', { ascending: true })
+      .limit(limit), 'Fetching due jobs')
+    return data || []
+  }
+
+  // Conditional update so two workers never run the same job
+  async function claimJob(id) {
+    const at = new Date().toISOString()
+    const { data } = await run(supabase
+      .from('webhook_jobs')
+      .update({ status: 'processing', locked_at: at, updated_at: at })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select(), `Claiming job ${id}`)
+    return data?.[0] || null
+  }
+
+  async function updateJob(id, patch) {
+    await run(supabase.from('webhook_jobs').update(patch).eq('id', id), `Job ${id} update`)
+  }
+
+  async function listJobs({ queue, status, limit, offset } = {}) {
+    let query = supabase
+      .from('webhook_jobs')
+      .select('*', { count: 'exact' })
+      .eq('queue', queue)
+      .order('created_at', { ascending: false })
+    if (status) query = query.eq('status', status)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Job list')
+    return { data, total: count || 0 }
+  }
+
+  async function replayJobs({ queue, id, status }, patch) {
+    let query = supabase.from('webhook_jobs').update(patch).eq('queue', queue)
+    query = id ? query.eq('id', id).neq('status', 'processing') : query.eq('status', status)
+    const { data } = await run(query.select('id'), 'Job replay')
+    return data || []
+  }
+
+  // --- outgoing webhook subscriptions ---
+
+  async function insertSubscription(row) {
+    const { data } = await run(supabase.from('webhook_subscriptions').insert(row).select().single(), 'Subscription insert')
+    return data
+  }
+
+  async function getSubscription(id) {
+    const { data } = await run(supabase.from('webhook_subscriptions').select('*').eq('id', id).maybeSingle(), 'Subscription lookup')
+    return data
+  }
+
+  async function listSubscriptions({ active } = {}) {
+    let query = supabase.from('webhook_subscriptions').select('*').order('id', { ascending: true })
+    if (active !== undefined) query = query.eq('active', active)
+    const { data } = await run(query, 'Subscription list')
+    return data || []
+  }
+
+  async function updateSubscription(id, patch) {
+    const { data } = await run(supabase.from('webhook_subscriptions').update(patch).eq('id', id).select(), `Subscription ${id} update`)
+    return data?.[0] || null
+  }
+
+  async function deleteSubscription(id) {
+    const { data } = await run(supabase.from('webhook_subscriptions').delete().eq('id', id).select('id'), `Subscription ${id} delete`)
+    return (data || []).length > 0
+  }
+
+  // --- segments ---
+
+  async function insertSegment(row) {
+    const { data, error } = await supabase.from('segments').insert(row).select().single()
+    if (error?.code === PG_UNIQUE_VIOLATION) return { duplicate: true }
+    if (error) throw new Error(`Segment insert failed: ${error.message}`)
+    return { data }
+  }
+
+  async function getSegment(id) {
+    const { data } = await run(supabase.from('segments').select('*').eq('id', id).maybeSingle(), 'Segment lookup')
+    return data
+  }
+
+  async function listSegments({ phoneNumberId } = {}) {
+    let query = supabase.from('segments').select('*').order('name', { ascending: true })
+    if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+    const { data } = await run(query, 'Segment list')
+    return data || []
+  }
+
+  async function updateSegment(id, patch) {
+    const { data, error } = await supabase.from('segments').update(patch).eq('id', id).select()
+    if (error?.code === PG_UNIQUE_VIOLATION) return { duplicate: true }
+    if (error) throw new Error(`Segment ${id} update failed: ${error.message}`)
+    return { data: data?.[0] || null }
+  }
+
+  async function deleteSegment(id) {
+    const { data } = await run(supabase.from('segments').delete().eq('id', id).select('id'), `Segment ${id} delete`)
+    return (data || []).length > 0
+  }
+
+  // --- FAQs ---
+
+  async function insertFaq(row) {
+    const { data } = await run(supabase.from('faqs').insert(row).select().single(), 'FAQ insert')
+    return data
+  }
+
+  async function getFaq(id) {
+    const { data } = await run(supabase.from('faqs').select('*').eq('id', id).maybeSingle(), 'FAQ lookup')
+    return data
+  }
+
+  // Oldest first: earlier entries win ties when matching
+  async function listFaqs({ phoneNumberId, active, limit, offset } = {}) {
+    let query = supabase
+      .from('faqs')
+      .select('*', { count: 'exact' })
+      .order('id', { ascending: true })
+    if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+    if (active !== undefined) query = query.eq('active', active)
+    const { data, count } = await run(paged(query, { limit, offset }), 'FAQ list')
+    return { data, total: count || 0 }
+  }
+
+  async function updateFaq(id, patch) {
+    const { data } = await run(supabase.from('faqs').update(patch).eq('id', id).select(), `FAQ ${id} update`)
+    return data?.[0] || null
+  }
+
+  async function deleteFaq(id) {
+    const { data } = await run(supabase.from('faqs').delete().eq('id', id).select('id'), `FAQ ${id} delete`)
+    return (data || []).length > 0
+  }
+
+  async function insertUnmatchedQuestion(row) {
+    const { data } = await run(supabase.from('faq_unmatched').insert(row).select().single(), 'Unmatched question insert')
+    return data
+  }
+
+  async function listUnmatchedQuestions({ phoneNumberId, limit, offset } = {}) {
+    let query = supabase
+      .from('faq_unmatched')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+    if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Unmatched question list')
+    return { data, total: count || 0 }
+  }
+
+  async function deleteUnmatchedQuestion(phoneNumberId, id) {
+    const { data } = await run(supabase
+      .from('faq_unmatched')
+      .delete()
+      .eq('id', id)
+      .eq('phone_number_id', phoneNumberId)
+      .select('id'), `Unmatched question ${id} delete`)
+    return (data || []).length > 0
+  }
+
+  // --- campaigns ---
+
+  async function insertCampaign(row) {
+    const { data } = await run(supabase.from('campaigns').insert(row).select().single(), 'Campaign insert')
+    return data
+  }
+
+  async function updateCampaign(id, patch, fromStatuses) {
+    let query = supabase.from('campaigns').update(patch).eq('id', id)
+    if (fromStatuses) query = query.in('status', fromStatuses)
+    const { data } = await run(query.select(), `Campaign ${id} update`)
+    return data?.[0] || null
+  }
+
+  async function getCampaign(id) {
+    const { data } = await run(supabase.from('campaigns').select('*').eq('id', id).maybeSingle(), 'Campaign lookup')
+    return data
+  }
+
+  async function listCampaigns({ phoneNumberId, status, limit, offset } = {}) {
+    let query = supabase
+      .from('campaigns')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+    if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+    if (status) query = query.eq('status', status)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Campaign list')
+    return { data, total: count || 0 }
+  }
+
+  async function insertRecipients(rows) {
+    await run(supabase
+      .from('campaign_recipients')
+      .upsert(rows, { onConflict: 'campaign_id,phone', ignoreDuplicates: true }), 'Queueing campaign recipients')
+  }
+
+  async function dueRecipients(campaignId, at, limit) {
+    const { data } = await run(supabase
+      .from('campaign_recipients')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'queued')
+      .lte('next_attempt_at', at)
+      .order('id', { ascending: true })
+      .limit(limit), `Loading recipients for campaign ${campaignId}`)
+    return data || []
+  }
+
+  async function claimRecipient(id) {
+    const { data } = await run(supabase
+      .from('campaign_recipients')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'queued')
+      .select('id'), `Claiming campaign recipient ${id}`)
+    return Boolean(data?.length)
+  }
+
+  async function updateRecipient(id, patch) {
+    await run(supabase.from('campaign_recipients').update(patch).eq('id', id), `Campaign recipient ${id} update`)
+  }
+
+  async function countRecipients(campaignId, statuses) {
+    const { count } = await run(supabase
+      .from('campaign_recipients')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .in('status', statuses), 'Counting campaign recipients')
+    return count || 0
+  }
+
+  async function interruptSendingRecipients(claimedBefore, error) {
+    await run(supabase
+      .from('campaign_recipients')
+      .update({ status: 'interrupted', error, updated_at: new Date().toISOString() })
+      .eq('status', 'sending')
+      .lt('updated_at', claimedBefore), 'Marking interrupted campaign recipients')
+  }
+
+  async function cancelQueuedRecipients(campaignId) {
+    await run(supabase
+      .from('campaign_recipients')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'queued'), `Cancelling recipients of campaign ${campaignId}`)
+  }
+
+  async function updateRecipientsByMessageId(messageId, patch, fromStatuses) {
+    await run(supabase
+      .from('campaign_recipients')
+      .update(patch)
+      .eq('message_id', messageId)
+      .in('status', fromStatuses), `Campaign status update for ${messageId}`)
+  }
+
+  async function listRecipients(campaignId, { status, limit, offset } = {}) {
+    let query = supabase
+      .from('campaign_recipients')
+      .select('*', { count: 'exact' })
+      .eq('campaign_id', campaignId)
+      .order('id', { ascending: true })
+    if (status) query = query.eq('status', status)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Campaign recipient list')
+    return { data, total: count || 0 }
+  }
+
+  // --- schedules ---
+
+  async function insertSchedule(row) {
+    const { data } = await run(supabase.from('schedules').insert(row).select().single(), 'Schedule insert')
+    return data
+  }
+
+  async function getSchedule(id) {
+    const { data } = await run(supabase.from('schedules').select('*').eq('id', id).maybeSingle(), 'Schedule lookup')
+    return data
+  }
+
+  async function listSchedules({ phoneNumberId, status, limit, offset } = {}) {
+    let query = supabase
+      .from('schedules')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+    if (phoneNumberId) query = query.eq('phone_number_id', phoneNumberId)
+    if (status) query = query.eq('status', status)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Schedule list')
+    return { data, total: count || 0 }
+  }
+
+  async function updateSchedule(id, patch, fromStatuses) {
+    let query = supabase.from('schedules').update(patch).eq('id', id)
+    if (fromStatuses) query = query.in('status', fromStatuses)
+    const { data } = await run(query.select(), `Schedule ${id} update`)
+    return data?.[0] || null
+  }
+
+  async function dueSchedules(at, limit) {
+    const { data } = await run(supabase
+      .from('schedules')
+      .select('*')
+      .eq('status', 'active')
+      .lte('next_run_at', at)
+      .order('next_run_at', { ascending: true })
+      .limit(limit), 'Loading due schedules')
+    return data || []
+  }
+
+  // Claims a slot: only one caller moves a schedule on from `slot`
+  async function advanceSchedule(id, slot, patch) {
+    const { data } = await run(supabase
+      .from('schedules')
+      .update(patch)
+      .eq('id', id)
+      .eq('status', 'active')
+      .eq('next_run_at', slot)
+      .select('id'), `Advancing schedule ${id}`)
+    return Boolean(data?.length)
+  }
+
+  async function insertScheduleRun(row) {
+    const { data, error } = await supabase.from('schedule_runs').insert(row).select().single()
+    if (error?.code === PG_UNIQUE_VIOLATION) return { duplicate: true }
+    if (error) throw new Error(`Schedule run insert failed: ${error.message}`)
+    return { data }
+  }
+
+  async function updateScheduleRun(id, patch) {
+    await run(supabase.from('schedule_runs').update(patch).eq('id', id), `Schedule run ${id} update`)
+  }
+
+  async function listScheduleRuns(scheduleId, { limit, offset } = {}) {
+    const query = supabase
+      .from('schedule_runs')
+      .select('*', { count: 'exact' })
+      .eq('schedule_id', scheduleId)
+      .order('scheduled_for', { ascending: false })
+    const { data, count } = await run(paged(query, { limit, offset }), 'Schedule run list')
+    return { data, total: count || 0 }
+  }
+
+  async function interruptScheduleRuns() {
+    await run(supabase
+      .from('schedule_runs')
+      .update({ status: 'interrupted', finished_at: new Date().toISOString() })
+      .eq('status', 'running'), 'Marking interrupted schedule runs')
+  }
+
+  // --- audit log ---
+
+  async function insertAudit(entry) {
+    await run(supabase.from('audit_log').insert(entry), 'Audit log insert')
+  }
+
+  async function listAudit({ actor, target, limit, offset } = {}) {
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+    if (actor) query = query.eq('actor', actor)
+    if (target) query = query.eq('target', target)
+    const { data, count } = await run(paged(query, { limit, offset }), 'Audit log list')
+    return { data, total: count || 0 }
+  }
+
+  return {
+    driver: 'supabase',
+    durable: true,
+    insertMessage, updateMessage, getMessage, listMessages, listMessagesBetween, reassignMessages,
+    insertStatusEvent, deleteStatusEvent, listStatusEvents,
+    upsertReaction, deleteReaction, listReactions,
+    getContact, upsertContact, deleteContact, incrementContactMessages, incrementContactUnread, updateConversation, findContacts,
+    insertJob, releaseStaleJobs, dueJobs, claimJob, updateJob, listJobs, replayJobs,
+    insertSubscription, getSubscription, listSubscriptions, updateSubscription, deleteSubscription,
+    insertSegment, getSegment, listSegments, updateSegment, deleteSegment,
+    insertFaq, getFaq, listFaqs, updateFaq, deleteFaq,
+    insertUnmatchedQuestion, listUnmatchedQuestions, deleteUnmatchedQuestion,
+    insertCampaign, updateCampaign, getCampaign, listCampaigns, insertRecipients, dueRecipients,
+    claimRecipient, updateRecipient, countRecipients, interruptSendingRecipients,
+    cancelQueuedRecipients, updateRecipientsByMessageId, listRecipients,
+    insertSchedule, getSchedule, listSchedules, updateSchedule, dueSchedules, advanceSchedule,
+    insertScheduleRun, updateScheduleRun, listScheduleRuns, interruptScheduleRuns,
+    insertAudit, listAudit,
+  }
+}
+
+module.exports = { createSupabaseStore }
@@ -0,0 +1,140 @@
+const fs = require('fs')
+
+const MEDIA_HEADER_FORMATS = ['image', 'video', 'document']
+
+// Local copy of the templates approved in WhatsApp Manager (config/templates.json).
+// Used to catch parameter-count mistakes before Meta rejects the send.
+// `windowFallback` optionally names a template send ({ name, language, header, body,
+// buttons }) used instead of free text outside the 24h window; its parameters may
+// use {{message}} for the original text.
+function loadTemplateRegistry(file) {
+  let templates = []
+  let windowFallback = null
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'))
+    templates = config.templates || []
+    windowFallback = config.windowFallback || null
+  } catch (err) {
+    console.warn(`Template registry not loaded from ${file}:`, err.message)
+  }
+  const byName = new Map(templates.map(t => [t.name, t]))
+  return {
+    list: () => templates,
+    get: name => byName.get(name) || null,
+    windowFallback: () => windowFallback,
+  }
+}
+
+// Fill {{column}} / {{column|fallback}} placeholders from a contact row
+function substituteVariables(value, contact = {}) {
+  const missing = []
+  const text = String(value).replace(/\{\{\s*([a-zA-Z_][\w]*)\s*(?:\|([^}]*))?\}\}/g, (match, column, fallback) => {
+    const v = contact[column]
+    if (v !== undefined && v !== null && v !== '') return String(v)
+    if (fallback !== undefined) return fallback.trim()
+    missing.push(column)
+    return match
+  })
+  return { text, missing }
+}
+
+function checkCount(errors, label, given, expected) {
+  if (given !== expected) errors.push(`${label} expects ${expected} parameter(s), got ${given}`)
+}
+
+// Validate a send request against the registry.
+// input: { name, language, header, body, buttons: [{ index, params }] }
+function validateTemplateInput(registry, input = {}) {
+  const errors = []
+  const template = registry.get(input.name)
+  if (!input.name) return { ok: false, errors: ['template name is required'] }
+  if (!template) return { ok: false, errors: [`template "${input.name}" is not in the registry`] }
+
+  const languages = template.languages || []
+  const language = input.language || languages[0]
+  if (!language) errors.push('language is required')
+  else if (languages.length && !languages.includes(language)) {
+    errors.push(`template "${input.name}" is not approved for language ${language} (have: ${languages.join(', ')})`)
+  }
+
+  const header = input.header == null ? [] : [].concat(input.header)
+  if (template.header) {
+    checkCount(errors, 'header', header.length, template.header.params ?? 1)
+    if (MEDIA_HEADER_FORMATS.includes(template.header.format) && header[0] && !header[0].link && !header[0].id) {
+      errors.push(`header expects a ${template.header.format} object with link or id`)
+    }
+  } else if (header.length) {
+    errors.push('template has no header parameters')
+  }
+
+  checkCount(errors, 'body', (input.body || []).length, template.body?.params || 0)
+
+  const buttons = input.buttons || []
+  for (const spec of template.buttons || []) {
+    if (!spec.params) continue
+    const given = buttons.find(b => Number(b.index) === spec.index)
+    checkCount(errors, `button ${spec.index}`, [].concat(given?.params ?? []).length, spec.params)
+  }
+  for (const b of buttons) {
+    if (!(template.buttons || []).some(spec => spec.index === Number(b.index) && spec.params)) {
+      errors.push(`button ${b.index} takes no parameters`)
+    }
+  }
+
+  if (errors.length) return { ok: false, errors }
+  return { ok: true, template, language }
+}
+
+// Build the Graph `template` object for one recipient. Call validateTemplateInput first.
+function buildTemplateMessage(template, language, input, contact) {
+  const missing = []
+  const fill = value => {
+    const r = substituteVariables(value, contact)
+    missing.push(...r.missing)
+    return r.text
+  }
+
+  const components = []
+  const header = input.header == null ? [] : [].concat(input.header)
+  if (template.header && header.length) {
+    const format = template.header.format || 'text'
+    components.push({
+      type: 'header',
+      parameters: MEDIA_HEADER_FORMATS.includes(format)
+        ? [{ type: format, [format]: header[0] }]
+        : header.map(p => ({ type: 'text', text: fill(p) })),
+    })
+  }
+  if ((input.body || []).length) {
+    components.push({ type: 'body', parameters: input.body.map(p => ({ type: 'text', text: fill(p) })) })
+  }
+  for (const b of input.buttons || []) {
+    const spec = template.buttons.find(s => s.index === Number(b.index))
+    const params = [].concat(b.params)
+    components.push({
+      type: 'button',
+      sub_type: spec.type,
+      index: String(spec.index),
+      parameters: params.map(p => spec.type === 'quick_reply'
+        ? { type: 'payload', payload: fill(p) }
+        : { type: 'text', text: fill(p) }),
+    })
+  }
+
+  if (missing.length) {
+    return { ok: false, errors: [`contact is missing value(s) for: ${[...new Set(missing)].join(', ')}`] }
+  }
+
+  const message = { name: template.name, language: { code: language } }
+  if (components.length) message.components = components
+  return { ok: true, message, preview: renderPreview(template, components) }
+}
+
+// Body text with {{n}} filled in, for the messages log
+function renderPreview(template, components) {
+  if (!template.body?.text) return `[template:${template.name}]`
+  const params = components.find(c => c.type === 'body')?.parameters || []
+  return template.body.text.replace(/\{\{(\d+)\}\}/g, (m, n) => params[Number(n) - 1]?.text ?? m)
+}
+
+module.exports = { loadTemplateRegistry, validateTemplateInput, buildTemplateMessage, substituteVariables }
@@ -0,0 +1,120 @@
+// Conversation views over the messages log. Status webhooks can arrive out of order
+// (a late 'delivered' after 'read'), so a message's final status is worked out from
+// all of its message_status_events rows rather than the last one written.
+const INBOUND_KINDS = ['incoming']
+const OUTBOUND_KINDS = ['outgoing', 'reply', 'broadcast']
+const THREAD_KINDS = [...INBOUND_KINDS, ...OUTBOUND_KINDS]
+
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 }
+
+function direction(message) {
+  if (INBOUND_KINDS.includes(message.kind)) return 'inbound'
+  if (OUTBOUND_KINDS.includes(message.kind)) return 'outbound'
+  return null
+}
+
+// The contact a message row belongs to (older rows have no phone column)
+function messagePhone(message) {
+  return message.phone || (direction(message) === 'inbound' ? message.from : message.to) || null
+}
+
+// Status timestamps are unix seconds from Meta; fall back to when we stored the event
+function eventTime(event) {
+  if (event.timestamp) return new Date(Number(event.timestamp) * 1000).toISOString()
+  return event.created_at || null
+}
+
+// Final delivery state from a message's status events. `fallback` (messages.status)
+// covers messages logged before status events were recorded.
+function deliveryStatus(events = [], fallback = null) {
+  const delivery = { status: null, sent_at: null, delivered_at: null, read_at: null, failed_at: null, errors: null }
+  for (const event of events) {
+    if (event.status === 'failed') {
+      delivery.failed_at = eventTime(event)
+      delivery.errors = event.raw?.errors || null
+    } else if (STATUS_RANK[event.status]) {
+      delivery[`${event.status}_at`] = eventTime(event)
+      if (STATUS_RANK[event.status] > (STATUS_RANK[delivery.status] || 0)) delivery.status = event.status
+    }
+  }
+  if (delivery.failed_at) delivery.status = 'failed'
+  if (!delivery.status) delivery.status = fallback
+  return delivery
+}
+
+function groupEvents(events) {
+  const byMessage = new Map()
+  for (const event of events) {
+    if (!byMessage.has(event.message_id)) byMessage.set(event.message_id, [])
+    byMessage.get(event.message_id).push(event)
+  }
+  return byMessage
+}
+
+// The message id a row replies to: our replies record it, inbound replies carry
+// WhatsApp's context
+function replyToId(message) {
+  return message.reply_to_message_id || message.raw?.context?.id || null
+}
+
+function summarize(message) {
+  return {
+    message_id: message.message_id,
+    kind: message.kind,
+    direction: direction(message),
+    type: message.type,
+    body: message.body,
+    created_at: message.created_at,
+  }
+}
+
+// Current reactions per message id, ours and the contact's (see lib/reactions.js)
+function groupReactions(reactions) {
+  const byMessage = new Map()
+  for (const r of reactions) {
+    if (!byMessage.has(r.message_id)) byMessage.set(r.message_id, [])
+    byMessage.get(r.message_id).push({
+      direction: r.direction,
+      emoji: r.emoji,
+      agent: r.agent || null,
+      reacted_at: r.updated_at || r.created_at,
+    })
+  }
+  return byMessage
+}
+
+// messages: rows in chronological order; events: status events for their ids;
+// replyTargets: rows referenced as reply context, keyed by message_id; reactions:
+// message_reactions rows for their ids.
+// Raw payloads are left out; they stay available through /logs.
+function buildThread(messages, events, replyTargets = new Map(), reactions = []) {
+  const eventsByMessage = groupEvents(events)
+  const reactionsByMessage = groupReactions(reactions)
+  return messages.map(message => {
+    const { raw, ...row } = message
+    const replyTo = replyToId(message)
+    const target = replyTo ? replyTargets.get(replyTo) : null
+    return {
+      ...row,
+      direction: direction(message),
+      delivery: direction(message) === 'outbound'
+        ? deliveryStatus(eventsByMessage.get(message.message_id), message.status)
+        : null,
+      reply_to: replyTo ? { message_id: replyTo, message: target ? summarize(target) : null } : null,
+      reactions: reactionsByMessage.get(message.message_id) || [],
+    }
+  })
+}
+
+module.exports = {
+  INBOUND_KINDS,
+  OUTBOUND_KINDS,
+  THREAD_KINDS,
+  direction,
+  messagePhone,
+  deliveryStatus,
+  groupEvents,
+  groupReactions,
+  replyToId,
+  buildThread,
+}
@@ -0,0 +1,31 @@
+// Small in-memory set with per-key expiry. Map preserves insertion order, so the
+// oldest keys are evicted first once maxSize is reached.
+function createTtlCache({ ttlMs = 60 * 60 * 1000, maxSize = 10000 } = {}) {
+  const entries = new Map()
+
+  function has(key) {
+    const expiresAt = entries.get(key)
+    if (expiresAt === undefined) return false
+    if (expiresAt <= Date.now()) {
+      entries.delete(key)
+      return false
+    }
+    return true
+  }
+
+  function add(key) {
+    entries.delete(key)
+    entries.set(key, Date.now() + ttlMs)
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value)
+    }
+  }
+
+  function remove(key) {
+    entries.delete(key)
+  }
+
+  return { has, add, remove, get size() { return entries.size } }
+}
+
+module.exports = { createTtlCache }
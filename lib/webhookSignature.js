@@ -0,0 +1,53 @@
+const crypto = require('crypto')
+const metrics = require('./metrics')
+
+// Meta signs every webhook POST with HMAC-SHA256 of the raw body using the app secret,
+// sent as `X-Hub-Signature-256: sha256=<hex>`
+function computeSignature(rawBody, appSecret) {
+  return 'sha256=' + crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')
+}
+
+function isValidSignature(rawBody, header, appSecret) {
+  if (!rawBody || !header || !appSecret) return false
+  const expected = Buffer.from(computeSignature(rawBody, appSecret))
+  const received = Buffer.from(String(header))
+  // timingSafeEqual throws on length mismatch
+  if (expected.length !== received.length) return false
+  return crypto.timingSafeEqual(expected, received)
+}
+
+// Capture the exact bytes Meta signed; pass to express.json({ verify })
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf
+}
+
+function verifyWebhookSignature({ appSecret, disabled = false }) {
+  return (req, res, next) => {
+    if (disabled) {
+      metrics.increment('webhook_signature_skipped')
+      return next()
+    }
+    if (!appSecret) {
+      metrics.increment('webhook_signature_rejected_unconfigured')
+      console.error('Rejecting webhook: WHATSAPP_APP_SECRET is not set')
+      return res.status(500).send('Webhook signature verification not configured')
+    }
+
+    const header = req.get('x-hub-signature-256')
+    if (!header) {
+      metrics.increment('webhook_signature_rejected_missing')
+      console.warn('Rejecting webhook: missing X-Hub-Signature-256 from', req.ip)
+      return res.status(401).send('Missing signature')
+    }
+    if (!isValidSignature(req.rawBody, header, appSecret)) {
+      metrics.increment('webhook_signature_rejected_invalid')
+      console.warn('Rejecting webhook: invalid X-Hub-Signature-256 from', req.ip)
+      return res.status(403).send('Invalid signature')
+    }
+
+    metrics.increment('webhook_signature_verified')
+    next()
+  }
+}
+
+module.exports = { computeSignature, isValidSignature, captureRawBody, verifyWebhookSignature }
@@ -0,0 +1,246 @@
+-- SQLite schema for STORAGE_DRIVER=sqlite, applied on startup by lib/store/sqlite.js.
+-- Mirrors supabase/*.sql; timestamps are ISO-8601 text, json columns are JSON text.
+
+create table if not exists messages (
+  id integer primary key autoincrement,
+  kind text not null,
+  "from" text,
+  "to" text,
+  type text,
+  body text,
+  message_id text unique,
+  reply_to_message_id text,
+  status text,
+  timestamp text,
+  interactive jsonb,
+  interactive_selection jsonb,
+  raw jsonb,
+  phone text,
+  media_id text,
+  media_mime_type text,
+  media_sha256 text,
+  media_filename text,
+  media_size integer,
+  media_url text,
+  media_storage_key text,
+  caption text,
+  location jsonb,
+  contacts jsonb,
+  campaign_id integer,
+  agent text,
+  phone_number_id text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create index if not exists messages_phone_created_at_idx on messages (phone, created_at);
+create index if not exists messages_number_phone_created_at_idx on messages (phone_number_id, phone, created_at);
+create index if not exists messages_created_at_idx on messages (created_at);
+
+create table if not exists message_status_events (
+  id integer primary key autoincrement,
+  message_id text not null,
+  status text not null,
+  recipient_id text,
+  timestamp text,
+  raw jsonb,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  unique (message_id, status)
+);
+
+create table if not exists message_reactions (
+  id integer primary key autoincrement,
+  message_id text not null,
+  direction text not null,
+  emoji text not null,
+  reaction_message_id text,
+  agent text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text,
+  unique (message_id, direction)
+);
+
+create table if not exists contacts (
+  id integer primary key autoincrement,
+  phone_number_id text not null,
+  phone text not null,
+  name text,
+  last_message_id text,
+  last_body text,
+  last_type text,
+  last_kind text,
+  last_direction text,
+  last_sender_id text,
+  last_recipient_phone text,
+  last_timestamp text,
+  total_messages integer not null default 0,
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  flow_state text,
+  flow_vars jsonb not null default '{}',
+  flow_updated_at text,
+  last_inbound_at text,
+  consent_status text,
+  consent_updated_at text,
+  consent_source text,
+  conversation_status text not null default 'bot',
+  assigned_agent text,
+  assigned_at text,
+  unread_count integer not null default 0,
+  conversation_updated_at text,
+  tags jsonb not null default '[]',
+  attributes jsonb not null default '{}',
+  unique (phone_number_id, phone)
+);
+
+create index if not exists contacts_conversation_idx on contacts (conversation_status, assigned_agent);
+
+create table if not exists webhook_jobs (
+  id integer primary key autoincrement,
+  queue text not null default 'webhook',
+  payload jsonb not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  max_attempts integer not null default 8,
+  last_error text,
+  run_at text not null,
+  locked_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create index if not exists webhook_jobs_queue_status_run_at_idx on webhook_jobs (queue, status, run_at);
+
+create table if not exists webhook_subscriptions (
+  id integer primary key autoincrement,
+  url text not null,
+  events jsonb not null default '["*"]',
+  secret text not null,
+  description text,
+  active boolean not null default 1,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create table if not exists segments (
+  id integer primary key autoincrement,
+  phone_number_id text not null,
+  name text not null,
+  description text,
+  rules jsonb not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text,
+  unique (phone_number_id, name)
+);
+
+create table if not exists faqs (
+  id integer primary key autoincrement,
+  phone_number_id text not null,
+  question text not null,
+  answer text not null,
+  keywords jsonb not null default '[]',
+  active boolean not null default 1,
+  match_count integer not null default 0,
+  last_matched_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create table if not exists faq_unmatched (
+  id integer primary key autoincrement,
+  phone_number_id text not null,
+  phone text,
+  message_id text,
+  text text not null,
+  best_faq_id integer,
+  best_score real,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists faq_unmatched_number_created_at_idx on faq_unmatched (phone_number_id, created_at);
+
+create table if not exists campaigns (
+  id integer primary key autoincrement,
+  phone_number_id text,
+  name text not null,
+  status text not null default 'running',
+  message text,
+  template jsonb,
+  interactive jsonb,
+  filter jsonb not null default '{}',
+  rate_per_second real not null default 1,
+  total integer not null default 0,
+  started_at text,
+  completed_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create table if not exists campaign_recipients (
+  id integer primary key autoincrement,
+  campaign_id integer not null references campaigns (id) on delete cascade,
+  phone text not null,
+  status text not null default 'queued',
+  message_id text,
+  error text,
+  attempts integer not null default 0,
+  next_attempt_at text not null,
+  sent_at text,
+  delivered_at text,
+  read_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text,
+  unique (campaign_id, phone)
+);
+
+create index if not exists campaign_recipients_queue_idx on campaign_recipients (campaign_id, status, next_attempt_at);
+create index if not exists campaign_recipients_message_id_idx on campaign_recipients (message_id);
+
+create table if not exists schedules (
+  id integer primary key autoincrement,
+  phone_number_id text,
+  name text,
+  status text not null default 'active',
+  "to" text,
+  segment jsonb,
+  filter jsonb,
+  message text,
+  template jsonb,
+  interactive jsonb,
+  send_at text,
+  cron text,
+  timezone text not null default 'UTC',
+  end_at text,
+  next_run_at text,
+  last_run_at text,
+  created_by text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text
+);
+
+create index if not exists schedules_due_idx on schedules (status, next_run_at);
+
+create table if not exists schedule_runs (
+  id integer primary key autoincrement,
+  schedule_id integer not null references schedules (id) on delete cascade,
+  scheduled_for text not null,
+  status text not null default 'running',
+  result jsonb,
+  error text,
+  started_at text not null,
+  finished_at text,
+  unique (schedule_id, scheduled_for)
+);
+
+create table if not exists audit_log (
+  id integer primary key autoincrement,
+  actor text not null,
+  role text not null,
+  auth_method text,
+  method text not null,
+  path text not null,
+  target text,
+  details jsonb,
+  status_code integer,
+  ip text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
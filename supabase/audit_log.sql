@@ -0,0 +1,17 @@
+-- Who did what through the dashboard/admin API (written by auditRequest in index.js)
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  actor text not null, -- API key name or JWT subject
+  role text not null, -- viewer | agent | admin
+  auth_method text null, -- api_key | jwt | disabled
+  method text not null,
+  path text not null,
+  target text null, -- phone number acted on, when there is one
+  details jsonb null, -- request body
+  status_code int null,
+  ip text null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_actor_idx on public.audit_log (actor, created_at desc);
@@ -0,0 +1,39 @@
+-- Broadcast campaigns, sent in the background by lib/campaigns.js
+create table if not exists public.campaigns (
+  id bigint generated always as identity primary key,
+  name text not null,
+  status text not null default 'running', -- running | paused | completed | cancelled | failed
+  message text null, -- free text, or
+  template jsonb null, -- template send input (name, language, header, body, buttons)
+  filter jsonb not null default '{}'::jsonb,
+  rate_per_second numeric not null default 1,
+  total int not null default 0,
+  started_at timestamptz null,
+  completed_at timestamptz null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+create table if not exists public.campaign_recipients (
+  id bigint generated always as identity primary key,
+  campaign_id bigint not null references public.campaigns (id) on delete cascade,
+  phone text not null,
+  status text not null default 'queued', -- queued | sending | sent | delivered | read | failed | skipped | cancelled | interrupted
+  message_id text null, -- WhatsApp id of the sent message, matched against status webhooks
+  error text null,
+  attempts int not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  sent_at timestamptz null,
+  delivered_at timestamptz null,
+  read_at timestamptz null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null,
+  unique (campaign_id, phone)
+);
+
+create index if not exists campaign_recipients_queue_idx on public.campaign_recipients (campaign_id, status, next_attempt_at);
+create index if not exists campaign_recipients_message_id_idx on public.campaign_recipients (message_id);
+
+-- Link logged broadcast messages to their campaign
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS campaign_id bigint;
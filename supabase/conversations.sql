@@ -0,0 +1,27 @@
+-- Shared inbox: conversation state per contact (see lib/conversations.js)
+ALTER TABLE public.contacts
+  ADD COLUMN IF NOT EXISTS conversation_status text not null default 'bot', -- bot | pending_human | assigned | closed
+  ADD COLUMN IF NOT EXISTS assigned_agent text,   -- auth identity of the owning agent
+  ADD COLUMN IF NOT EXISTS assigned_at timestamptz,
+  ADD COLUMN IF NOT EXISTS unread_count int not null default 0,
+  ADD COLUMN IF NOT EXISTS conversation_updated_at timestamptz;
+
+-- flow_paused (set by a handoff action) is superseded by conversation_status
+UPDATE public.contacts
+  SET conversation_status = 'pending_human', conversation_updated_at = flow_updated_at
+  WHERE flow_paused AND conversation_status = 'bot';
+
+create index if not exists contacts_conversation_idx on public.contacts (conversation_status, assigned_agent);
+
+-- Called for every inbound message while a human has the conversation. numbers.sql
+-- replaces it with a per-number (p_phone_number_id, p_phone) version.
+create or replace function public.increment_contact_unread(p_phone text)
+returns void
+language sql
+as $$
+  update public.contacts set unread_count = unread_count + 1 where phone = p_phone;
+$$;
+
+-- Which agent sent an outgoing message from the inbox
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS agent text;
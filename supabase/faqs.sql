@@ -0,0 +1,29 @@
+-- FAQ auto-responder (lib/faq.js): answers the bot sends when a follow-up text matches a
+-- question or keyword, and the texts nothing matched, to see which FAQs are missing
+create table if not exists public.faqs (
+  id bigint generated always as identity primary key,
+  phone_number_id text not null,     -- the business number that answers with it
+  question text not null,
+  answer text not null,
+  keywords jsonb not null default '[]'::jsonb, -- lowercase words or phrases
+  active boolean not null default true,
+  match_count int not null default 0,
+  last_matched_at timestamptz null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+create index if not exists faqs_phone_number_id_idx on public.faqs (phone_number_id);
+
+create table if not exists public.faq_unmatched (
+  id bigint generated always as identity primary key,
+  phone_number_id text not null,
+  phone text null,
+  message_id text null,
+  text text not null,
+  best_faq_id bigint null,           -- the closest FAQ and its score, if any scored
+  best_score real null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists faq_unmatched_number_created_at_idx on public.faq_unmatched (phone_number_id, created_at desc);
@@ -51,4 +51,82 @@ CREATE INDEX IF NOT EXISTS messages_message_id_idx ON public.messages (message_i
 -- alter table public.messages enable row level security;
 -- create policy "Allow all inserts from service role" on public.messages for insert to public using (true) with check (true);
 
--- If you plan to insert from server with service key, RLS can remain disabled
\ No newline at end of file
+-- If you plan to insert from server with service key, RLS can remain disabled
+-- Idempotent webhook ingestion: Meta retries deliveries, so each WhatsApp message id
+-- may only be stored once. Remove existing duplicates (keep the oldest row) first.
+-- NULL message_ids (our own replies) are unaffected, NULLs never conflict.
+DELETE FROM public.messages a
+  USING public.messages b
+  WHERE a.message_id IS NOT NULL
+    AND a.message_id = b.message_id
+    AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS messages_message_id_key ON public.messages (message_id);
+DROP INDEX IF EXISTS public.messages_message_id_idx;
+
+-- One row per (message id, status) so replayed status webhooks are recognised
+create table if not exists public.message_status_events (
+  id bigint generated always as identity primary key,
+  message_id text not null,
+  status text not null, -- sent | delivered | read | failed
+  recipient_id text null,
+  timestamp text null,
+  raw jsonb null,
+  created_at timestamptz not null default now(),
+  unique (message_id, status)
+);
+
+-- Media, location and contact-card messages
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS media_id text,           -- WhatsApp media id
+  ADD COLUMN IF NOT EXISTS media_mime_type text,
+  ADD COLUMN IF NOT EXISTS media_sha256 text,
+  ADD COLUMN IF NOT EXISTS media_filename text,
+  ADD COLUMN IF NOT EXISTS media_size bigint,
+  ADD COLUMN IF NOT EXISTS media_url text,          -- where we stored our copy
+  ADD COLUMN IF NOT EXISTS media_storage_key text,
+  ADD COLUMN IF NOT EXISTS caption text,
+  ADD COLUMN IF NOT EXISTS location jsonb,
+  ADD COLUMN IF NOT EXISTS contacts jsonb;
+
+-- Per-contact bot flow state (see config/flow.yaml and lib/flowEngine.js)
+ALTER TABLE public.contacts
+  ADD COLUMN IF NOT EXISTS flow_state text,
+  ADD COLUMN IF NOT EXISTS flow_vars jsonb not null default '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS flow_paused boolean not null default false, -- set by a handoff action
+  ADD COLUMN IF NOT EXISTS flow_updated_at timestamptz;
+
+-- Existing contacts have already been welcomed: start them in the default flow's
+-- post-welcome state instead of greeting them again
+UPDATE public.contacts SET flow_state = 'welcomed' WHERE flow_state IS NULL;
+
+-- 24-hour customer service window: when the contact last messaged us
+ALTER TABLE public.contacts
+  ADD COLUMN IF NOT EXISTS last_inbound_at timestamptz;
+
+UPDATE public.contacts c
+  SET last_inbound_at = m.latest
+  FROM (
+    SELECT "from" AS phone, max(created_at) AS latest
+    FROM public.messages
+    WHERE kind = 'incoming'
+    GROUP BY "from"
+  ) m
+  WHERE c.phone = m.phone AND c.last_inbound_at IS NULL;
+
+create index if not exists contacts_last_inbound_at_idx on public.contacts (last_inbound_at);
+
+-- Opt-out / opt-in (suppression list). NULL = never expressed a preference.
+ALTER TABLE public.contacts
+  ADD COLUMN IF NOT EXISTS consent_status text, -- opted_out | opted_in
+  ADD COLUMN IF NOT EXISTS consent_updated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS consent_source text; -- keyword | api | ...
+
+create index if not exists contacts_consent_status_idx on public.contacts (consent_status);
+
+-- Interactive replies (button / list selections) are logged as-is
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS interactive jsonb;
+
+-- Date-range scans for GET /analytics
+create index if not exists messages_created_at_idx on public.messages (created_at);
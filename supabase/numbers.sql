@@ -0,0 +1,69 @@
+-- Several business phone numbers (lib/numbers.js). Contacts, messages, campaigns and
+-- schedules belong to the number (WhatsApp phone_number_id) they were sent from or to;
+-- someone who writes to two of our numbers is two contacts.
+--
+-- Run after messages.sql, campaigns.sql, conversations.sql and schedules.sql, whose
+-- tables and functions this changes (run order: supabase/README.md).
+--
+-- Existing rows are given the number configured before (PHONE_NUMBER_ID), so run this
+-- with psql and pass that id:
+--   psql "$DATABASE_URL" -v phone_number_id=<PHONE_NUMBER_ID> -f supabase/numbers.sql
+-- Without it (or in an SQL editor) the script stops before changing anything.
+\set ON_ERROR_STOP on
+begin;
+
+ALTER TABLE public.contacts
+  ADD COLUMN IF NOT EXISTS phone_number_id text;
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS phone_number_id text;
+ALTER TABLE public.campaigns
+  ADD COLUMN IF NOT EXISTS phone_number_id text;
+ALTER TABLE public.schedules
+  ADD COLUMN IF NOT EXISTS phone_number_id text;
+
+-- psql variables don't reach into DO blocks, so the id is checked via a setting
+select set_config('numbers.backfill_id', :'phone_number_id', true);
+do $$
+begin
+  if current_setting('numbers.backfill_id') !~ '^[0-9]+$' then
+    raise exception 'phone_number_id must be a WhatsApp phone number id (digits only), got "%"',
+      current_setting('numbers.backfill_id');
+  end if;
+end
+$$;
+
+UPDATE public.contacts SET phone_number_id = :'phone_number_id' WHERE phone_number_id IS NULL;
+UPDATE public.messages SET phone_number_id = :'phone_number_id' WHERE phone_number_id IS NULL;
+UPDATE public.campaigns SET phone_number_id = :'phone_number_id' WHERE phone_number_id IS NULL;
+UPDATE public.schedules SET phone_number_id = :'phone_number_id' WHERE phone_number_id IS NULL;
+
+ALTER TABLE public.contacts
+  ALTER COLUMN phone_number_id SET NOT NULL;
+ALTER TABLE public.contacts
+  DROP CONSTRAINT IF EXISTS contacts_phone_key;
+create unique index if not exists contacts_number_phone_key on public.contacts (phone_number_id, phone);
+
+create index if not exists messages_number_phone_created_at_idx on public.messages (phone_number_id, phone, created_at);
+
+-- The counters now need the number as well. Drop the one-argument versions (the
+-- unread one is from conversations.sql) so no overload is left that ignores the number.
+DROP FUNCTION IF EXISTS public.increment_contact_messages(text);
+DROP FUNCTION IF EXISTS public.increment_contact_unread(text);
+
+create or replace function public.increment_contact_messages(p_phone_number_id text, p_phone text)
+returns void
+language sql
+as $$
+  update public.contacts set total_messages = total_messages + 1
+  where phone_number_id = p_phone_number_id and phone = p_phone;
+$$;
+
+create or replace function public.increment_contact_unread(p_phone_number_id text, p_phone text)
+returns void
+language sql
+as $$
+  update public.contacts set unread_count = unread_count + 1
+  where phone_number_id = p_phone_number_id and phone = p_phone;
+$$;
+
+commit;
@@ -0,0 +1,14 @@
+-- Emoji reactions (lib/reactions.js). WhatsApp allows one reaction per side per message,
+-- so a row is keyed by the reacted-to message id and who reacted; a new emoji replaces
+-- the old one and removing a reaction deletes the row.
+create table if not exists public.message_reactions (
+  id bigint generated always as identity primary key,
+  message_id text not null,          -- the reacted-to message (messages.message_id)
+  direction text not null,           -- inbound (the contact) | outbound (us)
+  emoji text not null,
+  reaction_message_id text null,     -- wamid of the reaction message itself
+  agent text null,                   -- auth identity of the agent who reacted
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null,
+  unique (message_id, direction)
+);
@@ -0,0 +1,40 @@
+-- Scheduled and recurring sends, run by the scheduler in lib/schedules.js
+create table if not exists public.schedules (
+  id bigint generated always as identity primary key,
+  name text null,
+  status text not null default 'active', -- active | completed | cancelled
+  "to" text null, -- one phone, or
+  segment jsonb null, -- saved segment id or inline rules, and/or
+  filter jsonb null, -- broadcast filter (hasName, lastMessageAfter); sent as a campaign
+  message text null, -- free text, or
+  template jsonb null, -- template send input, or
+  interactive jsonb null, -- lib/messageBuilder.js input (buttons, list, ...)
+  send_at timestamptz null, -- one-off, or
+  cron text null, -- recurring: "minute hour day-of-month month day-of-week"
+  timezone text not null default 'UTC', -- IANA name the cron expression runs in
+  end_at timestamptz null,
+  next_run_at timestamptz null, -- null once completed or cancelled
+  last_run_at timestamptz null,
+  created_by text null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+create index if not exists schedules_due_idx on public.schedules (status, next_run_at);
+
+-- One row per slot; the unique key is what stops a slot being sent twice
+create table if not exists public.schedule_runs (
+  id bigint generated always as identity primary key,
+  schedule_id bigint not null references public.schedules (id) on delete cascade,
+  scheduled_for timestamptz not null,
+  status text not null default 'running', -- running | sent | skipped | failed | interrupted
+  result jsonb null, -- { message_id } or { campaign_id, total }
+  error text null,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz null,
+  unique (schedule_id, scheduled_for)
+);
+
+-- Broadcasts (and scheduled sends to contacts) can carry a builder message
+ALTER TABLE public.campaigns
+  ADD COLUMN IF NOT EXISTS interactive jsonb;
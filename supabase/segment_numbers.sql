@@ -0,0 +1,33 @@
+-- Saved segments belong to a number, like the contacts they select (numbers.sql); names
+-- are unique per number. Run after segments.sql and numbers.sql (supabase/README.md).
+--
+-- Existing segments are given the number configured before (PHONE_NUMBER_ID), so run
+-- this with psql and pass that id:
+--   psql "$DATABASE_URL" -v phone_number_id=<PHONE_NUMBER_ID> -f supabase/segment_numbers.sql
+-- Without it (or in an SQL editor) the script stops before changing anything.
+\set ON_ERROR_STOP on
+begin;
+
+ALTER TABLE public.segments
+  ADD COLUMN IF NOT EXISTS phone_number_id text;
+
+-- psql variables don't reach into DO blocks, so the id is checked via a setting
+select set_config('segments.backfill_id', :'phone_number_id', true);
+do $$
+begin
+  if current_setting('segments.backfill_id') !~ '^[0-9]+$' then
+    raise exception 'phone_number_id must be a WhatsApp phone number id (digits only), got "%"',
+      current_setting('segments.backfill_id');
+  end if;
+end
+$$;
+
+UPDATE public.segments SET phone_number_id = :'phone_number_id' WHERE phone_number_id IS NULL;
+
+ALTER TABLE public.segments
+  ALTER COLUMN phone_number_id SET NOT NULL;
+ALTER TABLE public.segments
+  DROP CONSTRAINT IF EXISTS segments_name_key;
+create unique index if not exists segments_number_name_key on public.segments (phone_number_id, name);
+
+commit;
@@ -0,0 +1,13 @@
+-- Contact tags, custom attributes and saved segments (lib/contacts.js, lib/segments.js)
+ALTER TABLE public.contacts
+  ADD COLUMN IF NOT EXISTS tags text[] not null default '{}',          -- lowercase labels
+  ADD COLUMN IF NOT EXISTS attributes jsonb not null default '{}'::jsonb; -- { key: string | number | boolean }
+
+create table if not exists public.segments (
+  id bigint generated always as identity primary key,
+  name text unique not null,
+  description text null,
+  rules jsonb not null, -- { match: all | any, conditions: [...] }
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
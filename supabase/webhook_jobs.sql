@@ -0,0 +1,17 @@
+-- Raw webhook deliveries, persisted before we acknowledge Meta and drained by the
+-- background worker in lib/jobQueue.js
+create table if not exists public.webhook_jobs (
+  id bigint generated always as identity primary key,
+  payload jsonb not null,
+  status text not null default 'pending', -- pending | processing | done | dead
+  attempts int not null default 0,
+  max_attempts int not null default 8,
+  last_error text null,
+  run_at timestamptz not null default now(),
+  locked_at timestamptz null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+-- Worker polls for due pending jobs
+create index if not exists webhook_jobs_status_run_at_idx on public.webhook_jobs (status, run_at);
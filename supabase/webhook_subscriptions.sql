@@ -0,0 +1,20 @@
+-- Outgoing webhooks: our own events forwarded to CRM / ticketing systems
+-- (lib/outgoingWebhooks.js). Deliveries are jobs on the 'deliveries' queue.
+create table if not exists public.webhook_subscriptions (
+  id bigint generated always as identity primary key,
+  url text not null,
+  events jsonb not null default '["*"]'::jsonb, -- event types, or "*" for all
+  secret text not null, -- HMAC key for the X-Signature-256 header
+  description text null,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+-- webhook_jobs now holds more than one queue: 'webhook' (inbound Meta deliveries)
+-- and 'deliveries' (outgoing webhook POSTs)
+ALTER TABLE public.webhook_jobs
+  ADD COLUMN IF NOT EXISTS queue text not null default 'webhook';
+
+drop index if exists public.webhook_jobs_status_run_at_idx;
+create index if not exists webhook_jobs_queue_status_run_at_idx on public.webhook_jobs (queue, status, run_at);
@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startTestServer, waitFor, NUMBERS } = require('./support/server')
+const { textMessage, statusUpdate, incoming, statuses } = require('./support/webhookPayloads')
+const { createCampaignSender } = require('../lib/campaigns')
+const { createMemoryStore } = require('../lib/store/memory')
+const { parseCron, nextCronTime } = require('../lib/cron')
+
+let server
+
+// Contacts are created the way they are in production: by messaging the bot,
+// which also opens their service window for free-text broadcasts
+async function seedContacts(phones, { phoneNumberId = NUMBERS.main } = {}) {
+  for (const from of phones) {
+    await server.postWebhook(incoming([textMessage({ from, body: 'Hi' })], { phoneNumberId }))
+    await server.graph.waitForSent(1, { to: from })
+  }
+}
+
+async function finished(campaignId, { headers } = {}) {
+  return waitFor(async () => {
+    const { body } = await server.api('GET', `/campaigns/${campaignId}`, { headers })
+    return body.status === 'completed' && body
+  }, { what: `campaign ${campaignId} to complete` })
+}
+
+const broadcasts = () => server.graph.sent().filter(c => c.body.text?.body?.startsWith('Broadcast:'))
+
+before(async () => {
+  server = await startTestServer()
+  await seedContacts(['15552000001', '15552000002', '15552000003'])
+})
+
+after(async () => {
+  await server.close()
+})
+
+test('a broadcast reaches every subscribed contact and skips opted-out ones', async () => {
+  await server.postWebhook(incoming([textMessage({ from: '15552000003', body: 'stop' })], { phoneNumberId: NUMBERS.main }))
+  await waitFor(async () => {
+    const { body } = await server.api('GET', '/contacts/15552000003/thread')
+    return body.contact.consent_status === 'opted_out'
+  }, { what: 'the opt-out' })
+
+  const created = await server.api('POST', '/broadcast', { body: { name: 'Launch', message: 'Broadcast: we are live' } })
+  assert.equal(created.status, 202)
+  assert.equal(created.body.total, 2)
+
+  const campaign = await finished(created.body.campaign_id)
+  assert.equal(campaign.counts.sent, 2)
+  assert.equal(campaign.percent, 100)
+  assert.deepEqual(broadcasts().map(c => c.body.to).sort(), ['15552000001', '15552000002'])
+  assert.ok(broadcasts().every(c => c.phoneNumberId === NUMBERS.main))
+})
+
+test('delivery receipts are counted against the campaign', async () => {
+  const { body: list } = await server.api('GET', '/campaigns')
+  const campaign = list.data.find(c => c.name === 'Launch')
+  const { body: recipients } = await server.api('GET', `/campaigns/${campaign.id}/recipients`)
+
+  await server.postWebhook(statuses(recipients.data.map(r =>
+    statusUpdate({ id: r.message_id, recipient: r.phone, status: 'delivered' })), { phoneNumberId: NUMBERS.main }))
+  await server.postWebhook(statuses([
+    statusUpdate({ id: recipients.data[0].message_id, recipient: recipients.data[0].phone, status: 'read' }),
+  ], { phoneNumberId: NUMBERS.main }))
+
+  const progress = await waitFor(async () => {
+    const { body } = await server.api('GET', `/campaigns/${campaign.id}`)
+    return body.counts.read === 1 && body
+  }, { what: 'the read receipt' })
+  assert.equal(progress.counts.delivered, 1)
+  assert.equal(progress.counts.sent, 0)
+
+  const logs = await server.api('GET', `/logs?kind=broadcast&phone=${recipients.data[0].phone}`)
+  assert.equal(logs.body.data.length, 1)
+  assert.equal(logs.body.data[0].campaign_id, campaign.id)
+})
+
+test('a rejected recipient fails without stopping the campaign', async () => {
+  server.graph.failNext({ to: '15552000001', code: 131026, message: 'Message undeliverable' })
+
+  const created = await server.api('POST', '/broadcast', { body: { message: 'Broadcast: second wave' } })
+  const campaign = await finished(created.body.campaign_id)
+  assert.equal(campaign.counts.failed, 1)
+  assert.equal(campaign.counts.sent, 1)
+
+  const { body } = await server.api('GET', `/campaigns/${campaign.id}/recipients?status=failed`)
+  assert.equal(body.data[0].phone, '15552000001')
+  assert.ok(body.data[0].error)
+})
+
+test('a throttled send is retried and still delivered', async () => {
+  server.graph.failNext({ to: '15552000002', code: 130429, message: 'Rate limit hit' })
+
+  const created = await server.api('POST', '/broadcast', { body: { message: 'Broadcast: third wave' } })
+  const campaign = await finished(created.body.campaign_id)
+  assert.equal(campaign.counts.sent, 2)
+  const attempts = server.graph.calls().filter(c => c.body.to === '15552000002' && c.body.text?.body === 'Broadcast: third wave')
+  assert.deepEqual(attempts.map(c => c.failed || 'sent'), [130429, 'sent'])
+})
+
+test('a broadcast goes out from the number it was created for', async () => {
+  await seedContacts(['15552000004'], { phoneNumberId: NUMBERS.support })
+
+  const support = { 'X-Phone-Number-Id': NUMBERS.support }
+  const created = await server.api('POST', '/broadcast', { body: { message: 'Broadcast: support hours' }, headers: support })
+  assert.equal(created.body.total, 1)
+  await finished(created.body.campaign_id, { headers: support })
+
+  const [sent] = server.graph.sent({ to: '15552000004' }).filter(c => c.body.text?.body === 'Broadcast: support hours')
+  assert.equal(sent.phoneNumberId, NUMBERS.support)
+  assert.equal(sent.token, 'test-token-support')
+})
+
+test('a broadcast without content is rejected', async () => {
+  const res = await server.api('POST', '/broadcast', { body: { name: 'Empty' } })
+  assert.equal(res.status, 400)
+})
+
+test("another number's campaigns and schedules are not found", async () => {
+  const support = { 'X-Phone-Number-Id': NUMBERS.support }
+  const { body: list } = await server.api('GET', '/campaigns')
+  const campaign = list.data[0]
+  assert.equal((await server.api('GET', `/campaigns/${campaign.id}`, { headers: support })).status, 404)
+  assert.equal((await server.api('GET', `/campaigns/${campaign.id}/recipients`, { headers: support })).status, 404)
+  assert.equal((await server.api('POST', `/campaigns/${campaign.id}/cancel`, { headers: support })).status, 404)
+
+  const created = await server.api('POST', '/schedules', {
+    body: { to: '15552000001', message: 'Broadcast: reminder', send_at: new Date(Date.now() + 3600 * 1000).toISOString() },
+  })
+  assert.equal(created.status, 201)
+  const path = `/schedules/${created.body.id}`
+  assert.equal((await server.api('GET', path, { headers: support })).status, 404)
+  assert.equal((await server.api('GET', `${path}/runs`, { headers: support })).status, 404)
+  assert.equal((await server.api('POST', path, { body: { message: 'Hijacked' }, headers: support })).status, 404)
+  assert.equal((await server.api('POST', `${path}/cancel`, { headers: support })).status, 404)
+
+  const { body: schedule } = await server.api('GET', path)
+  assert.equal(schedule.status, 'active')
+  assert.equal(schedule.message, 'Broadcast: reminder')
+  assert.equal((await server.api('POST', `${path}/cancel`)).status, 200)
+})
+
+test('a recipient caught mid-send by a restart is not sent again', async () => {
+  const store = createMemoryStore()
+  const sent = []
+  const send = async (campaign, recipient) => {
+    sent.push(recipient.phone)
+    return { message_id: `wamid.${recipient.phone}` }
+  }
+
+  const crashed = createCampaignSender({ store, send })
+  const campaign = await crashed.createCampaign({
+    phoneNumberId: NUMBERS.main,
+    message: 'Broadcast: restart',
+    ratePerSecond: 100,
+    phones: ['15552000101', '15552000102', '15552000103'],
+  })
+  const [stale, live] = await store.dueRecipients(campaign.id, new Date().toISOString(), 2)
+  // A process that died mid-send an hour ago, and another instance sending right now
+  await store.claimRecipient(stale.id)
+  await store.updateRecipient(stale.id, { updated_at: new Date(Date.now() - 3600 * 1000).toISOString() })
+  await store.claimRecipient(live.id)
+
+  const restarted = createCampaignSender({ store, send, pollIntervalMs: 10 })
+  await restarted.start()
+  const progress = await waitFor(async () => {
+    const progress = await restarted.progress(campaign.id)
+    return progress.counts.sent === 1 && progress.counts.interrupted === 1 && progress
+  }, { what: 'the queued recipient to be sent after the restart' })
+  restarted.stop()
+
+  assert.deepEqual(sent, ['15552000103'])
+  assert.equal(progress.counts.sending, 1)
+  const { data: [interrupted] } = await store.listRecipients(campaign.id, { status: 'interrupted' })
+  assert.equal(interrupted.phone, stale.phone)
+  assert.match(interrupted.error, /restarted mid-send/)
+  const { data: [sending] } = await store.listRecipients(campaign.id, { status: 'sending' })
+  assert.equal(sending.phone, live.phone)
+})
+
+test('a day field starting with * leaves the other day field to decide', () => {
+  const mondays = parseCron('0 9 */1 * 1')
+  assert.equal(mondays.ok, true)
+  let at = Date.parse('2026-03-04T00:00:00Z')
+  const fired = []
+  for (let i = 0; i < 3; i++) {
+    at = nextCronTime(mondays.cron, at)
+    fired.push(new Date(at).toISOString())
+  }
+  assert.deepEqual(fired, ['2026-03-09T09:00:00.000Z', '2026-03-16T09:00:00.000Z', '2026-03-23T09:00:00.000Z'])
+
+  // Both restricted: either one matches (the 1st, or any Monday)
+  const either = parseCron('0 9 1 * 1').cron
+  assert.equal(new Date(nextCronTime(either, Date.parse('2026-03-24T00:00:00Z'))).toISOString(), '2026-03-30T09:00:00.000Z')
+  assert.equal(new Date(nextCronTime(either, Date.parse('2026-03-31T00:00:00Z'))).toISOString(), '2026-04-01T09:00:00.000Z')
+})
@@ -0,0 +1,188 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startTestServer, NUMBERS, API_KEYS } = require('./support/server')
+const { parseApiKeys } = require('../lib/auth')
+const { textMessage, incoming } = require('./support/webhookPayloads')
+
+let server
+
+before(async () => {
+  server = await startTestServer()
+  await server.postWebhook(incoming([textMessage({ from: '15553000001', body: 'Hello' })], { phoneNumberId: NUMBERS.main }))
+  await server.graph.waitForSent(1, { to: '15553000001' })
+})
+
+after(async () => {
+  await server.close()
+})
+
+const contact = async (phone, headers) => {
+  const { body } = await server.api('GET', `/contacts?search=${phone}`, { headers })
+  return body.data[0]
+}
+
+test('API routes need a key with a high enough role', async () => {
+  assert.equal((await server.api('GET', '/contacts', { role: null })).status, 401)
+  assert.equal((await server.api('GET', '/contacts', { role: null, headers: { 'X-API-Key': 'nope' } })).status, 401)
+  assert.equal((await server.api('GET', '/contacts', { role: 'viewer' })).status, 200)
+
+  const denied = await server.api('POST', '/contacts/set-name', { role: 'viewer', body: { phone: '15553000009', name: 'X' } })
+  assert.equal(denied.status, 403)
+  assert.ok(!await contact('15553000009'))
+})
+
+test('unnamed API keys are identified without revealing the key', () => {
+  const keys = parseApiKeys('s3cr3t-admin-key:admin,s3cr3t-agent-key:agent:ops')
+  const { id, role } = keys.get('s3cr3t-admin-key')
+  assert.equal(role, 'admin')
+  assert.match(id, /^key-[0-9a-f]{8}$/)
+  assert.ok(!id.includes('s3cr'))
+  assert.equal(parseApiKeys('s3cr3t-admin-key:admin').get('s3cr3t-admin-key').id, id)
+  assert.equal(keys.get('s3cr3t-agent-key').id, 'ops')
+})
+
+test('contacts from incoming messages are listed and searchable', async () => {
+  const all = await server.api('GET', '/contacts')
+  assert.equal(all.status, 200)
+  assert.equal(all.body.total, 1)
+
+  const [first] = all.body.data
+  assert.equal(first.phone, '15553000001')
+  assert.equal(first.window_open, true)
+
+  assert.equal((await server.api('GET', '/contacts?search=5553000001')).body.total, 1)
+  assert.equal((await server.api('GET', '/contacts?search=nobody')).body.total, 0)
+})
+
+test('set-name names existing contacts and creates new ones with normalized numbers', async () => {
+  await server.api('POST', '/contacts/set-name', { role: 'agent', body: { phone: '15553000001', name: 'Grace Hopper' } })
+  assert.equal((await server.api('GET', '/contacts?search=grace')).body.data[0].phone, '15553000001')
+
+  const res = await server.api('POST', '/contacts/set-name', {
+    role: 'agent',
+    body: { phone: '+1 (555) 300-0002', name: 'Alan Turing' },
+  })
+  assert.equal(res.status, 200)
+  assert.equal((await contact('15553000002')).name, 'Alan Turing')
+
+  const invalid = await server.api('POST', '/contacts/set-name', { body: { phone: 'not-a-phone', name: 'X' } })
+  assert.equal(invalid.status, 400)
+  assert.equal((await server.api('POST', '/contacts/set-name', { body: { phone: '15553000002' } })).status, 400)
+})
+
+test('tags and custom attributes can be edited', async () => {
+  const updated = await server.api('POST', '/contacts/15553000001', {
+    role: 'agent',
+    body: { tags: ['vip', 'lead'], attributes: { plan: 'pro', city: 'Arlington' } },
+  })
+  assert.equal(updated.status, 200)
+  assert.deepEqual(updated.body.tags, ['vip', 'lead'])
+  assert.deepEqual(updated.body.attributes, { plan: 'pro', city: 'Arlington' })
+
+  const tagged = await server.api('POST', '/contacts/15553000001/tags', { body: { add: ['customer'], remove: ['lead'] } })
+  assert.deepEqual(tagged.body.tags, ['vip', 'customer'])
+
+  // null removes an attribute, the rest are merged
+  await server.api('POST', '/contacts/15553000001', { body: { attributes: { city: null } } })
+  assert.deepEqual((await contact('15553000001')).attributes, { plan: 'pro' })
+
+  assert.equal((await server.api('POST', '/contacts/15553000099', { body: { name: 'Ghost' } })).status, 404)
+  assert.equal((await server.api('POST', '/contacts/15553000001', { body: { tags: 'vip' } })).status, 400)
+})
+
+test('contacts export as CSV', async () => {
+  const res = await server.api('GET', '/contacts/export')
+  assert.equal(res.status, 200)
+  assert.match(res.headers.get('content-type'), /text\/csv/)
+
+  const [header, ...rows] = res.body.trim().split(/\r?\n/)
+  assert.ok(header.startsWith('phone,name,tags'))
+  assert.ok(header.includes('plan'))
+  assert.ok(rows.some(row => row.startsWith('15553000001,Grace Hopper,vip;customer')))
+})
+
+test('logs list the message history with phone and kind filters', async () => {
+  const sent = await server.api('POST', '/send-message', { role: 'agent', body: { to: '15553000001', message: 'Following up' } })
+  assert.equal(sent.status, 200)
+
+  const all = await server.api('GET', '/logs?phone=15553000001')
+  assert.deepEqual(all.body.data.map(m => m.kind).sort(), ['incoming', 'outgoing', 'reply'])
+
+  const outgoing = await server.api('GET', '/logs?kind=outgoing&phone=%2B15553000001')
+  assert.equal(outgoing.body.total, 1)
+  assert.equal(outgoing.body.data[0].body, 'Following up')
+  assert.equal(outgoing.body.data[0].message_id, server.graph.sent({ to: '15553000001' }).at(-1).id)
+
+  const paged = await server.api('GET', '/logs?limit=1&page=2')
+  assert.equal(paged.body.data.length, 1)
+  assert.equal(paged.body.page, 2)
+})
+
+test('free text to a number that never wrote to us is refused as outside the window', async () => {
+  const refused = await server.api('POST', '/send-message', { role: 'agent', body: { to: '15553000077', message: 'Hi there' } })
+  assert.equal(refused.status, 422)
+  assert.equal(refused.body.code, 'outside_service_window')
+  assert.equal(refused.body.window_expires_at, null)
+  assert.equal(server.graph.sent({ to: '15553000077' }).length, 0)
+})
+
+test('every route is scoped to the number picked with X-Phone-Number-Id', async () => {
+  const support = { 'X-Phone-Number-Id': NUMBERS.support }
+  await server.api('POST', '/contacts/set-name', { body: { phone: '15553000001', name: 'Grace (support)' }, headers: support })
+
+  assert.equal((await contact('15553000001', support)).name, 'Grace (support)')
+  assert.equal((await contact('15553000001')).name, 'Grace Hopper')
+  assert.equal((await server.api('GET', '/logs?phone=15553000001', { headers: support })).body.total, 0)
+
+  const unknown = await server.api('GET', '/contacts', { headers: { 'X-Phone-Number-Id': '999' } })
+  assert.equal(unknown.status, 400)
+
+  const { body: numbers } = await server.api('GET', '/numbers')
+  assert.deepEqual(numbers.data.map(n => n.id).sort(), [NUMBERS.main, NUMBERS.support])
+  assert.ok(!JSON.stringify(numbers).includes('test-token'))
+})
+
+test('saved segments belong to one number', async () => {
+  const support = { 'X-Phone-Number-Id': NUMBERS.support }
+  const rules = { conditions: [{ field: 'tags', op: 'includes', value: 'vip' }] }
+  const created = await server.api('POST', '/segments', { body: { name: 'VIPs', rules } })
+  assert.equal(created.status, 201)
+  const path = `/segments/${created.body.id}`
+  assert.equal((await server.api('GET', path)).body.count, 1)
+
+  assert.deepEqual((await server.api('GET', '/segments', { headers: support })).body.data, [])
+  assert.equal((await server.api('GET', path, { headers: support })).status, 404)
+  assert.equal((await server.api('POST', path, { body: { name: 'Mine' }, headers: support })).status, 404)
+  assert.equal((await server.api('DELETE', path, { headers: support })).status, 404)
+  assert.equal((await server.api('GET', `/contacts?segment=${created.body.id}`, { headers: support })).status, 404)
+
+  // Names only need to be unique within a number
+  assert.equal((await server.api('POST', '/segments', { body: { name: 'VIPs', rules } })).status, 409)
+  assert.equal((await server.api('POST', '/segments', { body: { name: 'VIPs', rules }, headers: support })).status, 201)
+  assert.equal((await server.api('GET', path)).body.name, 'VIPs')
+})
+
+test('the event stream filters on normalized phone numbers', async () => {
+  const invalid = await server.api('GET', '/events?phone=15553000001,not-a-number', { role: 'viewer' })
+  assert.equal(invalid.status, 400)
+  assert.equal(invalid.body.error, 'Invalid phone number')
+
+  const controller = new AbortController()
+  const res = await fetch(`${server.baseUrl}/events?phone=${encodeURIComponent('+1 (555) 300-0001')}`, {
+    headers: { 'X-API-Key': API_KEYS.viewer },
+    signal: controller.signal,
+  })
+  assert.equal(res.status, 200)
+  try {
+    await server.api('POST', '/contacts/set-name', { role: 'agent', body: { phone: '15553000001', name: 'Grace Hopper' } })
+    const decoder = new TextDecoder()
+    let received = ''
+    for await (const chunk of res.body) {
+      received += decoder.decode(chunk, { stream: true })
+      if (received.includes('event: contact.updated')) break
+    }
+    assert.match(received, /"phone":"15553000001"/)
+  } finally {
+    controller.abort()
+  }
+})
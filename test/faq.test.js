@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startTestServer, waitFor, NUMBERS } = require('./support/server')
+const { textMessage, incoming } = require('./support/webhookPayloads')
+
+let server
+let pricing
+
+before(async () => {
+  server = await startTestServer()
+  const created = await server.api('POST', '/faqs', {
+    body: {
+      question: 'What are your prices for a website?',
+      answer: 'Hi {{contact.name|there}}, websites start at $500.',
+      keywords: ['pricing', 'how much', 'cost'],
+    },
+  })
+  assert.equal(created.status, 201)
+  pricing = created.body
+  await server.api('POST', '/faqs', {
+    body: {
+      question: 'Do you offer SEO services?',
+      answer: 'Yes, SEO audits and ongoing optimization.',
+      keywords: ['search ranking'],
+    },
+  })
+})
+
+after(async () => {
+  await server.close()
+})
+
+const deliver = (messages, phoneNumberId = NUMBERS.main) => server.postWebhook(incoming(messages, { phoneNumberId }))
+
+// Gets a contact past the welcome reply, where follow-up questions are answered
+async function welcomed(from, phoneNumberId = NUMBERS.main) {
+  await deliver([textMessage({ from, body: 'Hello' })], phoneNumberId)
+  await server.graph.waitForSent(1, { to: from })
+}
+
+async function ask(from, body, phoneNumberId = NUMBERS.main) {
+  const message = textMessage({ from, body })
+  await deliver([message], phoneNumberId)
+  const sent = await server.graph.waitForSent(2, { to: from })
+  return { message, reply: sent[1] }
+}
+
+test('a matching follow-up question is answered from the FAQs', async () => {
+  const from = '15556000001'
+  await welcomed(from)
+  const { message, reply } = await ask(from, "What's your pricing?")
+
+  assert.equal(reply.body.type, 'text')
+  assert.equal(reply.body.text.body, 'Hi there, websites start at $500.')
+  assert.equal(reply.body.context.message_id, message.id)
+
+  const logged = await waitFor(async () => {
+    const { body } = await server.api('GET', `/logs?phone=${from}&kind=reply`)
+    return body.total === 2 && body.data[0]
+  }, { what: 'the logged answer' })
+  assert.equal(logged.body, 'Hi there, websites start at $500.')
+  assert.equal(logged.message_id, reply.id)
+
+  const faq = await waitFor(async () => {
+    const { body } = await server.api('GET', `/faqs/${pricing.id}`)
+    return body.match_count > 0 && body
+  }, { what: 'the match count' })
+  assert.ok(faq.last_matched_at)
+})
+
+test('questions match despite typos and other word forms', async () => {
+  const from = '15556000002'
+  await welcomed(from)
+  const { reply } = await ask(from, 'can u improve my serch rankings?')
+  assert.equal(reply.body.text.body, 'Yes, SEO audits and ongoing optimization.')
+
+  const preview = await server.api('GET', `/faqs/match?text=${encodeURIComponent('how much does a websit cost')}`, { role: 'viewer' })
+  assert.equal(preview.status, 200)
+  assert.equal(preview.body.match, true)
+  assert.equal(preview.body.faq.id, pricing.id)
+  assert.equal(preview.body.threshold, 0.7)
+})
+
+test('unmatched questions get the call-to-action and are recorded', async () => {
+  const from = '15556000003'
+  await welcomed(from)
+  const { message, reply } = await ask(from, 'Can you build a mobile app?')
+  assert.equal(reply.body.type, 'interactive')
+  assert.equal(reply.body.interactive.type, 'cta_url')
+
+  const unmatched = await waitFor(async () => {
+    const { body } = await server.api('GET', '/faqs/unmatched', { role: 'viewer' })
+    return body.data.find(q => q.message_id === message.id)
+  }, { what: 'the unmatched question' })
+  assert.equal(unmatched.phone, from)
+  assert.equal(unmatched.text, 'Can you build a mobile app?')
+
+  assert.equal((await server.api('DELETE', `/faqs/unmatched/${unmatched.id}`, { role: 'agent' })).status, 403)
+  assert.equal((await server.api('DELETE', `/faqs/unmatched/${unmatched.id}`)).status, 200)
+  const { body } = await server.api('GET', '/faqs/unmatched')
+  assert.ok(!body.data.some(q => q.id === unmatched.id))
+  assert.equal((await server.api('DELETE', `/faqs/unmatched/${unmatched.id}`)).status, 404)
+})
+
+test('the first message still gets the welcome, not an FAQ answer', async () => {
+  const from = '15556000004'
+  await deliver([textMessage({ from, body: 'How much for a website?' })])
+  const [welcome] = await server.graph.waitForSent(1, { to: from })
+  assert.match(welcome.body.text.body, /Thanks for reaching out/)
+})
+
+test('FAQs are validated, updated and deleted by admins', async () => {
+  const post = (path, body, options) => server.api('POST', path, { body, ...options })
+  assert.equal((await post('/faqs', { answer: 'No question' })).status, 400)
+  assert.equal((await post('/faqs', { question: 'Hours?', answer: 'x'.repeat(4097) })).status, 400)
+  assert.equal((await post('/faqs', { question: 'Hours?', answer: '9-5', keywords: 'hours' })).status, 400)
+  assert.equal((await post('/faqs', { question: 'What is it?', answer: 'Stopwords only' })).status, 400)
+  assert.equal((await post('/faqs', { question: 'Hours?', answer: '9-5' }, { role: 'agent' })).status, 403)
+
+  const created = await post('/faqs', { question: 'What are your opening hours?', answer: '9 to 5', keywords: [' Hours ', 'hours'] })
+  assert.equal(created.status, 201)
+  assert.deepEqual(created.body.keywords, ['hours'])
+  assert.equal(created.body.active, true)
+
+  const updated = await post(`/faqs/${created.body.id}`, { answer: '9 to 6', active: false })
+  assert.equal(updated.status, 200)
+  assert.equal(updated.body.answer, '9 to 6')
+  assert.equal(updated.body.question, 'What are your opening hours?')
+  assert.equal((await post(`/faqs/${created.body.id}`, { active: 'no' })).status, 400)
+
+  // Inactive FAQs are listed but never answer
+  const inactive = await server.api('GET', '/faqs?active=false', { role: 'viewer' })
+  assert.deepEqual(inactive.body.data.map(f => f.id), [created.body.id])
+  assert.equal((await server.api('GET', '/faqs/match?text=opening%20hours')).body.match, false)
+
+  assert.equal((await server.api('DELETE', `/faqs/${created.body.id}`)).status, 200)
+  assert.equal((await server.api('GET', `/faqs/${created.body.id}`)).status, 404)
+  assert.equal((await server.api('GET', '/faqs/abc')).status, 404)
+  assert.equal((await server.api('GET', '/faqs/match')).status, 400)
+})
+
+test('FAQs belong to one number', async () => {
+  const support = { 'X-Phone-Number-Id': NUMBERS.support }
+  assert.equal((await server.api('GET', '/faqs', { headers: support })).body.total, 0)
+  assert.equal((await server.api('GET', `/faqs/${pricing.id}`, { headers: support })).status, 404)
+  assert.equal((await server.api('DELETE', `/faqs/${pricing.id}`, { headers: support })).status, 404)
+
+  const from = '15556000005'
+  await welcomed(from, NUMBERS.support)
+  const { reply } = await ask(from, "What's your pricing?", NUMBERS.support)
+  assert.equal(reply.body.interactive.type, 'cta_url')
+})
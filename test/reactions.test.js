@@ -0,0 +1,167 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startTestServer, waitFor, NUMBERS } = require('./support/server')
+const { textMessage, mediaMessage, incoming } = require('./support/webhookPayloads')
+
+let server
+
+before(async () => {
+  server = await startTestServer({ AUTO_MARK_READ: 'true' })
+})
+
+after(async () => {
+  await server.close()
+})
+
+const thread = async (phone, headers) => (await server.api('GET', `/contacts/${phone}/thread`, { headers })).body
+const deliver = (messages, phoneNumberId = NUMBERS.main) => server.postWebhook(incoming(messages, { phoneNumberId }))
+
+test('incoming messages are marked read, with a typing indicator before the reply', async () => {
+  const from = '15554000001'
+  const message = textMessage({ from, body: 'Hello' })
+  await deliver([message])
+
+  const [receipt] = await server.graph.waitForReceipts(1, { messageId: message.id })
+  assert.equal(receipt.phoneNumberId, NUMBERS.main)
+  assert.deepEqual(receipt.body.typing_indicator, { type: 'text' })
+
+  const [reply] = await server.graph.waitForSent(1, { to: from })
+  const calls = server.graph.calls()
+  assert.ok(calls.indexOf(receipt) < calls.indexOf(reply))
+})
+
+test('messages the bot does not answer get a receipt without typing', async () => {
+  server.graph.addMedia('555100', Buffer.from('png'), 'image/png')
+  const message = mediaMessage({ from: '15554000002', mediaId: '555100' })
+  await deliver([message])
+
+  const [receipt] = await server.graph.waitForReceipts(1, { messageId: message.id })
+  assert.equal(receipt.body.typing_indicator, undefined)
+})
+
+test('a failed read receipt does not hold up the reply', async () => {
+  const from = '15554000003'
+  server.graph.failNext({ code: 100, message: 'Invalid parameter' })
+  const message = textMessage({ from, body: 'Hi' })
+  await deliver([message])
+
+  await server.graph.waitForSent(1, { to: from })
+  assert.equal(server.graph.receipts({ messageId: message.id }).length, 0)
+})
+
+test('conversations with an agent are only marked read by the agent', async () => {
+  const from = '15554000004'
+  await deliver([textMessage({ from, body: 'Hi' })])
+  await server.graph.waitForSent(1, { to: from })
+  assert.equal((await server.api('POST', `/conversations/${from}/claim`, { role: 'agent' })).status, 200)
+
+  const first = textMessage({ from, body: 'Is anyone there?' })
+  const second = textMessage({ from, body: 'Hello?' })
+  await deliver([first])
+  await deliver([second])
+  const contact = await waitFor(async () => {
+    const { contact } = await thread(from)
+    return contact.unread_count === 2 && contact
+  }, { what: 'two unread messages' })
+  assert.equal(contact.conversation_status, 'assigned')
+  assert.equal(server.graph.receipts({ messageId: second.id }).length, 0)
+
+  const read = await server.api('POST', `/conversations/${from}/read`, { role: 'agent' })
+  assert.equal(read.status, 200)
+  assert.equal(read.body.message_id, second.id)
+  const [receipt] = server.graph.receipts({ messageId: second.id })
+  assert.equal(receipt.body.typing_indicator, undefined)
+  assert.equal((await thread(from)).contact.unread_count, 0)
+})
+
+test('a rejected read receipt is reported and leaves the unread count alone', async () => {
+  const from = '15554000005'
+  await deliver([textMessage({ from, body: 'Hi' })])
+  await server.graph.waitForSent(1, { to: from })
+  await server.api('POST', `/conversations/${from}/claim`, { role: 'agent' })
+  await deliver([textMessage({ from, body: 'Still there?' })])
+  await waitFor(async () => (await thread(from)).contact.unread_count === 1, { what: 'an unread message' })
+
+  server.graph.failNext({ status: 401, code: 190, message: 'Invalid OAuth access token' })
+  const read = await server.api('POST', `/conversations/${from}/read`, { role: 'agent' })
+  assert.equal(read.status, 502)
+  assert.equal(read.body.code, 'graph_auth_failed')
+  assert.equal((await thread(from)).contact.unread_count, 1)
+})
+
+test('contact reactions are linked to the message they react to', async () => {
+  const from = '15554000006'
+  await deliver([textMessage({ from, body: 'Hi' })])
+  const [welcome] = await server.graph.waitForSent(1, { to: from })
+
+  const react = emoji => ({
+    from,
+    id: `wamid.REACT${Date.now()}${Math.random()}`,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    type: 'reaction',
+    reaction: { message_id: welcome.id, ...(emoji ? { emoji } : {}) },
+  })
+
+  await deliver([react('❤️')])
+  const reply = await waitFor(async () => {
+    const { data } = await thread(from)
+    const row = data.find(m => m.message_id === welcome.id)
+    return row?.reactions.length && row
+  }, { what: 'the reaction' })
+  assert.deepEqual(reply.reactions.map(r => [r.direction, r.emoji]), [['inbound', '❤️']])
+
+  // A new emoji replaces the old one, an empty one removes it
+  await deliver([react('👍')])
+  await waitFor(async () => {
+    const { data } = await thread(from)
+    return data.find(m => m.message_id === welcome.id).reactions[0]?.emoji === '👍'
+  }, { what: 'the changed reaction' })
+  await deliver([react()])
+  await waitFor(async () => {
+    const { data } = await thread(from)
+    return data.find(m => m.message_id === welcome.id).reactions.length === 0
+  }, { what: 'the reaction to be removed' })
+
+  const { body: logs } = await server.api('GET', `/logs?phone=${from}&type=reaction`)
+  assert.deepEqual(logs.data.map(m => m.body).reverse(), ['[reacted ❤️]', '[reacted 👍]', '[reaction removed]'])
+})
+
+test('agents react to and unreact from a message', async () => {
+  const from = '15554000007'
+  const message = textMessage({ from, body: 'Thanks, that helped!' })
+  await deliver([message])
+  await server.graph.waitForSent(1, { to: from })
+
+  const reacted = await server.api('POST', `/messages/${message.id}/reaction`, { role: 'agent', body: { emoji: '🙏' } })
+  assert.equal(reacted.status, 200)
+  assert.equal(reacted.body.emoji, '🙏')
+  const [sent] = server.graph.sent({ to: from, type: 'reaction' })
+  assert.deepEqual(sent.body.reaction, { message_id: message.id, emoji: '🙏' })
+  assert.equal(reacted.body.reaction_message_id, sent.id)
+
+  const { data } = await thread(from)
+  const [reaction] = data.find(m => m.message_id === message.id).reactions
+  assert.equal(reaction.direction, 'outbound')
+  assert.equal(reaction.agent, 'test-agent')
+
+  const removed = await server.api('DELETE', `/messages/${message.id}/reaction`, { role: 'agent' })
+  assert.equal(removed.status, 200)
+  assert.equal(server.graph.sent({ to: from, type: 'reaction' })[1].body.reaction.emoji, '')
+  assert.deepEqual((await thread(from)).data.find(m => m.message_id === message.id).reactions, [])
+})
+
+test('reactions are validated and scoped to the number', async () => {
+  const from = '15554000008'
+  const message = textMessage({ from, body: 'Hi' })
+  await deliver([message])
+  await server.graph.waitForSent(1, { to: from })
+
+  const post = (body, options = {}) => server.api('POST', `/messages/${message.id}/reaction`, { body, ...options })
+  assert.equal((await post({ emoji: 'ok' })).status, 400)
+  assert.equal((await post({ emoji: '👍👍' })).status, 400)
+  assert.equal((await post({})).status, 400)
+  assert.equal((await post({ emoji: '👍' }, { role: 'viewer' })).status, 403)
+  assert.equal((await post({ emoji: '👍' }, { headers: { 'X-Phone-Number-Id': NUMBERS.support } })).status, 404)
+  assert.equal((await server.api('POST', '/messages/wamid.UNKNOWN/reaction', { body: { emoji: '👍' } })).status, 404)
+  assert.equal(server.graph.sent({ to: from, type: 'reaction' }).length, 0)
+})
@@ -0,0 +1,217 @@
+const crypto = require('crypto')
+const express = require('express')
+
+// Local stand-in for the WhatsApp Cloud (Graph) API. Point GRAPH_API_BASE_URL at it:
+// message sends and media uploads are recorded and answered like Meta would, and
+// failures can be injected per recipient.
+//
+//   POST /:version/:phoneNumberId/messages   -> { messages: [{ id: 'wamid.SIM…' }] }
+//                                               or { success: true } for read receipts
+//   POST /:version/:phoneNumberId/media      -> { id }
+//   GET  /:version/:mediaId                  -> { url, mime_type, sha256, file_size, id }
+//   GET  /download/:mediaId                  -> the file
+//
+// onCall(call) sees every message send. Also runs on its own (node
+// test/support/graphSimulator.js, port GRAPH_SIMULATOR_PORT or 5555) and logs each
+// send, for trying the server without touching Meta.
+function createGraphSimulator({ onCall } = {}) {
+  const app = express()
+  let server = null
+  let baseUrl = null
+  let seq = 0
+  let calls = []
+  let failures = []
+  let delays = []
+  const media = new Map()
+  const waiters = new Set()
+
+  function record(call) {
+    calls.push(call)
+    if (onCall) onCall(call)
+    for (const waiter of waiters) waiter()
+  }
+
+  // The first injected failure matching this send, used up one time per call
+  function takeFailure(phoneNumberId, body) {
+    const failure = failures.find(f =>
+      (!f.to || f.to === body?.to) && (!f.phoneNumberId || f.phoneNumberId === phoneNumberId))
+    if (!failure) return null
+    if (--failure.times <= 0) failures = failures.filter(f => f !== failure)
+    return failure
+  }
+
+  function takeDelay(body) {
+    const delay = delays.find(d => !d.to || d.to === body?.to)
+    if (!delay) return 0
+    delays = delays.filter(d => d !== delay)
+    return delay.ms
+  }
+
+  function graphError(res, { status = 400, code, message = 'Simulated error', subcode, details }) {
+    res.status(status).json({
+      error: {
+        message,
+        type: 'OAuthException',
+        code,
+        error_subcode: subcode,
+        error_data: details ? { messaging_product: 'whatsapp', details } : undefined,
+        fbtrace_id: `SIM${seq}`,
+      },
+    })
+  }
+
+  app.post('/:version/:phoneNumberId/messages', express.json(), async (req, res) => {
+    const { phoneNumberId } = req.params
+    const call = {
+      phoneNumberId,
+      token: (req.get('authorization') || '').replace(/^Bearer /, ''),
+      body: req.body,
+      at: new Date().toISOString(),
+    }
+    const failure = takeFailure(phoneNumberId, req.body)
+    if (failure) {
+      record({ ...call, failed: failure.code })
+      return graphError(res, failure)
+    }
+    // Read receipts (and typing indicators) aren't messages and get no id
+    if (req.body.status === 'read') {
+      record(call)
+      return res.json({ success: true })
+    }
+    call.id = `wamid.SIM${++seq}`
+    record(call)
+    const delay = takeDelay(req.body)
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay))
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: req.body.to, wa_id: req.body.to }],
+      messages: [{ id: call.id }],
+    })
+  })
+
+  // Uploads are multipart; the simulator keeps them without parsing the form
+  app.post('/:version/:phoneNumberId/media', express.raw({ type: '*/*', limit: '100mb' }), (req, res) => {
+    const id = `${1000000 + ++seq}`
+    media.set(id, { buffer: req.body, mimeType: 'application/octet-stream' })
+    res.json({ id })
+  })
+
+  app.get('/download/:mediaId', (req, res) => {
+    const file = media.get(req.params.mediaId)
+    if (!file) return res.sendStatus(404)
+    res.type(file.mimeType).send(file.buffer)
+  })
+
+  app.get('/:version/:mediaId', (req, res) => {
+    const file = media.get(req.params.mediaId)
+    if (!file) return graphError(res, { status: 404, code: 100, message: 'Unsupported get request' })
+    res.json({
+      id: req.params.mediaId,
+      url: `${baseUrl}/download/${req.params.mediaId}`,
+      mime_type: file.mimeType,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      file_size: file.buffer.length,
+    })
+  })
+
+  async function start(port = 0) {
+    await new Promise((resolve, reject) => {
+      server = app.listen(port, '127.0.0.1', resolve).on('error', reject)
+    })
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+    return baseUrl
+  }
+
+  async function stop() {
+    if (server) await new Promise(resolve => server.close(resolve))
+    server = null
+  }
+
+  // Successful message sends, oldest first; filter by to, type or phoneNumberId
+  function sent({ to, type, phoneNumberId } = {}) {
+    return calls.filter(c => c.id &&
+      (!to || c.body.to === to) &&
+      (!type || c.body.type === type) &&
+      (!phoneNumberId || c.phoneNumberId === phoneNumberId))
+  }
+
+  // Read receipts, oldest first; filter by the message id marked read
+  function receipts({ messageId } = {}) {
+    return calls.filter(c => c.body.status === 'read' && !c.failed &&
+      (!messageId || c.body.message_id === messageId))
+  }
+
+  // Resolves with list(filter) once it has at least `count` entries
+  function waitFor(list, what, count, filter, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const matching = list(filter)
+        if (matching.length < count) return
+        waiters.delete(check)
+        clearTimeout(timer)
+        resolve(matching)
+      }
+      const timer = setTimeout(() => {
+        waiters.delete(check)
+        reject(new Error(`Expected ${count} ${what} matching ${JSON.stringify(filter)}, got ${list(filter).length}`))
+      }, timeoutMs)
+      waiters.add(check)
+      check()
+    })
+  }
+
+  const waitForSent = (count, filter = {}, { timeoutMs = 3000 } = {}) =>
+    waitFor(sent, 'send(s)', count, filter, timeoutMs)
+  const waitForReceipts = (count, filter = {}, { timeoutMs = 3000 } = {}) =>
+    waitFor(receipts, 'read receipt(s)', count, filter, timeoutMs)
+
+  // Make the next `times` sends (to `to` / from `phoneNumberId`, or any) fail with
+  // the given Graph error, e.g. { code: 131047 } or { status: 400, code: 130429 }
+  function failNext({ to, phoneNumberId, times = 1, ...error }) {
+    failures.push({ to, phoneNumberId, times, ...error })
+  }
+
+  // Hold the response to the next send (to `to`, or any) for `ms`; the send is recorded
+  // (with its id) right away, so a test can deliver its statuses first
+  function delayNext({ to, ms }) {
+    delays.push({ to, ms })
+  }
+
+  // Media an incoming webhook message can reference by id
+  function addMedia(id, buffer, mimeType) {
+    media.set(String(id), { buffer: Buffer.from(buffer), mimeType })
+  }
+
+  function reset() {
+    calls = []
+    failures = []
+    delays = []
+  }
+
+  return {
+    start,
+    stop,
+    sent,
+    receipts,
+    waitForSent,
+    waitForReceipts,
+    failNext,
+    delayNext,
+    addMedia,
+    reset,
+    calls: () => calls,
+    url: () => baseUrl,
+  }
+}
+
+if (require.main === module) {
+  const simulator = createGraphSimulator({
+    onCall: call => console.log(call.body.status === 'read'
+      ? `${call.phoneNumberId} read ${call.body.message_id}${call.body.typing_indicator ? ' (typing)' : ''}`
+      : `${call.phoneNumberId} -> ${call.body.to} [${call.body.type}] ${call.id || `failed ${call.failed}`}`),
+  })
+  simulator.start(Number(process.env.GRAPH_SIMULATOR_PORT) || 5555)
+    .then(url => console.log(`Graph API simulator on ${url} (set GRAPH_API_BASE_URL=${url})`))
+}
+
+module.exports = { createGraphSimulator }
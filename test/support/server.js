@@ -0,0 +1,115 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createGraphSimulator } = require('./graphSimulator')
+const { sign } = require('./webhookPayloads')
+
+const ROOT = path.resolve(__dirname, '../..')
+const APP_SECRET = 'test-app-secret'
+const VERIFY_TOKEN = 'test-verify-token'
+// The business numbers in test/fixtures/numbers.json
+const NUMBERS = { main: '100000000000001', support: '100000000000002' }
+const API_KEYS = { admin: 'test-admin-key', agent: 'test-agent-key', viewer: 'test-viewer-key' }
+
+// Boots index.js on a random port against the Graph simulator and the memory store,
+// with the shipped flow, templates and consent config. index.js reads its
+// configuration when first required, so this runs once per test file (node --test
+// gives every file its own process). Server logs are muted unless TEST_VERBOSE is set.
+async function startTestServer(env = {}) {
+  const graph = createGraphSimulator()
+  const graphUrl = await graph.start()
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-test-media-'))
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_DRIVER: 'memory',
+    NUMBERS_FILE: path.join(__dirname, '../fixtures/numbers.json'),
+    FLOW_FILE: path.join(ROOT, 'config/flow.yaml'),
+    TEMPLATES_FILE: path.join(ROOT, 'config/templates.json'),
+    CONSENT_FILE: path.join(ROOT, 'config/consent.json'),
+    MEDIA_STORAGE: 'local',
+    MEDIA_DIR: mediaDir,
+    GRAPH_API_BASE_URL: graphUrl,
+    GRAPH_MAX_RETRIES: '2',
+    GRAPH_RETRY_BASE_DELAY_MS: '1',
+    WHATSAPP_APP_SECRET: APP_SECRET,
+    WEBHOOK_VERIFY_TOKEN: VERIFY_TOKEN,
+    WEBHOOK_SKIP_SIGNATURE: 'false',
+    AUTH_DISABLED: 'false',
+    API_KEYS: Object.entries(API_KEYS).map(([role, key]) => `${key}:${role}:test-${role}`).join(','),
+    WEBHOOK_JOB_POLL_MS: '20',
+    REPLY_JOB_BASE_DELAY_MS: '20',
+    CAMPAIGN_POLL_MS: '20',
+    CAMPAIGN_RATE_PER_SECOND: '100',
+    OUTGOING_WEBHOOK_POLL_MS: '50',
+    SCHEDULER_POLL_MS: '50',
+    ...env,
+  })
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {}
+    console.warn = () => {}
+    console.error = () => {}
+  }
+
+  const { app, startWorkers, stopWorkers } = require('../../index')
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening)).on('error', reject)
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  startWorkers()
+
+  // JSON request as `role` (an API key); returns { status, body, headers }
+  async function api(method, urlPath, { body, role = 'admin', headers = {} } = {}) {
+    const res = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(role ? { 'X-API-Key': API_KEYS[role] } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    })
+    const text = await res.text()
+    let data = text
+    try {
+      data = JSON.parse(text)
+    } catch {
+      // Not JSON (CSV, plain text)
+    }
+    return { status: res.status, body: data, headers: res.headers }
+  }
+
+  // Signed like Meta signs it, unless another secret is given
+  async function postWebhook(payload, { secret = APP_SECRET } = {}) {
+    const { body, signature } = sign(payload, secret)
+    const res = await fetch(`${baseUrl}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+      body,
+    })
+    return { status: res.status, body: await res.text() }
+  }
+
+  async function close() {
+    stopWorkers()
+    await new Promise(resolve => server.close(resolve))
+    await graph.stop()
+    fs.rmSync(mediaDir, { recursive: true, force: true })
+  }
+
+  return { baseUrl, graph, api, postWebhook, close }
+}
+
+// Polls fn until it returns something truthy and resolves with it (webhooks and
+// campaigns are processed in the background)
+async function waitFor(fn, { timeoutMs = 3000, intervalMs = 20, what = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs
+  for (;;) {
+    const result = await fn()
+    if (result) return result
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`)
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+}
+
+module.exports = { startTestServer, waitFor, NUMBERS, API_KEYS, APP_SECRET, VERIFY_TOKEN }
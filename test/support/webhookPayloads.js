@@ -0,0 +1,88 @@
+const { computeSignature } = require('../../lib/webhookSignature')
+
+// Builders for the webhook deliveries Meta POSTs to /webhook. Messages and statuses
+// are plain objects; wrap them with incoming() / statuses() to get a delivery.
+let seq = 0
+const nextId = () => `wamid.TEST${Date.now()}${++seq}`
+const timestamp = () => String(Math.floor(Date.now() / 1000))
+
+function textMessage({ from, body, id = nextId() }) {
+  return { from, id, timestamp: timestamp(), type: 'text', text: { body } }
+}
+
+// A tap on a reply button (type 'buttons' messages)
+function buttonReply({ from, replyId, title, context, id = nextId() }) {
+  return {
+    from,
+    id,
+    timestamp: timestamp(),
+    type: 'interactive',
+    interactive: { type: 'button_reply', button_reply: { id: replyId, title } },
+    ...(context ? { context: { from: context.from, id: context.id } } : {}),
+  }
+}
+
+// A row picked from a list message
+function listReply({ from, replyId, title, description, id = nextId() }) {
+  return {
+    from,
+    id,
+    timestamp: timestamp(),
+    type: 'interactive',
+    interactive: { type: 'list_reply', list_reply: { id: replyId, title, description } },
+  }
+}
+
+// An image, document, audio, video or sticker; mediaId must exist on the simulator
+// (graph.addMedia) for the download to succeed
+function mediaMessage({ from, type = 'image', mediaId, mimeType = 'image/jpeg', caption, filename, id = nextId() }) {
+  const object = { id: mediaId, mime_type: mimeType, sha256: 'test' }
+  if (caption) object.caption = caption
+  if (filename) object.filename = filename
+  return { from, id, timestamp: timestamp(), type, [type]: object }
+}
+
+// A delivery report for a message we sent (id: the wamid the simulator returned)
+function statusUpdate({ id, recipient, status = 'delivered', errors }) {
+  const update = { id, status, timestamp: timestamp(), recipient_id: recipient }
+  if (errors) update.errors = errors
+  return update
+}
+
+function delivery(value, { phoneNumberId, displayPhoneNumber = '15550000000' }) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: displayPhoneNumber, phone_number_id: phoneNumberId },
+          ...value,
+        },
+      }],
+    }],
+  }
+}
+
+// messages: from the builders above; names: { [phone]: profile name }
+function incoming(messages, { phoneNumberId, displayPhoneNumber, names = {} } = {}) {
+  const phones = [...new Set(messages.map(m => m.from))]
+  return delivery({
+    contacts: phones.map(wa_id => ({ profile: { name: names[wa_id] || 'Test User' }, wa_id })),
+    messages,
+  }, { phoneNumberId, displayPhoneNumber })
+}
+
+function statuses(updates, { phoneNumberId, displayPhoneNumber } = {}) {
+  return delivery({ statuses: updates }, { phoneNumberId, displayPhoneNumber })
+}
+
+// The exact body to POST and its X-Hub-Signature-256 header
+function sign(payload, appSecret) {
+  const body = JSON.stringify(payload)
+  return { body, signature: computeSignature(Buffer.from(body), appSecret) }
+}
+
+module.exports = { textMessage, buttonReply, listReply, mediaMessage, statusUpdate, incoming, statuses, sign }
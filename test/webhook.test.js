@@ -0,0 +1,237 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startTestServer, waitFor, NUMBERS, VERIFY_TOKEN } = require('./support/server')
+const { textMessage, buttonReply, mediaMessage, statusUpdate, incoming, statuses } = require('./support/webhookPayloads')
+const { createWebhookForwarder } = require('../lib/outgoingWebhooks')
+const { createMemoryStore } = require('../lib/store/memory')
+
+let server
+
+before(async () => {
+  server = await startTestServer()
+})
+
+after(async () => {
+  await server.close()
+})
+
+const thread = async phone => (await server.api('GET', `/contacts/${phone}/thread`)).body
+
+test('the verification handshake echoes the challenge for the right token', async () => {
+  const verify = token => fetch(`${server.baseUrl}/webhook?hub.mode=subscribe&hub.verify_token=${token}&hub.challenge=1158201444`)
+  const ok = await verify(VERIFY_TOKEN)
+  assert.equal(ok.status, 200)
+  assert.equal(await ok.text(), '1158201444')
+  assert.equal((await verify('wrong')).status, 403)
+})
+
+test('rejects webhook deliveries without a valid signature', async () => {
+  const payload = incoming([textMessage({ from: '15551230000', body: 'hi' })], { phoneNumberId: NUMBERS.main })
+  assert.equal((await server.postWebhook(payload, { secret: 'wrong-secret' })).status, 403)
+
+  const res = await fetch(`${server.baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+  assert.equal(res.status, 401)
+})
+
+test('a new contact gets the welcome reply, then the call-to-action', async () => {
+  const from = '15551230001'
+  const first = textMessage({ from, body: 'Hello there' })
+  const queued = await server.postWebhook(incoming([first], { phoneNumberId: NUMBERS.main, names: { [from]: 'Ada' } }))
+  assert.equal(queued.status, 200)
+
+  const [welcome] = await server.graph.waitForSent(1, { to: from })
+  assert.equal(welcome.phoneNumberId, NUMBERS.main)
+  assert.equal(welcome.token, 'test-token-main')
+  assert.equal(welcome.body.type, 'text')
+  assert.match(welcome.body.text.body, /Thanks for reaching out/)
+  // reply: true quotes the message being answered
+  assert.equal(welcome.body.context.message_id, first.id)
+
+  await server.postWebhook(incoming([textMessage({ from, body: 'I need a website' })], { phoneNumberId: NUMBERS.main }))
+  const sent = await server.graph.waitForSent(2, { to: from })
+  const cta = sent[1].body
+  assert.equal(cta.type, 'interactive')
+  assert.equal(cta.interactive.type, 'cta_url')
+  assert.equal(cta.interactive.action.name, 'cta_url')
+  assert.ok(cta.interactive.action.parameters.url.startsWith('https://'))
+
+  const { contact, data } = await waitFor(async () => {
+    const t = await thread(from)
+    return t.data?.length === 4 && t
+  }, { what: 'two messages and two replies in the thread' })
+  assert.equal(contact.flow_state, 'welcomed')
+  assert.equal(contact.window_open, true)
+  assert.deepEqual(data.map(m => m.kind), ['incoming', 'reply', 'incoming', 'reply'])
+})
+
+test('a replayed delivery is processed once', async () => {
+  const from = '15551230002'
+  const payload = incoming([textMessage({ from, body: 'Hi' })], { phoneNumberId: NUMBERS.main })
+  await server.postWebhook(payload)
+  await server.postWebhook(payload)
+
+  await server.graph.waitForSent(1, { to: from })
+  await new Promise(resolve => setTimeout(resolve, 200))
+  assert.equal(server.graph.sent({ to: from }).length, 1)
+  const { data } = await thread(from)
+  assert.equal(data.filter(m => m.kind === 'incoming').length, 1)
+})
+
+test('button replies are answered from any state', async () => {
+  const from = '15551230003'
+  await server.postWebhook(incoming([buttonReply({ from, replyId: 'pricing', title: 'Pricing' })], { phoneNumberId: NUMBERS.main }))
+
+  const [reply] = await server.graph.waitForSent(1, { to: from })
+  assert.equal(reply.body.text.body, 'You selected the button with ID pricing - Title Pricing')
+})
+
+test('status updates move an outgoing message to delivered and read', async () => {
+  const to = '15551230004'
+  await server.postWebhook(incoming([textMessage({ from: to, body: 'Hi' })], { phoneNumberId: NUMBERS.main }))
+  // The welcome reply opens the conversation
+  await server.graph.waitForSent(1, { to })
+
+  const sent = await server.api('POST', '/send-message', { body: { to, message: 'Hi, this is Sam from support' } })
+  assert.equal(sent.status, 200)
+  assert.equal(sent.body.via, 'text')
+  const [, outgoing] = server.graph.sent({ to })
+
+  await server.postWebhook(statuses([
+    statusUpdate({ id: outgoing.id, recipient: to, status: 'sent' }),
+    statusUpdate({ id: outgoing.id, recipient: to, status: 'delivered' }),
+  ], { phoneNumberId: NUMBERS.main }))
+  await server.postWebhook(statuses([statusUpdate({ id: outgoing.id, recipient: to, status: 'read' })], { phoneNumberId: NUMBERS.main }))
+
+  const message = await waitFor(async () => {
+    const { data } = await thread(to)
+    const row = data.find(m => m.message_id === outgoing.id)
+    return row?.delivery.status === 'read' && row
+  }, { what: 'the message to be read' })
+  assert.ok(message.delivery.delivered_at)
+  assert.equal(message.status, 'read')
+})
+
+test('incoming media is downloaded and linked from the message', async () => {
+  const from = '15551230005'
+  server.graph.addMedia('555001', Buffer.from('fake-jpeg-bytes'), 'image/jpeg')
+  await server.postWebhook(incoming([mediaMessage({ from, mediaId: '555001', caption: 'My logo' })], { phoneNumberId: NUMBERS.main }))
+
+  const image = await waitFor(async () => {
+    const { data } = await thread(from)
+    return data?.find(m => m.type === 'image' && m.media_url)
+  }, { what: 'the stored image' })
+  assert.equal(image.body, 'My logo')
+  assert.equal(image.media_size, 'fake-jpeg-bytes'.length)
+
+  const file = await fetch(server.baseUrl + image.media_url)
+  assert.equal(await file.text(), 'fake-jpeg-bytes')
+})
+
+test('STOP opts the contact out and later sends are refused', async () => {
+  const from = '15551230006'
+  await server.postWebhook(incoming([textMessage({ from, body: 'STOP' })], { phoneNumberId: NUMBERS.main }))
+
+  const [confirmation] = await server.graph.waitForSent(1, { to: from })
+  assert.match(confirmation.body.text.body, /unsubscribed/)
+
+  const refused = await server.api('POST', '/send-message', { body: { to: from, message: 'Sale today!' } })
+  assert.equal(refused.status, 422)
+  assert.equal(refused.body.code, 'recipient_suppressed')
+  assert.equal(server.graph.sent({ to: from }).length, 1)
+})
+
+test('messages to another business number are kept apart', async () => {
+  const from = '15551230007'
+  await server.postWebhook(incoming([textMessage({ from, body: 'Hello support' })], { phoneNumberId: NUMBERS.support }))
+
+  const [welcome] = await server.graph.waitForSent(1, { to: from })
+  assert.equal(welcome.phoneNumberId, NUMBERS.support)
+  assert.equal(welcome.token, 'test-token-support')
+
+  const own = await server.api('GET', `/contacts?search=${from}`, { headers: { 'X-Phone-Number-Id': NUMBERS.support } })
+  assert.equal(own.body.total, 1)
+  const other = await server.api('GET', `/contacts?search=${from}`)
+  assert.equal(other.body.total, 0)
+})
+
+test('forwarded events from the same WhatsApp message or status share an id', async () => {
+  const store = createMemoryStore()
+  await store.insertSubscription({ url: 'https://crm.example/hook', events: ['*'], secret: 'x'.repeat(16), active: true })
+  const forwarder = createWebhookForwarder({ store })
+  const status = { id: 'wamid.STATUS1', status: 'delivered' }
+
+  await forwarder.dispatch('message.status', { status }, { key: `${status.id}:${status.status}` })
+  await forwarder.dispatch('message.status', { status }, { key: `${status.id}:${status.status}` })
+  await forwarder.dispatch('message.status', { status: { ...status, status: 'read' } }, { key: `${status.id}:read` })
+  await forwarder.dispatch('consent.opted_in', { source: 'api' })
+  await forwarder.dispatch('consent.opted_in', { source: 'api' })
+
+  const { data } = await forwarder.deliveries()
+  const events = data.sort((a, b) => a.id - b.id).map(job => job.payload.event)
+  const [delivered, redelivered, read, optIn, optInAgain] = events.map(e => e.id)
+  assert.equal(redelivered, delivered)
+  assert.notEqual(read, delivered)
+  // Without a source message every event is new
+  assert.notEqual(optInAgain, optIn)
+  assert.ok(events.every(e => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(e.id)))
+})
+
+test('a status that arrives before its message is logged is merged into the message', async () => {
+  const from = '15551230010'
+  await server.postWebhook(incoming([textMessage({ from, body: 'Hi' })], { phoneNumberId: NUMBERS.main }))
+  await server.graph.waitForSent(1, { to: from })
+  const contact = async () => (await server.api('GET', `/contacts?search=${from}`)).body.data[0]
+  const before = await waitFor(async () => (await thread(from)).data?.length === 2 && contact(), { what: 'the welcome' })
+
+  server.graph.delayNext({ to: from, ms: 300 })
+  const sending = server.api('POST', '/send-message', { role: 'agent', body: { to: from, message: 'Your order shipped' } })
+  const [, sent] = await server.graph.waitForSent(2, { to: from })
+  await server.postWebhook(statuses([statusUpdate({ id: sent.id, recipient: from, status: 'delivered' })], { phoneNumberId: NUMBERS.main }))
+  await waitFor(async () => (await server.api('GET', `/logs?phone=${from}&kind=status`)).body.total === 1, { what: 'the early status' })
+  assert.equal((await sending).status, 200)
+
+  const { body } = await server.api('GET', `/logs?phone=${from}`)
+  const rows = body.data.filter(m => m.message_id === sent.id)
+  assert.equal(rows.length, 1)
+  assert.equal(rows[0].kind, 'outgoing')
+  assert.equal(rows[0].body, 'Your order shipped')
+  assert.equal(rows[0].status, 'delivered')
+  // Statuses aren't messages: the count is unchanged
+  assert.equal((await contact()).total_messages, before.total_messages)
+})
+
+test('a bot reply that fails is retried from a replies job', async () => {
+  const from = '15551230011'
+  server.graph.failNext({ to: from, code: 100, message: 'Invalid parameter' })
+  await server.postWebhook(incoming([textMessage({ from, body: 'Hello' })], { phoneNumberId: NUMBERS.main }))
+
+  const [welcome] = await server.graph.waitForSent(1, { to: from })
+  assert.match(welcome.body.text.body, /Thanks for reaching out/)
+  assert.equal(server.graph.calls().filter(c => c.body.to === from && c.failed === 100).length, 1)
+
+  await waitFor(async () => {
+    const { body } = await server.api('GET', '/admin/jobs?queue=replies')
+    return body.data.some(j => j.payload.message.from === from && j.status === 'done')
+  }, { what: 'the replies job to finish' })
+  assert.equal((await thread(from)).contact.flow_state, 'welcomed')
+  assert.equal((await server.api('GET', '/admin/jobs?queue=nope')).status, 400)
+})
+
+test('admin routes answer 404 for ids that are not numbers', async () => {
+  const created = await server.api('POST', '/subscriptions', { body: { url: 'https://crm.example/hook', active: false } })
+  assert.equal(created.status, 201)
+  const { id } = created.body
+
+  for (const bad of ['abc', '1.5', '-1']) {
+    assert.equal((await server.api('POST', `/subscriptions/${bad}`, { body: { description: 'CRM' } })).status, 404)
+    assert.equal((await server.api('DELETE', `/subscriptions/${bad}`)).status, 404)
+    assert.equal((await server.api('POST', `/admin/deliveries/${bad}/replay`)).status, 404)
+    assert.equal((await server.api('POST', `/admin/jobs/${bad}/replay`)).status, 404)
+  }
+  assert.equal((await server.api('POST', `/subscriptions/${id}`, { body: { description: 'CRM' } })).body.description, 'CRM')
+  assert.equal((await server.api('DELETE', `/subscriptions/${id}`)).status, 200)
+})